@@ -0,0 +1,45 @@
+/**
+ * Give an existing account a role, e.g. to create the first administrator now
+ * that registration always creates Members. Built-in roles are seeded first.
+ *
+ * Usage: npm run roles:assign -- <email> <role>
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+
+const run = async () => {
+  const [email, roleName] = process.argv.slice(2);
+  if (!email || !roleName) {
+    console.error('Usage: npm run roles:assign -- <email> <role>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Role.seedBuiltIns();
+
+  if (!await Role.exists({ name: roleName })) {
+    throw new Error(`Role ${roleName} does not exist`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: roleName },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No account found for ${email}`);
+  }
+
+  console.log(`${user.email} now has the ${user.role} role`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Role assignment failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
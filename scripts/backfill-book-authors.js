@@ -0,0 +1,36 @@
+/**
+ * Link books catalogued before authors existed to Author records.
+ *
+ * Each book's credit line becomes its author; "Tolkien, J.R.R." and "J.R.R. Tolkien"
+ * resolve to the same Author. Books that already have contributors are left alone,
+ * so the script can be re-run.
+ *
+ * Usage: npm run migrate:authors
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Book = require('../src/models/Book');
+const bookService = require('../src/services/bookService');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let linked = 0;
+
+  const cursor = Book.find({ $or: [{ contributors: { $exists: false } }, { contributors: { $size: 0 } }] }).cursor();
+  for (let book = await cursor.next(); book != null; book = await cursor.next()) {
+    // Contributors are filled in from the credit line
+    await bookService.saveBook(book);
+    linked += 1;
+  }
+
+  console.log(`Linked ${linked} books to their authors`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Book author backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/**
+ * Create BookCopy items for books that were catalogued before per-copy tracking.
+ *
+ * Each book gets `totalCopies` items. Active loans and ready holds are linked to
+ * their own item so the derived counters match what is actually on the shelf.
+ *
+ * Usage: npm run migrate:copies
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Book = require('../src/models/Book');
+const BookCopy = require('../src/models/BookCopy');
+const BorrowRecord = require('../src/models/BorrowRecord');
+const Reservation = require('../src/models/Reservation');
+
+const backfillBook = async (book) => {
+  const existingCopies = await BookCopy.countDocuments({ book: book._id });
+  if (existingCopies > 0) {
+    return false;
+  }
+
+  const [activeBorrows, readyHolds] = await Promise.all([
+    BorrowRecord.find({ book: book._id, status: { $in: ['Borrowed', 'Overdue'] }, copy: { $exists: false } }),
+    Reservation.find({ book: book._id, status: 'Ready', copy: { $exists: false } })
+  ]);
+
+  const total = Math.max(book.totalCopies, activeBorrows.length + readyHolds.length);
+  const copies = await BookCopy.createCopies(book, total, { condition: 'Good' });
+
+  let index = 0;
+  for (const record of activeBorrows) {
+    const copy = copies[index++];
+    await BookCopy.updateOne({ _id: copy._id }, { status: 'Borrowed' });
+    await BorrowRecord.updateOne({ _id: record._id }, { copy: copy._id });
+  }
+
+  for (const hold of readyHolds) {
+    const copy = copies[index++];
+    await BookCopy.updateOne({ _id: copy._id }, { status: 'OnHold' });
+    await Reservation.updateOne({ _id: hold._id }, { copy: copy._id });
+  }
+
+  await book.syncCopyCounts();
+  await book.save({ validateBeforeSave: false });
+  return true;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let processed = 0;
+  let backfilled = 0;
+
+  const cursor = Book.find().cursor();
+  for (let book = await cursor.next(); book != null; book = await cursor.next()) {
+    processed += 1;
+    if (await backfillBook(book)) {
+      backfilled += 1;
+    }
+  }
+
+  console.log(`Processed ${processed} books, created copies for ${backfilled}`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Copy backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
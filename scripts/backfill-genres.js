@@ -0,0 +1,46 @@
+/**
+ * Move the catalogue from the fixed genre list to the genre collection.
+ *
+ * Seeds the default genres if there are none, adds any other genre a book or
+ * circulation policy already uses, and gives books catalogued before subjects
+ * existed their genre as their only subject. Safe to re-run.
+ *
+ * Usage: npm run migrate:genres
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Book = require('../src/models/Book');
+const Genre = require('../src/models/Genre');
+const CirculationPolicy = require('../src/models/CirculationPolicy');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await Genre.seedDefaults();
+
+  const [bookGenres, policyGenres, known] = await Promise.all([
+    Book.distinct('genre'),
+    CirculationPolicy.distinct('genre'),
+    Genre.distinct('name')
+  ]);
+  const missing = [...new Set([...bookGenres, ...policyGenres])].filter(name => name && !known.includes(name));
+  if (missing.length > 0) {
+    await Genre.insertMany(missing.map(name => ({ name })));
+  }
+
+  const { modifiedCount } = await Book.updateMany(
+    { $or: [{ subjects: { $exists: false } }, { subjects: { $size: 0 } }] },
+    [{ $set: { subjects: ['$genre'] } }]
+  );
+
+  console.log(`Added ${missing.length} genres in use that were not in the genre list`);
+  console.log(`Gave ${modifiedCount} books their genre as a subject`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Genre backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
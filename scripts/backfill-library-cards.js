@@ -0,0 +1,33 @@
+/**
+ * Issue library cards to accounts created before cards existed.
+ *
+ * Accounts that already have a card are left alone, so the script can be re-run.
+ *
+ * Usage: npm run migrate:cards
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../src/models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let issued = 0;
+
+  const cursor = User.find({ 'libraryCard.number': { $exists: false } }).cursor();
+  for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+    await user.issueLibraryCard();
+    await user.save({ validateBeforeSave: false });
+    issued += 1;
+  }
+
+  console.log(`Issued library cards to ${issued} accounts`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Library card backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
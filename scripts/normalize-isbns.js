@@ -0,0 +1,77 @@
+/**
+ * Convert stored ISBNs to the canonical ISBN-13 form (no hyphens, ISBN-10s converted).
+ *
+ * Books whose ISBN has a wrong check digit, or that turn out to be the same ISBN written
+ * two ways, are listed and left unchanged for staff to correct or merge. Books that are
+ * already canonical are skipped, so the script can be re-run.
+ *
+ * Usage: npm run migrate:isbns [-- --dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Book = require('../src/models/Book');
+const { normalizeIsbn } = require('../src/utils/isbn');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the raw values; the model's setter would already normalize them
+  const books = await Book.collection.find({}, { projection: { isbn: 1, title: 1 } }).toArray();
+
+  const invalid = [];
+  const byIsbn = new Map();
+  books.forEach((book) => {
+    const normalized = normalizeIsbn(book.isbn);
+    if (!normalized) {
+      invalid.push(book);
+      return;
+    }
+    byIsbn.set(normalized, [...(byIsbn.get(normalized) || []), book]);
+  });
+
+  let converted = 0;
+  const duplicates = [];
+
+  for (const [normalized, group] of byIsbn) {
+    if (group.length > 1) {
+      duplicates.push([normalized, group]);
+      continue;
+    }
+
+    const [book] = group;
+    if (book.isbn === normalized) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await Book.collection.updateOne({ _id: book._id }, { $set: { isbn: normalized } });
+    }
+    converted += 1;
+  }
+
+  console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} of ${books.length} ISBNs to ISBN-13`);
+
+  if (invalid.length > 0) {
+    console.log(`\n${invalid.length} books have an invalid ISBN and were left unchanged:`);
+    invalid.forEach(book => console.log(`  ${book._id}  ${book.isbn}  ${book.title}`));
+  }
+
+  if (duplicates.length > 0) {
+    console.log(`\n${duplicates.length} ISBNs are catalogued more than once and were left unchanged; merge these books by hand:`);
+    duplicates.forEach(([normalized, group]) => {
+      console.log(`  ${normalized}`);
+      group.forEach(book => console.log(`    ${book._id}  ${book.isbn}  ${book.title}`));
+    });
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('ISBN normalization failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
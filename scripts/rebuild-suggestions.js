@@ -0,0 +1,29 @@
+/**
+ * Rebuild the title and author suggestion index from the active catalogue.
+ *
+ * Book saves keep the index up to date; run this once after upgrading, or after
+ * changing books directly in the database.
+ *
+ * Usage: npm run search:reindex
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Book = require('../src/models/Book');
+const SuggestionIndex = require('../src/models/SuggestionIndex');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const total = await Book.countDocuments({ isActive: true });
+  const entries = await SuggestionIndex.rebuild();
+
+  console.log(`Indexed ${entries} titles and authors from ${total} active books`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Suggestion index rebuild failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
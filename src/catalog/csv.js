@@ -0,0 +1,120 @@
+// Spreadsheets treat a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {String} text - CSV content
+ * @returns {Array} Rows as arrays of strings, with the line each row starts on
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    // Skip blank lines
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push({ line: rowLine, values: row });
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into records keyed by the given field names.
+ * Headers are matched case-insensitively, ignoring spaces, dashes and underscores.
+ * @param {String} text - CSV content
+ * @param {Array} fields - Known field names
+ * @returns {Object} { records: [{ row, values }], unknownColumns }
+ */
+const parseRecords = (text, fields) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) {
+    return { records: [], unknownColumns: [] };
+  }
+
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+  const byName = new Map(fields.map(field => [normalize(field), field]));
+  const columns = header.values.map(name => byName.get(normalize(name)) || null);
+  const unknownColumns = header.values.filter((name, index) => !columns[index] && name.trim() !== '');
+
+  const records = rows.map(({ line, values }) => {
+    const record = {};
+    columns.forEach((field, index) => {
+      if (field && values[index] !== undefined && values[index].trim() !== '') {
+        // Undo the quote formatRow() puts before formula-like values
+        record[field] = values[index].replace(/^'(?=[=+\-@\t\r])/, '');
+      }
+    });
+    return { row: line, values: record };
+  });
+
+  return { records, unknownColumns };
+};
+
+/**
+ * Format one CSV line, quoting values that contain commas, quotes or line breaks.
+ * Values a spreadsheet would run as a formula get a leading `'` so they open as text.
+ * @param {Array} values - Field values (null and undefined become empty fields)
+ * @returns {String} Line ending in CRLF
+ */
+const formatRow = (values) => values
+  .map((value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
+
+module.exports = {
+  parseRows,
+  parseRecords,
+  formatRow
+};
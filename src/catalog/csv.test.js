@@ -0,0 +1,99 @@
+const { parseRows, parseRecords, formatRow } = require('./csv');
+
+describe('parseRows', () => {
+  it('splits rows and fields', () => {
+    expect(parseRows('a,b,c\n1,2,3\n')).toEqual([
+      { line: 1, values: ['a', 'b', 'c'] },
+      { line: 2, values: ['1', '2', '3'] }
+    ]);
+  });
+
+  it('accepts CRLF line endings and a missing final line break', () => {
+    expect(parseRows('a,b\r\n1,2').map(row => row.values)).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const rows = parseRows('title,note\n"Dune, Part One","He said ""hi""\nthen left"\nnext,row\n');
+
+    expect(rows[1].values).toEqual(['Dune, Part One', 'He said "hi"\nthen left']);
+    // The row after a multi-line field reports the line it starts on
+    expect(rows[2]).toEqual({ line: 4, values: ['next', 'row'] });
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseRows('a,,c\n')[0].values).toEqual(['a', '', 'c']);
+  });
+
+  it('skips blank lines', () => {
+    expect(parseRows('a\n\n  \nb\n').map(row => row.values)).toEqual([['a'], ['b']]);
+  });
+
+  it('ignores a byte order mark', () => {
+    expect(parseRows('\ufefftitle\n')[0].values).toEqual(['title']);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseRows('a\n"never closed\n')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
+
+describe('parseRecords', () => {
+  const FIELDS = ['title', 'author', 'isbn', 'publicationDate', 'totalCopies'];
+
+  it('keys values by field, matching headers loosely', () => {
+    const { records } = parseRecords('Title,AUTHOR,publication_date,Total Copies\nDune,Frank Herbert,1965-08-01,2\n', FIELDS);
+
+    expect(records).toEqual([{
+      row: 2,
+      values: { title: 'Dune', author: 'Frank Herbert', publicationDate: '1965-08-01', totalCopies: '2' }
+    }]);
+  });
+
+  it('reports columns it does not know', () => {
+    const { records, unknownColumns } = parseRecords('title,shelf,,isbn\nDune,A1,,9780441172719\n', FIELDS);
+
+    expect(unknownColumns).toEqual(['shelf']);
+    expect(records[0].values).toEqual({ title: 'Dune', isbn: '9780441172719' });
+  });
+
+  it('leaves out blank values', () => {
+    const { records } = parseRecords('title,author\nDune,  \n', FIELDS);
+    expect(records[0].values).toEqual({ title: 'Dune' });
+  });
+
+  it('returns nothing for an empty file', () => {
+    expect(parseRecords('', FIELDS)).toEqual({ records: [], unknownColumns: [] });
+  });
+});
+
+describe('formatRow', () => {
+  it('joins values and ends the line with CRLF', () => {
+    expect(formatRow(['Dune', 'Frank Herbert', 2])).toBe('Dune,Frank Herbert,2\r\n');
+  });
+
+  it('writes null and undefined as empty fields', () => {
+    expect(formatRow(['a', null, undefined, 'b'])).toBe('a,,,b\r\n');
+  });
+
+  it('quotes values with commas, quotes or line breaks', () => {
+    expect(formatRow(['Dune, Part One', 'He said "hi"', 'two\nlines'])).toBe('"Dune, Part One","He said ""hi""","two\nlines"\r\n');
+  });
+
+  it('puts a quote before values a spreadsheet would run as a formula', () => {
+    expect(formatRow(['=1+1', '+44 20', '-5', '@SUM(A1)', '\tx'])).toBe("'=1+1,'+44 20,'-5,'@SUM(A1),'\tx\r\n");
+    expect(formatRow(['=HYPERLINK("http://x", "y")'])).toBe('"\'=HYPERLINK(""http://x"", ""y"")"\r\n');
+  });
+
+  it('leaves values that only contain those characters further in alone', () => {
+    expect(formatRow(['Catch-22', 'a=b', 'me@example.com'])).toBe('Catch-22,a=b,me@example.com\r\n');
+  });
+
+  it('reads back through parseRecords unchanged', () => {
+    const values = ["=cmd|' /C calc'!A0", 'Tolkien, J.R.R.', 'She said "no"', '-1', "'quoted already"];
+    const text = formatRow(['a', 'b', 'c', 'd', 'e']) + formatRow(values);
+
+    expect(parseRecords(text, ['a', 'b', 'c', 'd', 'e']).records[0].values).toEqual({
+      a: values[0], b: values[1], c: values[2], d: values[3], e: values[4]
+    });
+  });
+});
@@ -0,0 +1,375 @@
+// ISO 2709 delimiters
+const SUBFIELD_DELIMITER = 0x1f;
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+
+// MARC language codes for the languages the library stocks most; others are kept as the code
+const LANGUAGES = {
+  eng: 'English',
+  hin: 'Hindi',
+  ben: 'Bengali',
+  tam: 'Tamil',
+  tel: 'Telugu',
+  mar: 'Marathi',
+  urd: 'Urdu',
+  san: 'Sanskrit',
+  spa: 'Spanish',
+  fre: 'French',
+  ger: 'German',
+  ita: 'Italian',
+  por: 'Portuguese',
+  rus: 'Russian',
+  chi: 'Chinese',
+  jpn: 'Japanese',
+  ara: 'Arabic'
+};
+
+// Relator terms ($e) and codes ($4) for the contributor roles a book records
+const RELATORS = {
+  aut: 'author',
+  author: 'author',
+  edt: 'editor',
+  editor: 'editor',
+  trl: 'translator',
+  translator: 'translator',
+  ill: 'illustrator',
+  illustrator: 'illustrator'
+};
+
+/**
+ * Parse MARC21 records in ISO 2709 (binary) format
+ * @param {Buffer} buffer - File content
+ * @returns {Array} Records as { leader, fields }, or { error } for records that could not be read
+ */
+const parseIso2709 = (buffer) => {
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = buffer.indexOf(RECORD_TERMINATOR, start);
+    if (end === -1) end = buffer.length;
+
+    const raw = buffer.subarray(start, end);
+    start = end + 1;
+
+    // Tolerate line breaks some tools add between records
+    if (raw.toString('latin1').trim() === '') {
+      continue;
+    }
+
+    try {
+      records.push(readIso2709Record(raw));
+    } catch (error) {
+      records.push({ error: error.message });
+    }
+  }
+
+  return records;
+};
+
+const readIso2709Record = (raw) => {
+  const offset = raw.length - raw.toString('latin1').replace(/^\s+/, '').length;
+  const record = raw.subarray(offset);
+
+  if (record.length < 25) {
+    throw new Error('Record is too short');
+  }
+
+  const leader = record.subarray(0, 24).toString('latin1');
+
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (Number.isNaN(baseAddress) || baseAddress > record.length) {
+    throw new Error('Record leader has an invalid base address');
+  }
+
+  const directory = record.subarray(24, baseAddress - 1).toString('latin1');
+  const fields = [];
+
+  for (let i = 0; i + 12 <= directory.length; i += 12) {
+    const tag = directory.slice(i, i + 3);
+    const length = parseInt(directory.slice(i + 3, i + 7), 10);
+    const position = parseInt(directory.slice(i + 7, i + 12), 10);
+    if (Number.isNaN(length) || Number.isNaN(position)) {
+      throw new Error(`Directory entry for tag ${tag} is invalid`);
+    }
+
+    let data = record.subarray(baseAddress + position, baseAddress + position + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) {
+      data = data.subarray(0, data.length - 1);
+    }
+
+    if (tag < '010') {
+      fields.push({ tag, value: data.toString('utf8') });
+      continue;
+    }
+
+    const [indicators, ...subfields] = splitBuffer(data, SUBFIELD_DELIMITER);
+    fields.push({
+      tag,
+      ind1: indicators.toString('latin1').charAt(0) || ' ',
+      ind2: indicators.toString('latin1').charAt(1) || ' ',
+      subfields: subfields
+        .filter(subfield => subfield.length > 0)
+        .map(subfield => ({
+          code: String.fromCharCode(subfield[0]),
+          value: subfield.subarray(1).toString('utf8')
+        }))
+    });
+  }
+
+  return { leader, fields };
+};
+
+const splitBuffer = (buffer, delimiter) => {
+  const parts = [];
+  let start = 0;
+  let index;
+  while ((index = buffer.indexOf(delimiter, start)) !== -1) {
+    parts.push(buffer.subarray(start, index));
+    start = index + 1;
+  }
+  parts.push(buffer.subarray(start));
+  return parts;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[2] !== undefined ? match[2] : match[3]) : null;
+};
+
+/**
+ * Parse MARCXML (the MARC21 slim schema, with or without a namespace prefix)
+ * @param {String} xml - File content
+ * @returns {Array} Records as { leader, fields }
+ */
+const parseMarcXml = (xml) => {
+  const records = [];
+  const recordPattern = /<(?:[\w-]+:)?record\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?record\s*>/g;
+  const elementPattern = /<(?:[\w-]+:)?(leader|controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1\s*>/g;
+  const subfieldPattern = /<(?:[\w-]+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?subfield\s*>/g;
+
+  // CDATA sections are not supported; catalogue exports escape text instead
+  const content = xml.replace(/<!--[\s\S]*?-->/g, '');
+
+  let recordMatch;
+  while ((recordMatch = recordPattern.exec(content)) !== null) {
+    const record = { leader: '', fields: [] };
+
+    let element;
+    elementPattern.lastIndex = 0;
+    while ((element = elementPattern.exec(recordMatch[1])) !== null) {
+      const [, name, attributes, body] = element;
+
+      if (name === 'leader') {
+        record.leader = decodeEntities(body);
+      } else if (name === 'controlfield') {
+        record.fields.push({ tag: attribute(attributes, 'tag'), value: decodeEntities(body) });
+      } else {
+        const subfields = [];
+        let subfield;
+        subfieldPattern.lastIndex = 0;
+        while ((subfield = subfieldPattern.exec(body)) !== null) {
+          subfields.push({ code: attribute(subfield[1], 'code'), value: decodeEntities(subfield[2]) });
+        }
+        record.fields.push({
+          tag: attribute(attributes, 'tag'),
+          ind1: attribute(attributes, 'ind1') || ' ',
+          ind2: attribute(attributes, 'ind2') || ' ',
+          subfields
+        });
+      }
+    }
+
+    records.push(record);
+  }
+
+  return records;
+};
+
+// First value of a subfield across all fields with the tag
+const subfield = (record, tag, code) => {
+  for (const field of record.fields) {
+    if (field.tag === tag && field.subfields) {
+      const match = field.subfields.find(sub => sub.code === code);
+      if (match) return match.value;
+    }
+  }
+  return undefined;
+};
+
+const controlField = (record, tag) => {
+  const field = record.fields.find(f => f.tag === tag && f.value !== undefined);
+  return field ? field.value : undefined;
+};
+
+// Strip ISBD punctuation left at the end of MARC subfields (" /", " :", ",", ".")
+const clean = (value) => {
+  if (value === undefined) return undefined;
+  const cleaned = value.replace(/\s*[/:;,=]\s*$/, '').replace(/([^.\s]{2})\.$/, '$1').trim();
+  return cleaned || undefined;
+};
+
+/**
+ * Map a MARC21 bibliographic record to Book fields
+ * @param {Object} record - Parsed record
+ * @param {Array} genres - Names of the library's genres
+ * @returns {Object} Book fields (unvalidated)
+ */
+const toBook = (record, genres) => {
+  const fixed = controlField(record, '008') || '';
+  const book = {};
+
+  // 020 $a may carry a qualifier, e.g. "9780140449136 (pbk.)"
+  const isbn = subfield(record, '020', 'a');
+  if (isbn) book.isbn = isbn.trim().split(/\s+/)[0];
+
+  const title = [subfield(record, '245', 'a'), subfield(record, '245', 'b')]
+    .map(clean)
+    .filter(Boolean)
+    .join(': ');
+  if (title) book.title = title;
+
+  const author = clean(subfield(record, '100', 'a') || subfield(record, '110', 'a') ||
+    subfield(record, '111', 'a') || subfield(record, '700', 'a'));
+  if (author) book.author = author;
+
+  // Added entries (700) are co-authors, editors, translators and so on;
+  // with them the credit line is built from every contributor
+  if (record.fields.some(field => field.tag === '700' && field.subfields)) {
+    const contributors = record.fields
+      .filter(field => ['100', '700'].includes(field.tag) && field.subfields)
+      .map((field) => {
+        const value = code => clean((field.subfields.find(sub => sub.code === code) || {}).value);
+        const relator = (value('e') || value('4') || '').toLowerCase();
+        return { name: value('a'), role: RELATORS[relator] || (field.tag === '100' ? 'author' : 'contributor') };
+      })
+      .filter(contributor => contributor.name);
+
+    if (contributors.length > 0) {
+      book.contributors = contributors;
+      delete book.author;
+    }
+  }
+
+  const publisher = clean(subfield(record, '264', 'b') || subfield(record, '260', 'b'));
+  if (publisher) book.publisher = publisher;
+
+  // Publication year from 264/260 $c, falling back to 008/07-10
+  const dateText = subfield(record, '264', 'c') || subfield(record, '260', 'c') || '';
+  const year = (dateText.match(/(\d{4})/) || [])[1] || (/^\d{4}$/.test(fixed.slice(7, 11)) ? fixed.slice(7, 11) : null);
+  if (year) book.publicationDate = `${year}-01-01`;
+
+  const extent = subfield(record, '300', 'a');
+  const pages = extent && extent.match(/(\d+)\s*p/);
+  if (pages) book.pages = pages[1];
+
+  const summary = subfield(record, '520', 'a');
+  if (summary) book.description = summary.trim();
+
+  const languageCode = (subfield(record, '041', 'a') || fixed.slice(35, 38)).trim().toLowerCase();
+  if (/^[a-z]{3}$/.test(languageCode)) {
+    book.language = LANGUAGES[languageCode] || languageCode;
+  }
+
+  // Subject and genre headings that name one of our genres; otherwise the 008 literary form
+  const headings = record.fields
+    .filter(field => ['655', '650'].includes(field.tag) && field.subfields)
+    .map(field => clean((field.subfields.find(sub => sub.code === 'a') || {}).value))
+    .filter(Boolean);
+  const subjects = [...new Set(headings
+    .map(heading => genres.find(g => g.toLowerCase() === heading.toLowerCase()))
+    .filter(Boolean))];
+  const literaryForm = fixed.charAt(33);
+  book.genre = subjects[0] || (['1', 'f', 'j'].includes(literaryForm) ? 'Fiction' : literaryForm === '0' ? 'Non-Fiction' : 'Other');
+  if (subjects.length > 1) {
+    book.subjects = subjects;
+  }
+
+  // One copy per holdings field
+  const holdings = record.fields.filter(field => field.tag === '852' && field.subfields);
+  if (holdings.length > 0) {
+    book.totalCopies = String(holdings.length);
+    const callNumber = subfield(record, '852', 'h');
+    if (callNumber) book.shelfLocation = callNumber.trim();
+  }
+
+  return book;
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+const MARCXML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`;
+const MARCXML_FOOTER = '</collection>\n';
+
+const datafield = (tag, subfields, ind1 = ' ', ind2 = ' ') => {
+  const present = subfields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (present.length === 0) {
+    return '';
+  }
+  const body = present
+    .map(([code, value]) => `<subfield code="${code}">${escapeXml(value)}</subfield>`)
+    .join('');
+  return `  <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${body}</datafield>\n`;
+};
+
+/**
+ * Write a book as a MARCXML record, using the same fields toBook() reads
+ * @param {Object} book - Book document or plain object
+ * @returns {String} <record> element
+ */
+const toMarcXml = (book) => {
+  const published = book.publicationDate ? new Date(book.publicationDate) : null;
+  const year = published ? String(published.getUTCFullYear()) : '    ';
+  const entered = (book.createdAt ? new Date(book.createdAt) : new Date()).toISOString().slice(2, 10).replace(/-/g, '');
+  const languageCode = Object.keys(LANGUAGES).find(code => LANGUAGES[code] === book.language) ||
+    (/^[a-z]{3}$/.test(book.language || '') ? book.language : 'und');
+  const literaryForm = book.genre === 'Fiction' ? '1' : '0';
+
+  // The first author is the main entry and everyone else an added entry
+  const contributors = book.contributors || [];
+  const mainEntry = contributors.find(contributor => contributor.role === 'author');
+  const addedEntries = contributors.filter(contributor => contributor !== mainEntry);
+
+  // 008: date entered, single known date, place unknown, literary form, language
+  const fixed = `${entered}s${year}    xx ${' '.repeat(12)}000${literaryForm} ${languageCode} d`;
+
+  return '<record>\n' +
+    '  <leader>00000nam a2200000 i 4500</leader>\n' +
+    `  <controlfield tag="001">${escapeXml(book._id)}</controlfield>\n` +
+    `  <controlfield tag="008">${fixed}</controlfield>\n` +
+    datafield('020', [['a', book.isbn]]) +
+    datafield('100', [['a', mainEntry ? mainEntry.name : book.author], ['e', mainEntry && mainEntry.role]], '1') +
+    datafield('245', [['a', book.title]], '1', '0') +
+    datafield('264', [['b', book.publisher], ['c', published ? year : undefined]], ' ', '1') +
+    datafield('300', [['a', book.pages ? `${book.pages} pages` : undefined]]) +
+    datafield('520', [['a', book.description]]) +
+    datafield('655', [['a', book.genre]], ' ', '4') +
+    (book.subjects || []).filter(subject => subject !== book.genre).map(subject => datafield('650', [['a', subject]], ' ', '4')).join('') +
+    addedEntries.map(contributor => datafield('700', [['a', contributor.name], ['e', contributor.role]], '1')).join('') +
+    '</record>\n';
+};
+
+module.exports = {
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+  parseIso2709,
+  parseMarcXml,
+  toBook,
+  toMarcXml
+};
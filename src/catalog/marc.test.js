@@ -0,0 +1,239 @@
+const { MARCXML_HEADER, MARCXML_FOOTER, parseIso2709, parseMarcXml, toBook, toMarcXml } = require('./marc');
+
+const GENRES = ['Fiction', 'Science Fiction', 'History'];
+
+/**
+ * Build an ISO 2709 record from [tag, content] pairs; data field content is
+ * the indicators followed by "$a..." style subfields
+ */
+const iso2709 = (fields) => {
+  const data = fields.map(([tag, content]) => {
+    const value = tag < '010' ? content : content.replace(/\$/g, '\x1f');
+    return Buffer.from(`${value}\x1e`, 'utf8');
+  });
+
+  let position = 0;
+  const directory = fields.map(([tag], i) => {
+    const entry = `${tag}${String(data[i].length).padStart(4, '0')}${String(position).padStart(5, '0')}`;
+    position += data[i].length;
+    return entry;
+  }).join('');
+
+  const baseAddress = 24 + directory.length + 1;
+  const body = Buffer.concat([Buffer.from(`${directory}\x1e`, 'latin1'), ...data, Buffer.from('\x1d', 'latin1')]);
+  const leader = `${String(24 + body.length).padStart(5, '0')}nam a22${String(baseAddress).padStart(5, '0')} i 4500`;
+
+  return Buffer.concat([Buffer.from(leader, 'latin1'), body]);
+};
+
+describe('parseIso2709', () => {
+  it('reads control fields, indicators and subfields', () => {
+    const [record] = parseIso2709(iso2709([
+      ['001', 'rec-1'],
+      ['245', '10$aDune /$cFrank Herbert.']
+    ]));
+
+    expect(record.fields).toEqual([
+      { tag: '001', value: 'rec-1' },
+      {
+        tag: '245',
+        ind1: '1',
+        ind2: '0',
+        subfields: [{ code: 'a', value: 'Dune /' }, { code: 'c', value: 'Frank Herbert.' }]
+      }
+    ]);
+  });
+
+  it('decodes UTF-8 subfield values', () => {
+    const [record] = parseIso2709(iso2709([['100', '1 $aBrontë, Charlotte']]));
+    expect(record.fields[0].subfields[0].value).toBe('Brontë, Charlotte');
+  });
+
+  it('reads several records, allowing line breaks between them', () => {
+    const file = Buffer.concat([
+      iso2709([['245', '10$aFirst']]),
+      Buffer.from('\n'),
+      iso2709([['245', '10$aSecond']])
+    ]);
+
+    expect(parseIso2709(file).map(record => record.fields[0].subfields[0].value)).toEqual(['First', 'Second']);
+  });
+
+  it('reports a broken record without losing the others', () => {
+    const file = Buffer.concat([Buffer.from('too short\x1d'), iso2709([['245', '10$aDune']])]);
+    const records = parseIso2709(file);
+
+    expect(records[0]).toEqual({ error: 'Record is too short' });
+    expect(records[1].fields[0].tag).toBe('245');
+  });
+});
+
+describe('parseMarcXml', () => {
+  it('reads records with or without a namespace prefix', () => {
+    const xml = `<?xml version="1.0"?>
+      <marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+        <marc:record>
+          <marc:leader>00000nam a2200000 i 4500</marc:leader>
+          <marc:controlfield tag="001">rec-1</marc:controlfield>
+          <marc:datafield tag="245" ind1="1" ind2="0">
+            <marc:subfield code="a">Pride &amp; Prejudice</marc:subfield>
+          </marc:datafield>
+        </marc:record>
+        <!-- <record><datafield tag="245"><subfield code="a">Commented out</subfield></datafield></record> -->
+        <record><datafield tag='245'><subfield code='a'>Emma &#233;dition</subfield></datafield></record>
+      </marc:collection>`;
+
+    const records = parseMarcXml(xml);
+
+    expect(records).toHaveLength(2);
+    expect(records[0].leader).toBe('00000nam a2200000 i 4500');
+    expect(records[0].fields).toEqual([
+      { tag: '001', value: 'rec-1' },
+      { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Pride & Prejudice' }] }
+    ]);
+    expect(records[1].fields[0]).toEqual({ tag: '245', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: 'Emma édition' }] });
+  });
+});
+
+describe('toBook', () => {
+  const record = (fields, fixed = '') => ({
+    leader: '',
+    fields: [
+      { tag: '008', value: fixed },
+      ...fields.map(([tag, subfields]) => ({ tag, ind1: ' ', ind2: ' ', subfields: subfields.map(([code, value]) => ({ code, value })) }))
+    ]
+  });
+
+  it('maps the fields a book needs, stripping ISBD punctuation', () => {
+    const book = toBook(record([
+      ['020', [['a', '9780441172719 (pbk.)']]],
+      ['100', [['a', 'Herbert, Frank,']]],
+      ['245', [['a', 'Dune :'], ['b', 'a novel /']]],
+      ['264', [['b', 'Ace Books,'], ['c', '[2005]']]],
+      ['300', [['a', '528 p. ;']]],
+      ['520', [['a', ' Desert planet. ']]],
+      ['650', [['a', 'Science fiction.']]]
+    ], '050101s1965    xx            000 1 eng d'), GENRES);
+
+    expect(book).toEqual({
+      isbn: '9780441172719',
+      title: 'Dune: a novel',
+      author: 'Herbert, Frank',
+      publisher: 'Ace Books',
+      publicationDate: '2005-01-01',
+      pages: '528',
+      description: 'Desert planet.',
+      language: 'English',
+      genre: 'Science Fiction'
+    });
+  });
+
+  it('falls back to the 008 date, language and literary form', () => {
+    const book = toBook(record([['245', [['a', 'Untitled']]]], '050101s1965    xx            000 0 fre d'), GENRES);
+
+    expect(book.publicationDate).toBe('1965-01-01');
+    expect(book.language).toBe('French');
+    expect(book.genre).toBe('Non-Fiction');
+  });
+
+  it('turns added entries into contributors with their roles', () => {
+    const book = toBook(record([
+      ['100', [['a', 'Tolstoy, Leo,'], ['e', 'author.']]],
+      ['700', [['a', 'Pevear, Richard,'], ['e', 'translator.']]],
+      ['700', [['a', 'Volokhonsky, Larissa,'], ['4', 'trl']]],
+      ['700', [['a', 'Someone Else']]]
+    ]), GENRES);
+
+    expect(book.author).toBeUndefined();
+    expect(book.contributors).toEqual([
+      { name: 'Tolstoy, Leo', role: 'author' },
+      { name: 'Pevear, Richard', role: 'translator' },
+      { name: 'Volokhonsky, Larissa', role: 'translator' },
+      { name: 'Someone Else', role: 'contributor' }
+    ]);
+  });
+
+  it('keeps every heading that names a genre as a subject', () => {
+    const book = toBook(record([
+      ['655', [['a', 'fiction']]],
+      ['650', [['a', 'History.']]],
+      ['650', [['a', 'Cooking']]]
+    ]), GENRES);
+
+    expect(book.genre).toBe('Fiction');
+    expect(book.subjects).toEqual(['Fiction', 'History']);
+  });
+
+  it('counts one copy per holding', () => {
+    const book = toBook(record([
+      ['852', [['h', ' FIC HER ']]],
+      ['852', [['h', 'FIC HER']]]
+    ]), GENRES);
+
+    expect(book.totalCopies).toBe('2');
+    expect(book.shelfLocation).toBe('FIC HER');
+  });
+});
+
+describe('toMarcXml', () => {
+  const book = {
+    _id: 'b1',
+    isbn: '9780140449136',
+    title: 'War & Peace <unabridged>',
+    author: 'Leo Tolstoy',
+    contributors: [
+      { name: 'Leo Tolstoy', role: 'author' },
+      { name: 'Richard Pevear', role: 'translator' }
+    ],
+    publisher: 'Vintage',
+    publicationDate: new Date('2008-10-14'),
+    pages: 1296,
+    description: 'Napoleon\u0007 invades Russia.',
+    language: 'Russian',
+    genre: 'Fiction',
+    subjects: ['Fiction', 'History'],
+    createdAt: new Date('2024-03-05')
+  };
+
+  it('escapes markup and drops control characters', () => {
+    const xml = toMarcXml(book);
+
+    expect(xml).toContain('<subfield code="a">War &amp; Peace &lt;unabridged&gt;</subfield>');
+    expect(xml).toContain('<subfield code="a">Napoleon invades Russia.</subfield>');
+  });
+
+  it('writes the date entered, year, literary form and language in 008', () => {
+    const [record] = parseMarcXml(toMarcXml(book));
+    const fixed = record.fields.find(field => field.tag === '008').value;
+
+    expect(fixed.slice(0, 6)).toBe('240305');
+    expect(fixed.slice(7, 11)).toBe('2008');
+    expect(fixed.charAt(33)).toBe('1');
+    expect(fixed.slice(35, 38)).toBe('rus');
+  });
+
+  it('reads back through the import mapping', () => {
+    const [record] = parseMarcXml(MARCXML_HEADER + toMarcXml(book) + MARCXML_FOOTER);
+
+    expect(toBook(record, GENRES)).toEqual({
+      isbn: '9780140449136',
+      title: 'War & Peace <unabridged>',
+      contributors: [
+        { name: 'Leo Tolstoy', role: 'author' },
+        { name: 'Richard Pevear', role: 'translator' }
+      ],
+      publisher: 'Vintage',
+      publicationDate: '2008-01-01',
+      pages: '1296',
+      description: 'Napoleon invades Russia.',
+      language: 'Russian',
+      genre: 'Fiction',
+      subjects: ['Fiction', 'History']
+    });
+  });
+
+  it('uses the credit line when there are no contributors', () => {
+    const [record] = parseMarcXml(toMarcXml({ ...book, contributors: [], author: 'Anonymous' }));
+    expect(toBook(record, GENRES).author).toBe('Anonymous');
+  });
+});
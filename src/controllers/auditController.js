@@ -0,0 +1,35 @@
+const AuditLog = require('../models/AuditLog');
+const { successResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+
+/**
+ * Get the audit log of staff actions
+ * @route GET /api/audit-logs
+ * @access Private (audit:read)
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filter = AuditLog.buildFilter(req.query);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    logs,
+    pagination
+  }, 'Audit log retrieved successfully');
+});
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,14 +1,47 @@
 const User = require('../models/User');
-const JWTUtils = require('../utils/jwt');
+const RevokedToken = require('../models/RevokedToken');
+const tokenService = require('../services/tokenService');
+const authService = require('../services/authService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
 const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
 
+const REFRESH_COOKIE = 'refreshToken';
+
+// Refresh tokens go in an httpOnly cookie when REFRESH_TOKEN_COOKIE=true
+const useRefreshCookie = () => process.env.REFRESH_TOKEN_COOKIE === 'true';
+
+/**
+ * Hand a refresh token to the client, as a cookie or in the response body
+ * @param {Object} res - Express response object
+ * @param {String} refreshToken - Encrypted refresh token
+ * @returns {Object} Fields to merge into the response data
+ */
+const sendRefreshToken = (res, refreshToken) => {
+  if (!useRefreshCookie()) {
+    return { refreshToken };
+  }
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: (parseInt(process.env.REFRESH_TOKEN_COOKIE_DAYS) || 30) * 24 * 60 * 60 * 1000
+  });
+  return {};
+};
+
+// Read the refresh token from the request body or cookie
+const getRefreshToken = (req) => req.body.refreshToken || (req.cookies && req.cookies[REFRESH_COOKIE]);
+
 /**
  * Register a new user
  * @route POST /api/auth/register
  * @access Public
  */
 const register = asyncHandler(async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -21,30 +54,34 @@ const register = asyncHandler(async (req, res) => {
     name,
     email,
     password,
-    role: role || 'Member'
+    // Staff roles are granted by a role manager, never chosen at sign-up
+    role: 'Member',
+    accountStatus: 'Pending'
   });
 
-  // Generate token
-  const token = JWTUtils.generateToken({
-    userId: user._id,
-    email: user.email,
-    role: user.role
-  });
+  // Generate tokens
+  const { token, refreshToken } = await tokenService.issueTokens(user);
 
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
+  const verificationSent = await emailVerificationService.sendVerificationEmail(user);
+
   successResponse(res, {
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      accountStatus: user.accountStatus,
       createdAt: user.createdAt
     },
-    token
-  }, 'User registered successfully', 201);
+    token,
+    ...sendRefreshToken(res, refreshToken)
+  }, verificationSent
+    ? 'User registered successfully. Check your email to verify your address'
+    : 'User registered successfully. The verification email could not be sent; please request a new one', 201);
 });
 
 /**
@@ -55,33 +92,11 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Find user and include password for comparison
-  const user = await User.findOne({ email }).select('+password');
-  
-  if (!user) {
-    return errorResponse(res, 'Invalid email or password', 401);
-  }
-
-  if (!user.isActive) {
-    return errorResponse(res, 'Account has been deactivated', 401);
-  }
+  // Check credentials and lockout state (failed attempts are counted here)
+  const user = await authService.authenticate(email, password);
 
-  // Check password
-  const isPasswordValid = await user.comparePassword(password);
-  if (!isPasswordValid) {
-    return errorResponse(res, 'Invalid email or password', 401);
-  }
-
-  // Generate token
-  const token = JWTUtils.generateToken({
-    userId: user._id,
-    email: user.email,
-    role: user.role
-  });
-
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  // Generate tokens
+  const { token, refreshToken } = await tokenService.issueTokens(user);
 
   successResponse(res, {
     user: {
@@ -89,12 +104,34 @@ const login = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      accountStatus: user.accountStatus,
       lastLogin: user.lastLogin
     },
-    token
+    token,
+    ...sendRefreshToken(res, refreshToken)
   }, 'Login successful');
 });
 
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const currentRefreshToken = getRefreshToken(req);
+
+  if (!currentRefreshToken) {
+    return errorResponse(res, 'Refresh token is required', 401);
+  }
+
+  const { token, refreshToken } = await tokenService.rotateRefreshToken(currentRefreshToken);
+
+  successResponse(res, {
+    token,
+    ...sendRefreshToken(res, refreshToken)
+  }, 'Token refreshed successfully');
+});
+
 /**
  * Get current user profile
  * @route GET /api/auth/me
@@ -102,6 +139,7 @@ const login = asyncHandler(async (req, res) => {
  */
 const getMe = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
+  const permissions = await user.loadPermissions();
   
   successResponse(res, {
     user: {
@@ -109,7 +147,10 @@ const getMe = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      permissions,
       isActive: user.isActive,
+      accountStatus: user.accountStatus,
+      emailVerifiedAt: user.emailVerifiedAt,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
@@ -139,21 +180,35 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   }
 
+  // A new address has to be confirmed again before borrowing
+  const emailChanged = Boolean(email && email !== user.email);
+
   // Update user
   user.name = name || user.name;
   user.email = email || user.email;
+  if (emailChanged) {
+    user.accountStatus = 'Pending';
+    user.emailVerifiedAt = undefined;
+  }
   
   await user.save();
 
+  if (emailChanged) {
+    await emailVerificationService.sendVerificationEmail(user);
+  }
+
   successResponse(res, {
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      accountStatus: user.accountStatus,
       updatedAt: user.updatedAt
     }
-  }, 'Profile updated successfully');
+  }, emailChanged
+    ? 'Profile updated successfully. Check your email to verify your new address'
+    : 'Profile updated successfully');
 });
 
 /**
@@ -177,11 +232,72 @@ const changePassword = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Current password is incorrect', 400);
   }
 
-  // Update password
+  // Update password and sign out every other session
   user.password = newPassword;
+  user.revokeAllTokens();
   await user.save();
 
-  successResponse(res, null, 'Password changed successfully');
+  // Issue fresh tokens so the current device stays signed in
+  const { token, refreshToken } = await tokenService.issueTokens(user);
+
+  successResponse(res, {
+    token,
+    ...sendRefreshToken(res, refreshToken)
+  }, 'Password changed successfully. Other sessions have been signed out');
+});
+
+/**
+ * Request a password reset email
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await passwordResetService.requestPasswordReset(req.body.email);
+
+  // Same response whether or not the account exists
+  successResponse(res, null, 'If an account exists for this email, a password reset link has been sent');
+});
+
+/**
+ * Reset password with a token from the reset email
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  await passwordResetService.resetPassword(token, password);
+
+  successResponse(res, null, 'Password has been reset. Please log in with your new password');
+});
+
+/**
+ * Confirm an email address with the token from the verification email
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await emailVerificationService.verifyEmail(req.body.token);
+
+  successResponse(res, {
+    user: {
+      id: user._id,
+      email: user.email,
+      accountStatus: user.accountStatus,
+      emailVerifiedAt: user.emailVerifiedAt
+    }
+  }, 'Email address verified successfully');
+});
+
+/**
+ * Send a new verification email to the signed-in user
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  await emailVerificationService.resendVerificationEmail(req.user);
+
+  successResponse(res, null, 'Verification email sent');
 });
 
 /**
@@ -190,16 +306,43 @@ const changePassword = asyncHandler(async (req, res) => {
  * @access Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a real application, you might want to maintain a blacklist of tokens
-  // For now, we'll just send a success response
+  // Revoke the token used for this request until it would have expired,
+  // along with the refresh token for this session
+  await RevokedToken.revoke(req.tokenClaims);
+  await tokenService.revokeRefreshToken(getRefreshToken(req));
+
+  if (useRefreshCookie()) {
+    res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+  }
+
   successResponse(res, null, 'Logged out successfully');
 });
 
+/**
+ * Logout user from all devices
+ * @route POST /api/auth/logout-all
+ * @access Private
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  user.revokeAllTokens();
+  await user.save();
+
+  successResponse(res, null, 'Logged out of all devices successfully');
+});
+
 module.exports = {
   register,
   login,
+  refresh,
   getMe,
   updateProfile,
   changePassword,
-  logout
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  logout,
+  logoutAll
 };
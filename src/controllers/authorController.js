@@ -0,0 +1,111 @@
+const Author = require('../models/Author');
+const authorService = require('../services/authorService');
+const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Browse authors
+ * @route GET /api/authors
+ * @access Public
+ */
+const getAuthors = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const { authors, total } = await authorService.listAuthors({ search: req.query.search, page, limit });
+
+  successResponse(res, {
+    authors,
+    pagination: getPaginationData(page, limit, total)
+  }, 'Authors retrieved successfully');
+});
+
+/**
+ * Get an author and the books they contributed to
+ * @route GET /api/authors/:id
+ * @access Public
+ */
+const getAuthorById = asyncHandler(async (req, res) => {
+  const author = await Author.findById(req.params.id);
+
+  if (!author) {
+    return errorResponse(res, 'Author not found', 404);
+  }
+
+  const books = await authorService.getAuthorBooks(author._id);
+
+  // Each book with the roles this author had on it
+  const credits = books.map(book => ({
+    book,
+    roles: book.contributors
+      .filter(contributor => contributor.author.equals(author._id))
+      .map(contributor => contributor.role)
+  }));
+
+  successResponse(res, { author, books: credits, bookCount: books.length }, 'Author retrieved successfully');
+});
+
+/**
+ * Create author
+ * @route POST /api/authors
+ * @access Private (books:write)
+ */
+const createAuthor = asyncHandler(async (req, res) => {
+  const author = await authorService.createAuthor(req.body);
+
+  await audit.record(audit.fromRequest(req), { action: 'author.create', target: author, before: null, after: audit.snapshot(author) });
+
+  successResponse(res, { author }, 'Author created successfully', 201);
+});
+
+/**
+ * Update author
+ * @route PUT /api/authors/:id
+ * @access Private (books:write)
+ */
+const updateAuthor = asyncHandler(async (req, res) => {
+  const existing = await Author.findById(req.params.id);
+  if (!existing) {
+    return errorResponse(res, 'Author not found', 404);
+  }
+
+  const before = audit.snapshot(existing);
+  const author = await authorService.updateAuthor(req.params.id, req.body);
+
+  await audit.record(audit.fromRequest(req), { action: 'author.update', target: author, before, after: audit.snapshot(author) });
+
+  successResponse(res, { author }, 'Author updated successfully');
+});
+
+/**
+ * Merge a duplicate author into this one
+ * @route POST /api/authors/:id/merge
+ * @access Private (books:write)
+ */
+const mergeAuthors = asyncHandler(async (req, res) => {
+  const existing = await Author.findById(req.params.id);
+  if (!existing) {
+    return errorResponse(res, 'Author not found', 404);
+  }
+
+  const before = audit.snapshot(existing);
+  const { author, source, booksUpdated } = await authorService.mergeAuthors(req.params.id, req.body.sourceId);
+
+  await audit.record(audit.fromRequest(req), {
+    action: 'author.merge',
+    target: author,
+    before,
+    after: audit.snapshot(author),
+    details: { mergedAuthor: audit.snapshot(source), booksUpdated }
+  });
+
+  successResponse(res, { author, booksUpdated }, 'Authors merged successfully');
+});
+
+module.exports = {
+  getAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  mergeAuthors
+};
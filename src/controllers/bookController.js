@@ -1,5 +1,21 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const Book = require('../models/Book');
+const Work = require('../models/Work');
+const Genre = require('../models/Genre');
+const BookCopy = require('../models/BookCopy');
+const Reservation = require('../models/Reservation');
+const notificationService = require('../services/notificationService');
+const bookService = require('../services/bookService');
+const bookSearchService = require('../services/bookSearchService');
+const suggestionService = require('../services/suggestionService');
+const catalogImportService = require('../services/catalogImportService');
+const catalogExportService = require('../services/catalogExportService');
 const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+// Facets requested as a comma-separated list, e.g. ?facets=genre,decade
+const parseFacets = (value) => (value ? String(value).split(',').map(name => name.trim()) : []);
 
 /**
  * Get all books with pagination and filtering
@@ -11,31 +27,18 @@ const getBooks = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  // Build filter
-  const filter = { isActive: true };
-  
-  if (req.query.genre) {
-    filter.genre = req.query.genre;
-  }
-  
-  if (req.query.author) {
-    filter.author = { $regex: req.query.author, $options: 'i' };
-  }
-  
-  if (req.query.search) {
-    filter.$or = [
-      { title: { $regex: req.query.search, $options: 'i' } },
-      { author: { $regex: req.query.search, $options: 'i' } },
-      { description: { $regex: req.query.search, $options: 'i' } }
-    ];
-  }
-  
-  if (req.query.available === 'true') {
-    filter.availableCopies = { $gt: 0 };
-  }
+  // Build filter (a genre includes its sub-genres)
+  const filter = Book.buildFilter({
+    genre: req.query.genre && await Genre.withDescendants(req.query.genre),
+    author: req.query.author,
+    authorId: req.query.authorId,
+    workId: req.query.workId,
+    search: req.query.search,
+    available: req.query.available
+  });
 
-  // Build sort
-  let sort = { createdAt: -1 };
+  // Build sort (text searches default to the most relevant first)
+  let sort = filter.$text ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
   if (req.query.sort) {
     const sortField = req.query.sort.startsWith('-') ? req.query.sort.slice(1) : req.query.sort;
     const sortOrder = req.query.sort.startsWith('-') ? -1 : 1;
@@ -43,100 +46,193 @@ const getBooks = asyncHandler(async (req, res) => {
   }
 
   // Execute queries
-  const [books, total] = await Promise.all([
+  const [books, total, facets] = await Promise.all([
     Book.find(filter)
       .sort(sort)
       .skip(skip)
       .limit(limit),
-    Book.countDocuments(filter)
+    Book.countDocuments(filter),
+    Book.getFacets(filter, parseFacets(req.query.facets))
   ]);
 
   const pagination = getPaginationData(page, limit, total);
 
   successResponse(res, {
     books,
-    pagination
+    pagination,
+    ...(facets && { facets })
   }, 'Books retrieved successfully');
 });
 
 /**
- * Get book by ID
+ * Get book by ID or ISBN (ISBN-10 or ISBN-13)
  * @route GET /api/books/:id
  * @access Public
  */
 const getBookById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  const book = await Book.findById(id);
+  const book = await Book.findByIdOrIsbn(id);
   
   if (!book || !book.isActive) {
     return errorResponse(res, 'Book not found', 404);
   }
 
-  successResponse(res, { book }, 'Book retrieved successfully');
+  // Other editions can be borrowed or held when this one is out
+  const [work, anyEdition] = book.work
+    ? await Promise.all([Work.findById(book.work), Work.getEditionSummary(book.work)])
+    : [null, null];
+
+  successResponse(res, { book, work, anyEdition }, 'Book retrieved successfully');
 });
 
 /**
- * Add new book (Admin only)
+ * Add new book
  * @route POST /api/books
- * @access Private/Admin
+ * @access Private (books:write)
  */
 const addBook = asyncHandler(async (req, res) => {
   const {
     title,
     author,
+    contributors,
     isbn,
     publicationDate,
     genre,
+    subjects,
     totalCopies,
     description,
     language,
     publisher,
-    pages
+    pages,
+    shelfLocation,
+    workId,
+    edition
   } = req.body;
 
-  // Check if book with same ISBN already exists
-  const existingBook = await Book.findOne({ isbn });
+  // Check if book with same ISBN already exists (validation has converted it to ISBN-13)
+  const existingBook = await Book.findByIsbn(isbn);
   if (existingBook) {
     return errorResponse(res, 'Book with this ISBN already exists', 400);
   }
 
   // Create new book
-  const book = await Book.create({
+  const book = new Book({
     title,
     author,
+    ...(contributors && { contributors: Book.toContributors(contributors) }),
     isbn,
     publicationDate,
     genre,
+    subjects,
     totalCopies,
     availableCopies: totalCopies, // Initially all copies are available
     description,
     language: language || 'English',
     publisher,
-    pages
+    pages,
+    work: workId || null,
+    edition
   });
 
+  // Create the physical items the counters are derived from
+  await bookService.saveBook(book, async () => {
+    await BookCopy.createCopies(book, totalCopies, { shelfLocation });
+    await book.syncCopyCounts();
+  });
+
+  // Members waiting for any edition of the work get the new copies first
+  if (book.work) {
+    await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+  }
+
+  await audit.record(audit.fromRequest(req), { action: 'book.create', target: book, before: null, after: audit.snapshot(book) });
+
   successResponse(res, { book }, 'Book added successfully', 201);
 });
 
 /**
- * Update book (Admin only)
+ * Import books from a CSV, MARC21 (ISO 2709) or MARCXML file
+ * @route POST /api/books/import
+ * @access Private (books:write)
+ */
+const importBooks = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  const result = await catalogImportService.importBooks(req.body, {
+    format: req.query.format,
+    contentType: req.get('Content-Type'),
+    dryRun
+  });
+
+  if (!dryRun) {
+    await audit.record(audit.fromRequest(req), {
+      action: 'book.import',
+      targetType: 'Book',
+      details: {
+        format: result.format,
+        summary: result.summary,
+        created: result.rows.filter(row => row.status === 'created').map(row => row.bookId),
+        updated: result.rows.filter(row => row.status === 'updated').map(row => row.bookId)
+      }
+    });
+  }
+
+  successResponse(res, result, dryRun ? 'Import preview generated successfully' : 'Books imported successfully');
+});
+
+/**
+ * Export the catalogue as CSV, NDJSON or MARCXML, streamed from a cursor
+ * @route GET /api/books/export
+ * @access Private (books:write)
+ */
+const exportBooks = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  const filter = Book.buildFilter({
+    genre: req.query.genre && await Genre.withDescendants(req.query.genre),
+    author: req.query.author,
+    authorId: req.query.authorId,
+    workId: req.query.workId,
+    search: req.query.search,
+    available: req.query.available,
+    includeInactive: req.query.status === 'all'
+  });
+
+  const { contentType, extension, chunks } = catalogExportService.exportBooks(filter, format);
+  const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  // A failure part-way through reaches the error handler, which logs it and cuts the response short
+  await pipeline(Readable.from(chunks), res);
+});
+
+/**
+ * Update book
  * @route PUT /api/books/:id
- * @access Private/Admin
+ * @access Private (books:write)
  */
 const updateBook = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
     title,
     author,
+    contributors,
     isbn,
     publicationDate,
     genre,
+    subjects,
     totalCopies,
     description,
     language,
     publisher,
-    pages
+    pages,
+    workId,
+    edition
   } = req.body;
 
   const book = await Book.findById(id);
@@ -146,47 +242,57 @@ const updateBook = asyncHandler(async (req, res) => {
 
   // Check if ISBN is being changed and if it's already taken
   if (isbn && isbn !== book.isbn) {
-    const existingBook = await Book.findOne({ isbn });
+    const existingBook = await Book.findByIsbn(isbn);
     if (existingBook) {
       return errorResponse(res, 'Book with this ISBN already exists', 400);
     }
   }
 
+  const before = audit.snapshot(book);
+
   // Update book fields
   book.title = title || book.title;
   book.author = author || book.author;
+  if (contributors) {
+    book.contributors = Book.toContributors(contributors);
+  }
   book.isbn = isbn || book.isbn;
   book.publicationDate = publicationDate || book.publicationDate;
   book.genre = genre || book.genre;
+  if (subjects) {
+    book.subjects = subjects;
+  }
   book.description = description || book.description;
   book.language = language || book.language;
   book.publisher = publisher || book.publisher;
   book.pages = pages || book.pages;
+  book.edition = edition !== undefined ? edition : book.edition;
+  if (workId !== undefined) {
+    book.work = workId || null;
+  }
+  const workChanged = book.isModified('work') && book.work !== null;
 
-  // Handle total copies update
-  if (totalCopies !== undefined) {
-    const borrowedCopies = book.totalCopies - book.availableCopies;
-    
-    if (totalCopies < borrowedCopies) {
-      return errorResponse(res, 
-        `Cannot reduce total copies below ${borrowedCopies} (currently borrowed copies)`, 
-        400
-      );
+  // Handle total copies update by adding or withdrawing items, once the changes are known to be valid
+  await bookService.saveBook(book, async () => {
+    if (totalCopies !== undefined) {
+      await book.setTotalCopies(totalCopies);
     }
-    
-    book.availableCopies = totalCopies - borrowedCopies;
-    book.totalCopies = totalCopies;
+  });
+
+  // New copies, or copies of a newly grouped edition, go to members waiting in the hold queue first
+  if (totalCopies !== undefined || workChanged) {
+    await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
   }
 
-  await book.save();
+  await audit.record(audit.fromRequest(req), { action: 'book.update', target: book, before, after: audit.snapshot(book) });
 
   successResponse(res, { book }, 'Book updated successfully');
 });
 
 /**
- * Delete book (Admin only)
+ * Delete book
  * @route DELETE /api/books/:id
- * @access Private/Admin
+ * @access Private (books:write)
  */
 const deleteBook = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -201,27 +307,42 @@ const deleteBook = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Cannot delete book with borrowed copies', 400);
   }
 
+  const before = audit.snapshot(book);
+
   // Soft delete by deactivating the book
   book.isActive = false;
   await book.save();
 
+  await audit.record(audit.fromRequest(req), { action: 'book.delete', target: book, before, after: audit.snapshot(book) });
+
   successResponse(res, null, 'Book deleted successfully');
 });
 
 /**
- * Get book genres
+ * Get book genres from the genre collection
  * @route GET /api/books/genres
  * @access Public
  */
 const getGenres = asyncHandler(async (req, res) => {
-  const genres = [
-    'Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 
-    'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
-    'Philosophy', 'Religion', 'Self-Help', 'Health', 'Travel', 'Cooking',
-    'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
-  ];
-
-  successResponse(res, { genres }, 'Genres retrieved successfully');
+  // Names for simple pick lists, and the hierarchy for browsing
+  const [names, tree] = await Promise.all([Genre.distinct('name'), Genre.getTree()]);
+  const genres = names.sort((a, b) => a.localeCompare(b));
+
+  successResponse(res, { genres, tree }, 'Genres retrieved successfully');
+});
+
+/**
+ * Suggest titles and authors as the user types, tolerating misspellings
+ * @route GET /api/books/suggest
+ * @access Public
+ */
+const suggestBooks = asyncHandler(async (req, res) => {
+  const suggestions = await suggestionService.suggest(req.query.q, {
+    kind: req.query.kind,
+    limit: parseInt(req.query.limit) || 10
+  });
+
+  successResponse(res, { suggestions, query: req.query.q }, 'Suggestions retrieved successfully');
 });
 
 /**
@@ -233,49 +354,24 @@ const searchBooks = asyncHandler(async (req, res) => {
   const { q, genre, author, available } = req.query;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
 
-  if (!q) {
-    return errorResponse(res, 'Search query is required', 400);
-  }
-
-  // Build search filter
-  const filter = {
-    isActive: true,
-    $or: [
-      { title: { $regex: q, $options: 'i' } },
-      { author: { $regex: q, $options: 'i' } },
-      { description: { $regex: q, $options: 'i' } },
-      { isbn: { $regex: q, $options: 'i' } }
-    ]
-  };
-
-  if (genre) {
-    filter.genre = genre;
-  }
-
-  if (author) {
-    filter.author = { $regex: author, $options: 'i' };
-  }
-
-  if (available === 'true') {
-    filter.availableCopies = { $gt: 0 };
-  }
-
-  // Execute search
-  const [books, total] = await Promise.all([
-    Book.find(filter)
-      .sort({ borrowCount: -1, createdAt: -1 }) // Popular books first
-      .skip(skip)
-      .limit(limit),
-    Book.countDocuments(filter)
-  ]);
+  // Relevance-ranked text search, shared with GraphQL
+  const { books, total, facets } = await bookSearchService.searchBooks({
+    query: q,
+    genre,
+    author,
+    available,
+    facets: parseFacets(req.query.facets),
+    page,
+    limit
+  });
 
   const pagination = getPaginationData(page, limit, total);
 
   successResponse(res, {
     books,
     pagination,
+    ...(facets && { facets }),
     searchQuery: q
   }, 'Search completed successfully');
 });
@@ -284,8 +380,11 @@ module.exports = {
   getBooks,
   getBookById,
   addBook,
+  importBooks,
+  exportBooks,
   updateBook,
   deleteBook,
   getGenres,
-  searchBooks
+  searchBooks,
+  suggestBooks
 };
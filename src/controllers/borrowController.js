@@ -1,7 +1,7 @@
 const BorrowRecord = require('../models/BorrowRecord');
-const Book = require('../models/Book');
-const User = require('../models/User');
-const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const circulationService = require('../services/circulationService');
+const { successResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
 
 /**
  * Borrow a book
@@ -9,61 +9,32 @@ const { successResponse, errorResponse, getPaginationData, asyncHandler } = requ
  * @access Private/Member
  */
 const borrowBook = asyncHandler(async (req, res) => {
-  const { bookId, dueDate } = req.body;
-  const userId = req.user._id;
-
-  // Check if book exists and is available
-  const book = await Book.findById(bookId);
-  if (!book || !book.isActive) {
-    return errorResponse(res, 'Book not found', 404);
-  }
+  const { bookId, workId, dueDate } = req.body;
 
-  if (!book.isAvailable()) {
-    return errorResponse(res, 'Book is not available for borrowing', 400);
-  }
+  // Claims a copy and creates the record in one transaction
+  const borrowRecord = await circulationService.borrowBook(req.user, { bookId, workId, dueDate });
 
-  // Check if user has already borrowed this book and not returned
-  const existingBorrow = await BorrowRecord.findOne({
-    user: userId,
-    book: bookId,
-    status: { $in: ['Borrowed', 'Overdue'] }
-  });
-
-  if (existingBorrow) {
-    return errorResponse(res, 'You have already borrowed this book', 400);
-  }
-
-  // Check if user has reached borrowing limit (e.g., 5 books)
-  const activeBorrows = await BorrowRecord.countDocuments({
-    user: userId,
-    status: { $in: ['Borrowed', 'Overdue'] }
-  });
+  successResponse(res, { borrowRecord }, 'Book borrowed successfully', 201);
+});
 
-  if (activeBorrows >= 5) {
-    return errorResponse(res, 'Borrowing limit reached (maximum 5 books)', 400);
-  }
+/**
+ * Check a book out to a member at the desk
+ * @route POST /api/borrow/checkout
+ * @access Private (circulation:checkout)
+ */
+const checkoutForMember = asyncHandler(async (req, res) => {
+  const { memberId, cardNumber, bookId, workId, dueDate } = req.body;
 
-  // Calculate due date (default 14 days from now)
-  const borrowDueDate = dueDate ? new Date(dueDate) : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000);
+  // Same limit and availability checks as self-service borrowing, recorded against the staff member
+  const borrowRecord = await circulationService.checkoutForMember(req.user, { memberId, cardNumber, bookId, workId, dueDate });
 
-  // Create borrow record
-  const borrowRecord = await BorrowRecord.create({
-    user: userId,
-    book: bookId,
-    dueDate: borrowDueDate
+  await audit.record(audit.fromRequest(req), {
+    action: 'loan.checkout',
+    target: borrowRecord,
+    details: { member: borrowRecord.user._id, book: borrowRecord.book._id, dueDate: borrowRecord.dueDate }
   });
 
-  // Update book availability
-  book.borrowCopy();
-  await book.save();
-
-  // Populate the response
-  await borrowRecord.populate([
-    { path: 'user', select: 'name email' },
-    { path: 'book', select: 'title author isbn' }
-  ]);
-
-  successResponse(res, { borrowRecord }, 'Book borrowed successfully', 201);
+  successResponse(res, { borrowRecord }, 'Book checked out successfully', 201);
 });
 
 /**
@@ -72,38 +43,17 @@ const borrowBook = asyncHandler(async (req, res) => {
  * @access Private/Member
  */
 const returnBook = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user._id;
-
-  // Find borrow record
-  const borrowRecord = await BorrowRecord.findById(id).populate([
-    { path: 'user', select: 'name email' },
-    { path: 'book', select: 'title author isbn' }
-  ]);
-
-  if (!borrowRecord) {
-    return errorResponse(res, 'Borrow record not found', 404);
-  }
+  const borrowRecord = await circulationService.returnBook(req.user, req.params.id);
 
-  // Check if user owns this borrow record or is admin
-  if (borrowRecord.user._id.toString() !== userId.toString() && req.user.role !== 'Admin') {
-    return errorResponse(res, 'Access denied', 403);
+  // Members returning their own loans are ordinary circulation, not staff actions
+  if (!borrowRecord.user._id.equals(req.user._id)) {
+    await audit.record(audit.fromRequest(req), {
+      action: 'loan.return',
+      target: borrowRecord,
+      details: { member: borrowRecord.user._id, book: borrowRecord.book._id, fine: borrowRecord.fine.amount }
+    });
   }
 
-  // Check if book is already returned
-  if (borrowRecord.status === 'Returned') {
-    return errorResponse(res, 'Book has already been returned', 400);
-  }
-
-  // Return the book
-  borrowRecord.returnBook();
-  await borrowRecord.save();
-
-  // Update book availability
-  const book = await Book.findById(borrowRecord.book._id);
-  book.returnCopy();
-  await book.save();
-
   successResponse(res, { borrowRecord }, 'Book returned successfully');
 });
 
@@ -131,6 +81,7 @@ const getBorrowHistory = asyncHandler(async (req, res) => {
   const [borrowRecords, total] = await Promise.all([
     BorrowRecord.find(filter)
       .populate('book', 'title author isbn genre')
+      .populate('copy', 'barcode')
       .sort(sort)
       .skip(skip)
       .limit(limit),
@@ -146,9 +97,9 @@ const getBorrowHistory = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all borrow records (Admin only)
+ * Get all borrow records
  * @route GET /api/borrow
- * @access Private/Admin
+ * @access Private (circulation:checkout)
  */
 const getAllBorrowRecords = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
@@ -166,6 +117,9 @@ const getAllBorrowRecords = asyncHandler(async (req, res) => {
   if (req.query.bookId) {
     filter.book = req.query.bookId;
   }
+  if (req.query.copyId) {
+    filter.copy = req.query.copyId;
+  }
 
   // Build sort
   let sort = { borrowDate: -1 };
@@ -180,6 +134,8 @@ const getAllBorrowRecords = asyncHandler(async (req, res) => {
     BorrowRecord.find(filter)
       .populate('user', 'name email')
       .populate('book', 'title author isbn genre')
+      .populate('copy', 'barcode shelfLocation')
+      .populate('checkedOutBy', 'name email')
       .sort(sort)
       .skip(skip)
       .limit(limit),
@@ -200,50 +156,23 @@ const getAllBorrowRecords = asyncHandler(async (req, res) => {
  * @access Private/Member
  */
 const renewBook = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user._id;
-
-  // Find borrow record
-  const borrowRecord = await BorrowRecord.findById(id).populate([
-    { path: 'user', select: 'name email' },
-    { path: 'book', select: 'title author isbn' }
-  ]);
+  const borrowRecord = await circulationService.renewBook(req.user, req.params.id);
 
-  if (!borrowRecord) {
-    return errorResponse(res, 'Borrow record not found', 404);
-  }
-
-  // Check if user owns this borrow record
-  if (borrowRecord.user._id.toString() !== userId.toString()) {
-    return errorResponse(res, 'Access denied', 403);
-  }
-
-  // Check if book can be renewed
-  if (borrowRecord.status !== 'Borrowed' && borrowRecord.status !== 'Overdue') {
-    return errorResponse(res, 'Only borrowed or overdue books can be renewed', 400);
-  }
-
-  try {
-    borrowRecord.renewBook();
-    await borrowRecord.save();
-
-    successResponse(res, { borrowRecord }, 'Book renewed successfully');
-  } catch (error) {
-    return errorResponse(res, error.message, 400);
-  }
+  successResponse(res, { borrowRecord }, 'Book renewed successfully');
 });
 
 /**
  * Get overdue books
  * @route GET /api/borrow/overdue
- * @access Private/Admin
+ * @access Private (circulation:checkout)
  */
 const getOverdueBooks = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  // Find overdue books
+  // Find overdue books (the overdue sweep flags them periodically; the due date
+  // check catches loans that fell due since its last run)
   const filter = {
     $or: [
       { status: 'Overdue' },
@@ -258,6 +187,7 @@ const getOverdueBooks = asyncHandler(async (req, res) => {
     BorrowRecord.find(filter)
       .populate('user', 'name email')
       .populate('book', 'title author isbn')
+      .populate('copy', 'barcode')
       .sort({ dueDate: 1 })
       .skip(skip)
       .limit(limit),
@@ -295,6 +225,7 @@ const getActiveBorrows = asyncHandler(async (req, res) => {
 
 module.exports = {
   borrowBook,
+  checkoutForMember,
   returnBook,
   getBorrowHistory,
   getAllBorrowRecords,
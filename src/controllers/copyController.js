@@ -0,0 +1,180 @@
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const BorrowRecord = require('../models/BorrowRecord');
+const Reservation = require('../models/Reservation');
+const notificationService = require('../services/notificationService');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Get all copies of a book
+ * @route GET /api/books/:id/copies
+ * @access Private (books:write)
+ */
+const getBookCopies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const book = await Book.findById(id).select('title author isbn totalCopies availableCopies');
+  if (!book) {
+    return errorResponse(res, 'Book not found', 404);
+  }
+
+  const filter = { book: id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const copies = await BookCopy.find(filter).sort({ acquiredDate: 1 });
+
+  successResponse(res, {
+    book,
+    copies,
+    count: copies.length
+  }, 'Book copies retrieved successfully');
+});
+
+/**
+ * Add copies to a book
+ * @route POST /api/books/:id/copies
+ * @access Private (books:write)
+ */
+const addBookCopies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { barcode, shelfLocation, condition, notes } = req.body;
+  const count = parseInt(req.body.count) || 1;
+
+  const book = await Book.findById(id);
+  if (!book || !book.isActive) {
+    return errorResponse(res, 'Book not found', 404);
+  }
+
+  let copies;
+  if (barcode) {
+    // A supplied barcode identifies exactly one item
+    if (count !== 1) {
+      return errorResponse(res, 'A barcode can only be assigned to a single copy', 400);
+    }
+
+    const existingCopy = await BookCopy.findOne({ barcode: barcode.toUpperCase() });
+    if (existingCopy) {
+      return errorResponse(res, 'Copy with this barcode already exists', 400);
+    }
+
+    copies = [await BookCopy.create({ book: book._id, barcode, shelfLocation, condition, notes })];
+  } else {
+    copies = await BookCopy.createCopies(book, count, { shelfLocation, condition });
+  }
+
+  await book.syncCopyCounts();
+  await book.save();
+
+  // New copies go to members waiting in the hold queue first
+  await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+
+  await audit.record(audit.fromRequest(req), {
+    action: 'copy.add',
+    target: book,
+    details: { barcodes: copies.map(copy => copy.barcode) }
+  });
+
+  successResponse(res, {
+    copies,
+    totalCopies: book.totalCopies,
+    availableCopies: book.availableCopies
+  }, 'Book copies added successfully', 201);
+});
+
+/**
+ * Update a copy's details or status
+ * @route PUT /api/books/:id/copies/:copyId
+ * @access Private (books:write)
+ */
+const updateBookCopy = asyncHandler(async (req, res) => {
+  const { id, copyId } = req.params;
+  const { barcode, shelfLocation, condition, status, notes } = req.body;
+
+  const copy = await BookCopy.findOne({ _id: copyId, book: id });
+  if (!copy) {
+    return errorResponse(res, 'Copy not found', 404);
+  }
+
+  // Lent-out and held copies change status through circulation only
+  if (status !== undefined && status !== copy.status) {
+    if (['Borrowed', 'OnHold'].includes(copy.status) && status !== 'Lost') {
+      return errorResponse(res, `Copy is currently ${copy.status === 'OnHold' ? 'on hold' : 'borrowed'} and can only be marked as lost`, 400);
+    }
+    if (['Borrowed', 'OnHold'].includes(status)) {
+      return errorResponse(res, 'Copies are borrowed or held through circulation', 400);
+    }
+  }
+
+  if (barcode && barcode.toUpperCase() !== copy.barcode) {
+    const existingCopy = await BookCopy.findOne({ barcode: barcode.toUpperCase() });
+    if (existingCopy) {
+      return errorResponse(res, 'Copy with this barcode already exists', 400);
+    }
+    copy.barcode = barcode;
+  }
+
+  const wasOnHold = copy.status === 'OnHold';
+  const before = audit.snapshot(copy);
+
+  copy.shelfLocation = shelfLocation !== undefined ? shelfLocation : copy.shelfLocation;
+  copy.condition = condition || copy.condition;
+  copy.status = status || copy.status;
+  copy.notes = notes !== undefined ? notes : copy.notes;
+
+  await copy.save();
+
+  await audit.record(audit.fromRequest(req), { action: 'copy.update', target: copy, before, after: audit.snapshot(copy) });
+
+  // A held copy that went missing puts its hold back at the front of the queue
+  if (wasOnHold && copy.status === 'Lost') {
+    await Reservation.updateOne(
+      { copy: copy._id, status: 'Ready' },
+      { status: 'Waiting', $unset: { copy: 1, readyDate: 1, pickupDeadline: 1 } }
+    );
+  }
+
+  const book = await Book.findById(id);
+  await book.syncCopyCounts();
+  await book.save();
+  await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+
+  successResponse(res, {
+    copy,
+    totalCopies: book.totalCopies,
+    availableCopies: book.availableCopies
+  }, 'Book copy updated successfully');
+});
+
+/**
+ * Look up a copy by barcode
+ * @route GET /api/books/copies/:barcode
+ * @access Private (books:write)
+ */
+const getCopyByBarcode = asyncHandler(async (req, res) => {
+  const { barcode } = req.params;
+
+  const copy = await BookCopy.findOne({ barcode: barcode.toUpperCase() })
+    .populate('book', 'title author isbn');
+
+  if (!copy) {
+    return errorResponse(res, 'Copy not found', 404);
+  }
+
+  // Include who currently has the copy, if anyone
+  const currentBorrow = await BorrowRecord.findOne({
+    copy: copy._id,
+    status: { $in: ['Borrowed', 'Overdue'] }
+  }).populate('user', 'name email');
+
+  successResponse(res, { copy, currentBorrow }, 'Book copy retrieved successfully');
+});
+
+module.exports = {
+  getBookCopies,
+  addBookCopies,
+  updateBookCopy,
+  getCopyByBarcode
+};
@@ -0,0 +1,160 @@
+const FineTransaction = require('../models/FineTransaction');
+const fineService = require('../services/fineService');
+const { successResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Get current user's fine balance and unpaid fines
+ * @route GET /api/fines
+ * @access Private/Member
+ */
+const getMyFines = asyncHandler(async (req, res) => {
+  const summary = await fineService.getFineSummary(req.user._id);
+
+  successResponse(res, summary, 'Fines retrieved successfully');
+});
+
+/**
+ * Get current user's fine ledger
+ * @route GET /api/fines/history
+ * @access Private/Member
+ */
+const getMyFineHistory = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filter = { user: req.user._id };
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [transactions, total] = await Promise.all([
+    FineTransaction.find(filter)
+      .populate({ path: 'borrowRecord', select: 'book dueDate returnDate', populate: { path: 'book', select: 'title author isbn' } })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    FineTransaction.countDocuments(filter)
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    transactions,
+    pagination
+  }, 'Fine history retrieved successfully');
+});
+
+/**
+ * Get the fine ledger for all members
+ * @route GET /api/fines/all
+ * @access Private (fines:manage)
+ */
+const getAllFineTransactions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  if (req.query.userId) {
+    filter.user = req.query.userId;
+  }
+  if (req.query.borrowRecordId) {
+    filter.borrowRecord = req.query.borrowRecordId;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [transactions, total] = await Promise.all([
+    FineTransaction.find(filter)
+      .populate('user', 'name email')
+      .populate('recordedBy', 'name email')
+      .populate({ path: 'borrowRecord', select: 'book dueDate returnDate', populate: { path: 'book', select: 'title author isbn' } })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    FineTransaction.countDocuments(filter)
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    transactions,
+    pagination
+  }, 'Fine transactions retrieved successfully');
+});
+
+/**
+ * Get a member's fine balance and unpaid fines
+ * @route GET /api/fines/users/:userId
+ * @access Private (fines:manage)
+ */
+const getUserFines = asyncHandler(async (req, res) => {
+  const summary = await fineService.getFineSummary(req.params.userId);
+
+  successResponse(res, summary, 'Fines retrieved successfully');
+});
+
+/**
+ * Record a full or partial fine payment
+ * @route POST /api/fines/payments
+ * @access Private (fines:manage)
+ */
+const recordPayment = asyncHandler(async (req, res) => {
+  const { userId, borrowRecordId, amount, method } = req.body;
+
+  const result = await fineService.settleFines(req.user, {
+    userId,
+    borrowRecordId,
+    type: 'Payment',
+    amount: parseFloat(amount),
+    method
+  });
+
+  await audit.record(audit.fromRequest(req), {
+    action: 'fine.payment',
+    target: { _id: userId },
+    targetType: 'User',
+    details: { borrowRecordId, amount: parseFloat(amount), method, balance: result.balance }
+  });
+
+  successResponse(res, result, 'Payment recorded successfully', 201);
+});
+
+/**
+ * Waive all or part of a member's fines
+ * @route POST /api/fines/waivers
+ * @access Private (fines:manage)
+ */
+const waiveFine = asyncHandler(async (req, res) => {
+  const { userId, borrowRecordId, amount, reason } = req.body;
+
+  const result = await fineService.settleFines(req.user, {
+    userId,
+    borrowRecordId,
+    type: 'Waiver',
+    amount: amount !== undefined ? parseFloat(amount) : undefined,
+    reason
+  });
+
+  await audit.record(audit.fromRequest(req), {
+    action: 'fine.waiver',
+    target: { _id: userId },
+    targetType: 'User',
+    details: { borrowRecordId, amount: amount !== undefined ? parseFloat(amount) : undefined, reason, balance: result.balance }
+  });
+
+  successResponse(res, result, 'Fine waived successfully', 201);
+});
+
+module.exports = {
+  getMyFines,
+  getMyFineHistory,
+  getAllFineTransactions,
+  getUserFines,
+  recordPayment,
+  waiveFine
+};
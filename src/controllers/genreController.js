@@ -0,0 +1,89 @@
+const Genre = require('../models/Genre');
+const genreService = require('../services/genreService');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Get all genres, each with its parent
+ * @route GET /api/genres
+ * @access Public
+ */
+const getGenres = asyncHandler(async (req, res) => {
+  const genres = await Genre.find()
+    .populate('parent', 'name')
+    .sort({ name: 1 });
+
+  successResponse(res, { genres }, 'Genres retrieved successfully');
+});
+
+/**
+ * Get a genre with its sub-genres and how many books are shelved under it
+ * @route GET /api/genres/:id
+ * @access Public
+ */
+const getGenreById = asyncHandler(async (req, res) => {
+  const genre = await Genre.findById(req.params.id).populate('parent', 'name');
+
+  if (!genre) {
+    return errorResponse(res, 'Genre not found', 404);
+  }
+
+  const [children, bookCount] = await Promise.all([
+    Genre.find({ parent: genre._id }).sort({ name: 1 }),
+    genreService.countBooks(genre)
+  ]);
+
+  successResponse(res, { genre, children, bookCount }, 'Genre retrieved successfully');
+});
+
+/**
+ * Create genre
+ * @route POST /api/genres
+ * @access Private (genres:manage)
+ */
+const createGenre = asyncHandler(async (req, res) => {
+  const { name, parentId, description } = req.body;
+
+  const genre = await genreService.createGenre({ name, parentId, description });
+
+  await audit.record(audit.fromRequest(req), { action: 'genre.create', target: genre, before: null, after: audit.snapshot(genre) });
+
+  successResponse(res, { genre }, 'Genre created successfully', 201);
+});
+
+/**
+ * Rename, move or describe a genre
+ * @route PUT /api/genres/:id
+ * @access Private (genres:manage)
+ */
+const updateGenre = asyncHandler(async (req, res) => {
+  const { name, parentId, description } = req.body;
+
+  const before = audit.snapshot(await Genre.findById(req.params.id));
+  const genre = await genreService.updateGenre(req.params.id, { name, parentId, description });
+
+  await audit.record(audit.fromRequest(req), { action: 'genre.update', target: genre, before, after: audit.snapshot(genre) });
+
+  successResponse(res, { genre }, 'Genre updated successfully');
+});
+
+/**
+ * Delete a genre that is not in use
+ * @route DELETE /api/genres/:id
+ * @access Private (genres:manage)
+ */
+const deleteGenre = asyncHandler(async (req, res) => {
+  const genre = await genreService.deleteGenre(req.params.id);
+
+  await audit.record(audit.fromRequest(req), { action: 'genre.delete', target: genre, before: audit.snapshot(genre), after: null });
+
+  successResponse(res, null, 'Genre deleted successfully');
+});
+
+module.exports = {
+  getGenres,
+  getGenreById,
+  createGenre,
+  updateGenre,
+  deleteGenre
+};
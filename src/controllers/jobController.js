@@ -0,0 +1,63 @@
+const JobRun = require('../models/JobRun');
+const scheduler = require('../jobs/scheduler');
+const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+
+/**
+ * Get the job run log
+ * @route GET /api/jobs/runs
+ * @access Private (jobs:run)
+ */
+const getJobRuns = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  if (req.query.job) {
+    filter.job = req.query.job;
+  }
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(filter)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    JobRun.countDocuments(filter)
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    runs,
+    jobs: Object.keys(scheduler.JOBS),
+    pagination
+  }, 'Job runs retrieved successfully');
+});
+
+/**
+ * Run the overdue sweep now
+ * @route POST /api/jobs/overdue-sweep
+ * @access Private (jobs:run)
+ */
+const runOverdueSweep = asyncHandler(async (req, res) => {
+  const run = await scheduler.runJob('overdue-sweep', {
+    trigger: 'Manual',
+    triggeredBy: req.user._id
+  });
+
+  if (run.status === 'Failed') {
+    return errorResponse(res, `Overdue sweep failed: ${run.error}`, 500);
+  }
+
+  successResponse(res, { run }, 'Overdue sweep completed');
+});
+
+module.exports = {
+  getJobRuns,
+  runOverdueSweep
+};
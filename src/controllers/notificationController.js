@@ -0,0 +1,115 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+
+const PREFERENCE_FIELDS = ['email', 'inApp', 'dueSoon', 'overdue', 'holdReady', 'dueReminderDays'];
+
+/**
+ * Get current user's notification inbox
+ * @route GET /api/notifications
+ * @access Private/Member
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = { user: req.user._id, inApp: true };
+  if (req.query.unreadOnly === 'true') {
+    filter.isRead = false;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .select('-deliveries -dedupeKey')
+      .populate('book', 'title author isbn')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: req.user._id, inApp: true, isRead: false })
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    notifications,
+    unreadCount,
+    pagination
+  }, 'Notifications retrieved successfully');
+});
+
+/**
+ * Mark a notification as read
+ * @route PUT /api/notifications/:id/read
+ * @access Private/Member
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id, inApp: true })
+    .select('-deliveries -dedupeKey');
+
+  if (!notification) {
+    return errorResponse(res, 'Notification not found', 404);
+  }
+
+  notification.markRead();
+  await notification.save();
+
+  successResponse(res, { notification }, 'Notification marked as read');
+});
+
+/**
+ * Mark all of current user's notifications as read
+ * @route PUT /api/notifications/read-all
+ * @access Private/Member
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { user: req.user._id, inApp: true, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+
+  successResponse(res, { updated: modifiedCount }, 'All notifications marked as read');
+});
+
+/**
+ * Get current user's notification preferences
+ * @route GET /api/notifications/preferences
+ * @access Private/Member
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences');
+
+  successResponse(res, { preferences: user.notificationPreferences }, 'Notification preferences retrieved successfully');
+});
+
+/**
+ * Update current user's notification preferences
+ * @route PUT /api/notifications/preferences
+ * @access Private/Member
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  PREFERENCE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      user.notificationPreferences[field] = req.body[field];
+    }
+  });
+
+  await user.save();
+
+  successResponse(res, { preferences: user.notificationPreferences }, 'Notification preferences updated successfully');
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+};
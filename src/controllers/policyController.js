@@ -0,0 +1,171 @@
+const CirculationPolicy = require('../models/CirculationPolicy');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Get all circulation policies
+ * @route GET /api/policies
+ * @access Private (policies:read)
+ */
+const getPolicies = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+  if (req.query.genre) {
+    filter.genre = req.query.genre;
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  const policies = await CirculationPolicy.find(filter).sort({ role: 1, genre: 1, name: 1 });
+
+  successResponse(res, {
+    policies,
+    defaults: CirculationPolicy.DEFAULT_POLICY
+  }, 'Circulation policies retrieved successfully');
+});
+
+/**
+ * Get the policy that applies to a role and genre
+ * @route GET /api/policies/resolve
+ * @access Private (policies:read)
+ */
+const resolvePolicy = asyncHandler(async (req, res) => {
+  const { role, genre } = req.query;
+
+  const policy = await CirculationPolicy.resolve({ role, genre });
+
+  successResponse(res, { policy, criteria: { role, genre } }, 'Effective policy resolved successfully');
+});
+
+/**
+ * Get circulation policy by ID
+ * @route GET /api/policies/:id
+ * @access Private (policies:read)
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const policy = await CirculationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return errorResponse(res, 'Circulation policy not found', 404);
+  }
+
+  successResponse(res, { policy }, 'Circulation policy retrieved successfully');
+});
+
+/**
+ * Create circulation policy
+ * @route POST /api/policies
+ * @access Private (policies:write)
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    role,
+    genre,
+    loanPeriodDays,
+    maxBorrows,
+    maxRenewals,
+    finePerDay,
+    maxUnpaidFines,
+    isActive
+  } = req.body;
+
+  // Only one policy may cover a role/genre combination
+  const existingPolicy = await CirculationPolicy.findOne({ role: role || null, genre: genre || null });
+  if (existingPolicy) {
+    return errorResponse(res, `Policy "${existingPolicy.name}" already covers this role and genre`, 400);
+  }
+
+  const policy = await CirculationPolicy.create({
+    name,
+    description,
+    role: role || null,
+    genre: genre || null,
+    loanPeriodDays,
+    maxBorrows,
+    maxRenewals,
+    finePerDay,
+    maxUnpaidFines,
+    isActive
+  });
+
+  await audit.record(audit.fromRequest(req), { action: 'policy.create', target: policy, before: null, after: audit.snapshot(policy) });
+
+  successResponse(res, { policy }, 'Circulation policy created successfully', 201);
+});
+
+/**
+ * Update circulation policy
+ * @route PUT /api/policies/:id
+ * @access Private (policies:write)
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await CirculationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return errorResponse(res, 'Circulation policy not found', 404);
+  }
+
+  const before = audit.snapshot(policy);
+
+  const fields = [
+    'name', 'description', 'role', 'genre', 'loanPeriodDays',
+    'maxBorrows', 'maxRenewals', 'finePerDay', 'maxUnpaidFines', 'isActive'
+  ];
+
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      policy[field] = req.body[field] === '' ? null : req.body[field];
+    }
+  });
+
+  // Check that the new scope is not already covered by another policy
+  if (policy.isModified('role') || policy.isModified('genre')) {
+    const existingPolicy = await CirculationPolicy.findOne({
+      _id: { $ne: policy._id },
+      role: policy.role,
+      genre: policy.genre
+    });
+    if (existingPolicy) {
+      return errorResponse(res, `Policy "${existingPolicy.name}" already covers this role and genre`, 400);
+    }
+  }
+
+  await policy.save();
+
+  await audit.record(audit.fromRequest(req), { action: 'policy.update', target: policy, before, after: audit.snapshot(policy) });
+
+  successResponse(res, { policy }, 'Circulation policy updated successfully');
+});
+
+/**
+ * Delete circulation policy
+ * @route DELETE /api/policies/:id
+ * @access Private (policies:write)
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await CirculationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return errorResponse(res, 'Circulation policy not found', 404);
+  }
+
+  await policy.deleteOne();
+
+  await audit.record(audit.fromRequest(req), { action: 'policy.delete', target: policy, before: audit.snapshot(policy), after: null });
+
+  successResponse(res, null, 'Circulation policy deleted successfully');
+});
+
+module.exports = {
+  getPolicies,
+  resolvePolicy,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
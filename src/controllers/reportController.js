@@ -1,12 +1,14 @@
 const Book = require('../models/Book');
+const Genre = require('../models/Genre');
 const User = require('../models/User');
 const BorrowRecord = require('../models/BorrowRecord');
 const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const { containsFilter } = require('../utils/search');
 
 /**
  * Get most borrowed books report
  * @route GET /api/reports/most-borrowed-books
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getMostBorrowedBooks = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
@@ -78,7 +80,7 @@ const getMostBorrowedBooks = asyncHandler(async (req, res) => {
 /**
  * Get most active members report
  * @route GET /api/reports/active-members
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getActiveMembersReport = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
@@ -156,7 +158,7 @@ const getActiveMembersReport = asyncHandler(async (req, res) => {
 /**
  * Get book availability summary
  * @route GET /api/reports/book-availability
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getBookAvailabilityReport = asyncHandler(async (req, res) => {
   const genre = req.query.genre;
@@ -164,8 +166,8 @@ const getBookAvailabilityReport = asyncHandler(async (req, res) => {
 
   // Build filter
   const filter = { isActive: true };
-  if (genre) filter.genre = genre;
-  if (author) filter.author = { $regex: author, $options: 'i' };
+  if (genre) filter.subjects = { $in: await Genre.withDescendants(genre) };
+  if (author) filter.author = containsFilter(author);
 
   const availabilityReport = await Book.aggregate([
     { $match: filter },
@@ -199,38 +201,26 @@ const getBookAvailabilityReport = asyncHandler(async (req, res) => {
     }
   ]);
 
-  // Get genre-wise breakdown
-  const genreBreakdown = await Book.aggregate([
+  // Get genre-wise breakdown; each genre includes its sub-genres, and unfiltered reports list genres with no books too
+  const subjectTotals = await Book.aggregate([
     { $match: filter },
     {
       $group: {
-        _id: '$genre',
+        _id: '$subjects',
         totalBooks: { $sum: 1 },
         totalCopies: { $sum: '$totalCopies' },
         availableCopies: { $sum: '$availableCopies' },
         borrowedCopies: { $sum: { $subtract: ['$totalCopies', '$availableCopies'] } }
       }
-    },
-    {
-      $project: {
-        genre: '$_id',
-        _id: 0,
-        totalBooks: 1,
-        totalCopies: 1,
-        availableCopies: 1,
-        borrowedCopies: 1,
-        availabilityPercentage: {
-          $multiply: [
-            { $divide: ['$availableCopies', '$totalCopies'] },
-            100
-          ]
-        }
-      }
-    },
-    {
-      $sort: { totalBooks: -1 }
     }
   ]);
+  const genreBreakdown = (await Genre.rollUp(subjectTotals, ['totalBooks', 'totalCopies', 'availableCopies', 'borrowedCopies']))
+    .filter(entry => entry.totalBooks > 0 || (!genre && !author))
+    .map(entry => ({
+      ...entry,
+      availabilityPercentage: entry.totalCopies > 0 ? (entry.availableCopies / entry.totalCopies) * 100 : 0
+    }))
+    .sort((a, b) => b.totalBooks - a.totalBooks || a.genre.localeCompare(b.genre));
 
   // Get books with low availability (less than 2 copies available)
   const lowAvailabilityBooks = await Book.find({
@@ -260,7 +250,7 @@ const getBookAvailabilityReport = asyncHandler(async (req, res) => {
 /**
  * Get borrowing trends report
  * @route GET /api/reports/borrowing-trends
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getBorrowingTrendsReport = asyncHandler(async (req, res) => {
   const period = req.query.period || 'monthly'; // daily, weekly, monthly, yearly
@@ -350,7 +340,7 @@ const getBorrowingTrendsReport = asyncHandler(async (req, res) => {
 /**
  * Get library statistics dashboard
  * @route GET /api/reports/dashboard
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getDashboardStats = asyncHandler(async (req, res) => {
   const today = new Date();
@@ -392,23 +382,22 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     .sort({ returnDate: -1 })
     .limit(5);
 
-  // Get popular genres
-  const popularGenres = await Book.aggregate([
+  // Get popular top-level genres, counting the borrows of their sub-genres
+  const subjectBorrows = await Book.aggregate([
     { $match: { isActive: true } },
     {
       $group: {
-        _id: '$genre',
+        _id: '$subjects',
         count: { $sum: 1 },
         totalBorrows: { $sum: '$borrowCount' }
       }
-    },
-    {
-      $sort: { totalBorrows: -1 }
-    },
-    {
-      $limit: 5
     }
   ]);
+  const popularGenres = (await Genre.rollUp(subjectBorrows, ['count', 'totalBorrows']))
+    .filter(entry => !entry.parent && entry.count > 0)
+    .sort((a, b) => b.totalBorrows - a.totalBorrows)
+    .slice(0, 5)
+    .map(({ genre, count, totalBorrows }) => ({ _id: genre, count, totalBorrows }));
 
   successResponse(res, {
     overview: {
@@ -0,0 +1,186 @@
+const Reservation = require('../models/Reservation');
+const Book = require('../models/Book');
+const notificationService = require('../services/notificationService');
+const reservationService = require('../services/reservationService');
+const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+
+// Populate options used when returning a single hold to clients
+const RESERVATION_POPULATE = [
+  { path: 'user', select: 'name email' },
+  { path: 'book', select: 'title author isbn edition' },
+  { path: 'work', select: 'title author' }
+];
+
+/**
+ * Place a hold on a book, or on any edition of a work
+ * @route POST /api/reservations
+ * @access Private/Member
+ */
+const placeHold = asyncHandler(async (req, res) => {
+  const { bookId, workId } = req.body;
+
+  const reservation = await reservationService.placeHold(req.user, { bookId, workId });
+
+  const queuePosition = await reservation.getQueuePosition();
+
+  await reservation.populate(RESERVATION_POPULATE);
+
+  successResponse(res, { reservation, queuePosition }, 'Hold placed successfully', 201);
+});
+
+/**
+ * Get current user's holds
+ * @route GET /api/reservations
+ * @access Private/Member
+ */
+const getMyReservations = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  } else {
+    filter.status = { $in: ['Waiting', 'Ready'] };
+  }
+
+  const reservations = await Reservation.find(filter)
+    .populate('book', 'title author isbn genre edition')
+    .populate('work', 'title author')
+    .sort({ createdAt: 1 });
+
+  // Attach queue positions for holds still waiting
+  const results = await Promise.all(reservations.map(async (reservation) => ({
+    ...reservation.toJSON(),
+    queuePosition: await reservation.getQueuePosition()
+  })));
+
+  successResponse(res, {
+    reservations: results,
+    count: results.length
+  }, 'Reservations retrieved successfully');
+});
+
+/**
+ * Get all holds
+ * @route GET /api/reservations/all
+ * @access Private (circulation:checkout)
+ */
+const getAllReservations = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.userId) {
+    filter.user = req.query.userId;
+  }
+  if (req.query.bookId) {
+    filter.book = req.query.bookId;
+  }
+  if (req.query.workId) {
+    filter.work = req.query.workId;
+  }
+
+  const [reservations, total] = await Promise.all([
+    Reservation.find(filter)
+      .populate('user', 'name email')
+      .populate('book', 'title author isbn edition')
+      .populate('work', 'title author')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Reservation.countDocuments(filter)
+  ]);
+
+  const pagination = getPaginationData(page, limit, total);
+
+  successResponse(res, {
+    reservations,
+    pagination
+  }, 'Reservations retrieved successfully');
+});
+
+/**
+ * Get the hold queue for a book, including holds on any edition of its work
+ * @route GET /api/reservations/book/:bookId
+ * @access Private (circulation:checkout)
+ */
+const getBookQueue = asyncHandler(async (req, res) => {
+  const { bookId } = req.params;
+
+  const book = await Book.findById(bookId).select('title author isbn work totalCopies availableCopies');
+  if (!book) {
+    return errorResponse(res, 'Book not found', 404);
+  }
+
+  const waitingQueue = book.work ? { $or: [{ book: bookId }, { work: book.work, book: null }] } : { book: bookId };
+
+  const [readyHolds, waitingHolds] = await Promise.all([
+    Reservation.find({ book: bookId, status: 'Ready' })
+      .populate('user', 'name email')
+      .populate('copy', 'barcode shelfLocation')
+      .sort({ pickupDeadline: 1 }),
+    Reservation.find({ ...waitingQueue, status: 'Waiting' })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 })
+  ]);
+
+  successResponse(res, {
+    book,
+    readyHolds,
+    waitingHolds,
+    queueLength: waitingHolds.length
+  }, 'Hold queue retrieved successfully');
+});
+
+/**
+ * Cancel a hold
+ * @route PUT /api/reservations/:id/cancel
+ * @access Private/Member
+ */
+const cancelReservation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const reservation = await Reservation.findById(id);
+
+  if (!reservation) {
+    return errorResponse(res, 'Reservation not found', 404);
+  }
+
+  // Check if user owns this reservation or is circulation staff
+  if (reservation.user.toString() !== userId.toString() && !req.user.hasPermission('circulation:checkout')) {
+    return errorResponse(res, 'Access denied', 403);
+  }
+
+  const wasReady = reservation.status === 'Ready';
+
+  try {
+    reservation.cancel();
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+  await reservation.save();
+
+  // A copy set aside for this hold goes to the next member in the queue
+  if (wasReady) {
+    const book = await Book.findById(reservation.book);
+    if (book) {
+      await notificationService.notifyHoldsReadySafely(await Reservation.releaseCopy(book, reservation.copy));
+    }
+  }
+
+  await reservation.populate(RESERVATION_POPULATE);
+
+  successResponse(res, { reservation }, 'Hold cancelled successfully');
+});
+
+module.exports = {
+  placeHold,
+  getMyReservations,
+  getAllReservations,
+  getBookQueue,
+  cancelReservation
+};
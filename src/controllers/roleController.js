@@ -0,0 +1,79 @@
+const Role = require('../models/Role');
+const roleService = require('../services/roleService');
+const { PERMISSIONS } = require('../utils/permissions');
+const { successResponse, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Get all roles
+ * @route GET /api/roles
+ * @access Private (users:read)
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+
+  successResponse(res, { roles }, 'Roles retrieved successfully');
+});
+
+/**
+ * Get the permissions that can be granted to roles
+ * @route GET /api/roles/permissions
+ * @access Private (roles:manage)
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+  successResponse(res, { permissions }, 'Permissions retrieved successfully');
+});
+
+/**
+ * Create a role
+ * @route POST /api/roles
+ * @access Private (roles:manage)
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await roleService.createRole({ name, description, permissions });
+
+  await audit.record(audit.fromRequest(req), { action: 'role.create', target: role, before: null, after: audit.snapshot(role) });
+
+  successResponse(res, { role }, 'Role created successfully', 201);
+});
+
+/**
+ * Update a role's description or permissions
+ * @route PUT /api/roles/:id
+ * @access Private (roles:manage)
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const { description, permissions } = req.body;
+
+  const before = audit.snapshot(await Role.findById(req.params.id));
+  const role = await roleService.updateRole(req.params.id, { description, permissions });
+
+  await audit.record(audit.fromRequest(req), { action: 'role.update', target: role, before, after: audit.snapshot(role) });
+
+  successResponse(res, { role }, 'Role updated successfully');
+});
+
+/**
+ * Delete a role that is not in use
+ * @route DELETE /api/roles/:id
+ * @access Private (roles:manage)
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await roleService.deleteRole(req.params.id);
+
+  await audit.record(audit.fromRequest(req), { action: 'role.delete', target: role, before: audit.snapshot(role), after: null });
+
+  successResponse(res, null, 'Role deleted successfully');
+});
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
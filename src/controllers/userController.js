@@ -1,10 +1,14 @@
 const User = require('../models/User');
+const libraryCardService = require('../services/libraryCardService');
+const userService = require('../services/userService');
 const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const { containsFilter } = require('../utils/search');
+const audit = require('../utils/audit');
 
 /**
- * Get all users (Admin only)
+ * Get all users
  * @route GET /api/users
- * @access Private/Admin
+ * @access Private (users:read)
  */
 const getUsers = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
@@ -21,8 +25,8 @@ const getUsers = asyncHandler(async (req, res) => {
   }
   if (req.query.search) {
     filter.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { email: { $regex: req.query.search, $options: 'i' } }
+      { name: containsFilter(req.query.search) },
+      { email: containsFilter(req.query.search) }
     ];
   }
 
@@ -53,15 +57,15 @@ const getUsers = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get user by ID (Admin or own profile)
+ * Get user by ID (own profile, or users:read)
  * @route GET /api/users/:id
  * @access Private
  */
 const getUserById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  // Check if user is trying to access their own profile or is admin
-  if (req.user.role !== 'Admin' && req.user._id.toString() !== id) {
+  // Check if user is trying to access their own profile or may view any account
+  if (!req.user.hasPermission('users:read') && req.user._id.toString() !== id) {
     return errorResponse(res, 'Access denied', 403);
   }
 
@@ -75,13 +79,18 @@ const getUserById = asyncHandler(async (req, res) => {
 });
 
 /**
- * Create new user (Admin only)
+ * Create new user
  * @route POST /api/users
- * @access Private/Admin
+ * @access Private (users:write)
  */
 const createUser = asyncHandler(async (req, res) => {
   const { name, email, password, role } = req.body;
 
+  // Granting anything beyond the default role is for role managers
+  if (role && role !== 'Member' && !req.user.hasPermission('roles:manage')) {
+    return errorResponse(res, 'Access denied. Missing permission: roles:manage', 403);
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({ email });
   if (existingUser) {
@@ -96,6 +105,8 @@ const createUser = asyncHandler(async (req, res) => {
     role: role || 'Member'
   });
 
+  await audit.record(audit.fromRequest(req), { action: 'user.create', target: user, before: null, after: audit.snapshot(user) });
+
   successResponse(res, {
     user: {
       id: user._id,
@@ -109,50 +120,17 @@ const createUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update user (Admin or own profile)
+ * Update user (own profile, or users:write)
  * @route PUT /api/users/:id
  * @access Private
  */
 const updateUser = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { name, email, role, isActive } = req.body;
-  
-  // Check permissions
-  const isOwnProfile = req.user._id.toString() === id;
-  const isAdmin = req.user.role === 'Admin';
-  
-  if (!isOwnProfile && !isAdmin) {
-    return errorResponse(res, 'Access denied', 403);
-  }
-
-  const user = await User.findById(id);
-  if (!user) {
-    return errorResponse(res, 'User not found', 404);
-  }
+  const { name, email, role, isActive, accountStatus } = req.body;
 
-  // Check if email is being changed and if it's already taken
-  if (email && email !== user.email) {
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return errorResponse(res, 'Email already in use', 400);
-    }
-  }
+  const before = audit.snapshot(await User.findById(req.params.id));
+  const user = await userService.updateUser(req.user, req.params.id, { name, email, role, isActive, accountStatus });
 
-  // Only admins can change role and isActive status
-  if (!isAdmin && (role !== undefined || isActive !== undefined)) {
-    return errorResponse(res, 'Only admins can change role or account status', 403);
-  }
-
-  // Update user
-  user.name = name || user.name;
-  user.email = email || user.email;
-  
-  if (isAdmin) {
-    if (role !== undefined) user.role = role;
-    if (isActive !== undefined) user.isActive = isActive;
-  }
-
-  await user.save();
+  await audit.record(audit.fromRequest(req), { action: 'user.update', target: user, before, after: audit.snapshot(user) });
 
   successResponse(res, {
     user: {
@@ -161,15 +139,16 @@ const updateUser = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       isActive: user.isActive,
+      accountStatus: user.accountStatus,
       updatedAt: user.updatedAt
     }
   }, 'User updated successfully');
 });
 
 /**
- * Delete user (Admin only)
+ * Delete user
  * @route DELETE /api/users/:id
- * @access Private/Admin
+ * @access Private (users:write)
  */
 const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -184,17 +163,89 @@ const deleteUser = asyncHandler(async (req, res) => {
     return errorResponse(res, 'User not found', 404);
   }
 
+  const before = audit.snapshot(user);
+
   // Soft delete by deactivating the account
   user.isActive = false;
   await user.save();
 
+  await audit.record(audit.fromRequest(req), { action: 'user.delete', target: user, before, after: audit.snapshot(user) });
+
   successResponse(res, null, 'User deactivated successfully');
 });
 
 /**
- * Get user statistics (Admin only)
+ * Unlock a user locked out by failed logins
+ * @route PUT /api/users/:id/unlock
+ * @access Private (users:write)
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return errorResponse(res, 'User not found', 404);
+  }
+
+  const before = audit.snapshot(user);
+
+  // Also resets the backoff so the next lock starts from the base duration
+  user.clearLoginFailures();
+  await user.save();
+
+  await audit.record(audit.fromRequest(req), { action: 'user.unlock', target: user, before, after: audit.snapshot(user) });
+
+  successResponse(res, { user }, 'User unlocked successfully');
+});
+
+/**
+ * Look up a member by library card number
+ * @route GET /api/users/cards/:cardNumber
+ * @access Private (circulation:checkout)
+ */
+const getUserByCard = asyncHandler(async (req, res) => {
+  const { member, cardStatus, activeBorrows, fineBalance } = await libraryCardService.lookupCard(req.params.cardNumber);
+
+  successResponse(res, {
+    user: {
+      id: member._id,
+      name: member.name,
+      email: member.email,
+      role: member.role,
+      isActive: member.isActive,
+      accountStatus: member.accountStatus,
+      libraryCard: member.libraryCard
+    },
+    cardStatus,
+    activeBorrows,
+    fineBalance
+  }, 'Member retrieved successfully');
+});
+
+/**
+ * Renew, block, unblock or replace a member's library card
+ * @route PUT /api/users/:id/card/:action
+ * @access Private (circulation:checkout)
+ */
+const updateLibraryCard = asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+
+  const user = await libraryCardService.updateCard(id, action, { reason: req.body.reason });
+
+  await audit.record(audit.fromRequest(req), {
+    action: `card.${action}`,
+    target: user,
+    details: { cardNumber: user.libraryCard.number, reason: req.body.reason }
+  });
+
+  successResponse(res, {
+    libraryCard: user.libraryCard,
+    cardStatus: user.getCardStatus()
+  }, 'Library card updated successfully');
+});
+
+/**
+ * Get user statistics
  * @route GET /api/users/stats
- * @access Private/Admin
+ * @access Private (reports:read)
  */
 const getUserStats = asyncHandler(async (req, res) => {
   const stats = await User.aggregate([
@@ -237,5 +288,8 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  unlockUser,
+  getUserByCard,
+  updateLibraryCard,
   getUserStats
 };
@@ -0,0 +1,109 @@
+const Work = require('../models/Work');
+const workService = require('../services/workService');
+const { successResponse, errorResponse, getPaginationData, asyncHandler } = require('../utils/helpers');
+const audit = require('../utils/audit');
+
+/**
+ * Browse works, e.g. the books in a series
+ * @route GET /api/works
+ * @access Public
+ */
+const getWorks = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filter = Work.buildFilter({ search: req.query.search, series: req.query.series });
+
+  // Series read best in order; everything else alphabetically
+  const sort = req.query.series ? { 'series.name': 1, 'series.number': 1 } : { title: 1 };
+
+  const [works, total] = await Promise.all([
+    Work.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit),
+    Work.countDocuments(filter)
+  ]);
+
+  successResponse(res, {
+    works,
+    pagination: getPaginationData(page, limit, total)
+  }, 'Works retrieved successfully');
+});
+
+/**
+ * Get a work with its editions and how many copies of any edition are on the shelf
+ * @route GET /api/works/:id
+ * @access Public
+ */
+const getWorkById = asyncHandler(async (req, res) => {
+  const work = await Work.findById(req.params.id);
+
+  if (!work) {
+    return errorResponse(res, 'Work not found', 404);
+  }
+
+  const anyEdition = await Work.getEditionSummary(work._id);
+
+  successResponse(res, { work, anyEdition }, 'Work retrieved successfully');
+});
+
+/**
+ * Create work
+ * @route POST /api/works
+ * @access Private (books:write)
+ */
+const createWork = asyncHandler(async (req, res) => {
+  const work = await workService.createWork(req.body);
+
+  await audit.record(audit.fromRequest(req), {
+    action: 'work.create',
+    target: work,
+    before: null,
+    after: audit.snapshot(work),
+    details: req.body.bookIds ? { editions: req.body.bookIds } : undefined
+  });
+
+  successResponse(res, { work }, 'Work created successfully', 201);
+});
+
+/**
+ * Update work
+ * @route PUT /api/works/:id
+ * @access Private (books:write)
+ */
+const updateWork = asyncHandler(async (req, res) => {
+  const existing = await Work.findById(req.params.id);
+  if (!existing) {
+    return errorResponse(res, 'Work not found', 404);
+  }
+
+  const before = audit.snapshot(existing);
+  const work = await workService.updateWork(req.params.id, req.body);
+
+  await audit.record(audit.fromRequest(req), { action: 'work.update', target: work, before, after: audit.snapshot(work) });
+
+  successResponse(res, { work }, 'Work updated successfully');
+});
+
+/**
+ * Delete work; its editions become stand-alone books
+ * @route DELETE /api/works/:id
+ * @access Private (books:write)
+ */
+const deleteWork = asyncHandler(async (req, res) => {
+  const work = await workService.deleteWork(req.params.id);
+
+  await audit.record(audit.fromRequest(req), { action: 'work.delete', target: work, before: audit.snapshot(work), after: null });
+
+  successResponse(res, null, 'Work deleted successfully');
+});
+
+module.exports = {
+  getWorks,
+  getWorkById,
+  createWork,
+  updateWork,
+  deleteWork
+};
@@ -1,9 +1,42 @@
 const User = require('../models/User');
 const Book = require('../models/Book');
+const Author = require('../models/Author');
+const Work = require('../models/Work');
+const Genre = require('../models/Genre');
+const BookCopy = require('../models/BookCopy');
 const BorrowRecord = require('../models/BorrowRecord');
-const JWTUtils = require('../utils/jwt');
+const Reservation = require('../models/Reservation');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const FineTransaction = require('../models/FineTransaction');
+const JobRun = require('../models/JobRun');
+const Notification = require('../models/Notification');
+const RevokedToken = require('../models/RevokedToken');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
 const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
 const { getPaginationData } = require('../utils/helpers');
+const { PERMISSIONS } = require('../utils/permissions');
+const { containsFilter } = require('../utils/search');
+const { normalizeIsbn } = require('../utils/isbn');
+const circulationService = require('../services/circulationService');
+const fineService = require('../services/fineService');
+const bookService = require('../services/bookService');
+const bookSearchService = require('../services/bookSearchService');
+const authorService = require('../services/authorService');
+const genreService = require('../services/genreService');
+const workService = require('../services/workService');
+const reservationService = require('../services/reservationService');
+const userService = require('../services/userService');
+const notificationService = require('../services/notificationService');
+const suggestionService = require('../services/suggestionService');
+const scheduler = require('../jobs/scheduler');
+const tokenService = require('../services/tokenService');
+const authService = require('../services/authService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const roleService = require('../services/roleService');
+const libraryCardService = require('../services/libraryCardService');
+const audit = require('../utils/audit');
 
 // Helper function to check authentication
 const requireAuth = (user) => {
@@ -12,18 +45,33 @@ const requireAuth = (user) => {
   }
 };
 
-// Helper function to check admin role
-const requireAdmin = (user) => {
+// Helper function to check the permissions granted by the user's role
+const requirePermission = (user, ...permissions) => {
   requireAuth(user);
-  if (user.role !== 'Admin') {
-    throw new ForbiddenError('Admin access required');
+  const missing = permissions.filter(permission => !user.hasPermission(permission));
+  if (missing.length > 0) {
+    throw new ForbiddenError(`Missing permission: ${missing.join(', ')}`);
   }
 };
 
-// Helper function to check ownership or admin
-const checkOwnershipOrAdmin = (user, resourceUserId) => {
+// Helper function to turn service errors into GraphQL errors
+const toGraphQLError = (error) => {
+  if (!error.statusCode) {
+    throw error;
+  }
+  if (error.statusCode === 401) {
+    throw new AuthenticationError(error.message);
+  }
+  if (error.statusCode === 403) {
+    throw new ForbiddenError(error.message);
+  }
+  throw new UserInputError(error.message);
+};
+
+// Helper function to check ownership or a permission covering every user's resources
+const checkOwnershipOrPermission = (user, resourceUserId, permission) => {
   requireAuth(user);
-  if (user.role !== 'Admin' && user._id.toString() !== resourceUserId.toString()) {
+  if (!user.hasPermission(permission) && user._id.toString() !== resourceUserId.toString()) {
     throw new ForbiddenError('You can only access your own resources');
   }
 };
@@ -37,7 +85,7 @@ const resolvers = {
     },
 
     users: async (_, { pagination = {}, filter = {}, sort }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'users:read');
       
       const page = pagination.page || 1;
       const limit = pagination.limit || 10;
@@ -49,8 +97,8 @@ const resolvers = {
       if (filter.isActive !== undefined) mongoFilter.isActive = filter.isActive;
       if (filter.search) {
         mongoFilter.$or = [
-          { name: { $regex: filter.search, $options: 'i' } },
-          { email: { $regex: filter.search, $options: 'i' } }
+          { name: containsFilter(filter.search) },
+          { email: containsFilter(filter.search) }
         ];
       }
 
@@ -74,7 +122,7 @@ const resolvers = {
     },
 
     user: async (_, { id }, { user }) => {
-      checkOwnershipOrAdmin(user, id);
+      checkOwnershipOrPermission(user, id, 'users:read');
       const foundUser = await User.findById(id);
       if (!foundUser) {
         throw new UserInputError('User not found');
@@ -83,98 +131,168 @@ const resolvers = {
     },
 
     // Book queries
-    books: async (_, { pagination = {}, filter = {}, sort }) => {
+    books: async (_, { pagination = {}, filter = {}, sort, facets }) => {
       const page = pagination.page || 1;
       const limit = pagination.limit || 10;
       const skip = (page - 1) * limit;
 
       // Build filter
-      const mongoFilter = { isActive: true };
-      if (filter.genre) mongoFilter.genre = filter.genre;
-      if (filter.author) mongoFilter.author = { $regex: filter.author, $options: 'i' };
-      if (filter.search) {
-        mongoFilter.$or = [
-          { title: { $regex: filter.search, $options: 'i' } },
-          { author: { $regex: filter.search, $options: 'i' } },
-          { description: { $regex: filter.search, $options: 'i' } }
-        ];
+      let mongoFilter;
+      try {
+        mongoFilter = Book.buildFilter({
+          genre: filter.genre && await Genre.withDescendants(filter.genre),
+          author: filter.author,
+          authorId: filter.authorId,
+          workId: filter.workId,
+          search: filter.search,
+          available: filter.available
+        });
+      } catch (error) {
+        toGraphQLError(error);
       }
-      if (filter.available) mongoFilter.availableCopies = { $gt: 0 };
 
-      // Build sort
-      let mongoSort = { createdAt: -1 };
+      // Build sort (text searches default to the most relevant first)
+      let mongoSort = mongoFilter.$text ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
       if (sort) {
         const sortField = sort.startsWith('-') ? sort.slice(1) : sort;
         const sortOrder = sort.startsWith('-') ? -1 : 1;
         mongoSort = { [sortField]: sortOrder };
       }
 
-      const [books, total] = await Promise.all([
+      const [books, total, facetCounts] = await Promise.all([
         Book.find(mongoFilter).sort(mongoSort).skip(skip).limit(limit),
-        Book.countDocuments(mongoFilter)
+        Book.countDocuments(mongoFilter),
+        Book.getFacets(mongoFilter, facets)
       ]);
 
       return {
         books,
-        pagination: getPaginationData(page, limit, total)
+        pagination: getPaginationData(page, limit, total),
+        facets: facetCounts
       };
     },
 
     book: async (_, { id }) => {
-      const book = await Book.findById(id);
+      const book = await Book.findByIdOrIsbn(id);
       if (!book || !book.isActive) {
         throw new UserInputError('Book not found');
       }
       return book;
     },
 
-    genres: () => {
-      return [
-        'Fiction', 'NonFiction', 'ScienceFiction', 'Fantasy', 'Mystery', 
-        'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
-        'Philosophy', 'Religion', 'SelfHelp', 'Health', 'Travel', 'Cooking',
-        'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
-      ];
+    genres: async () => {
+      const names = await Genre.distinct('name');
+      return names.sort((a, b) => a.localeCompare(b));
+    },
+
+    genreTree: async () => {
+      return await Genre.find({ parent: null }).sort({ name: 1 });
     },
 
-    searchBooks: async (_, { query, pagination = {}, filter = {} }) => {
-      if (!query) {
-        throw new UserInputError('Search query is required');
+    genre: async (_, { id }) => {
+      const genre = await Genre.findById(id);
+      if (!genre) {
+        throw new UserInputError('Genre not found');
       }
+      return genre;
+    },
 
+    searchBooks: async (_, { query, pagination = {}, filter = {}, facets }) => {
       const page = pagination.page || 1;
       const limit = pagination.limit || 10;
-      const skip = (page - 1) * limit;
 
-      // Build search filter
-      const mongoFilter = {
-        isActive: true,
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { author: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { isbn: { $regex: query, $options: 'i' } }
-        ]
+      const { books, total, facets: facetCounts } = await bookSearchService.searchBooks({
+        query,
+        genre: filter.genre,
+        author: filter.author,
+        available: filter.available,
+        facets,
+        page,
+        limit
+      }).catch(toGraphQLError);
+
+      return {
+        books,
+        pagination: getPaginationData(page, limit, total),
+        facets: facetCounts
       };
+    },
 
-      if (filter.genre) mongoFilter.genre = filter.genre;
-      if (filter.author) mongoFilter.author = { $regex: filter.author, $options: 'i' };
-      if (filter.available) mongoFilter.availableCopies = { $gt: 0 };
+    suggestBooks: async (_, { query, kind, limit = 10 }) => {
+      if (limit < 1 || limit > 20) {
+        throw new UserInputError('Limit must be between 1 and 20');
+      }
+      return await suggestionService.suggest(query, { kind, limit }).catch(toGraphQLError);
+    },
 
-      const [books, total] = await Promise.all([
-        Book.find(mongoFilter)
-          .sort({ borrowCount: -1, createdAt: -1 })
-          .skip(skip)
-          .limit(limit),
-        Book.countDocuments(mongoFilter)
+    bookCopies: async (_, { bookId, status }, { user }) => {
+      requirePermission(user, 'books:write');
+
+      const mongoFilter = { book: bookId };
+      if (status) mongoFilter.status = status;
+
+      return await BookCopy.find(mongoFilter).populate('book').sort({ acquiredDate: 1 });
+    },
+
+    copyByBarcode: async (_, { barcode }, { user }) => {
+      requirePermission(user, 'books:write');
+
+      const copy = await BookCopy.findOne({ barcode: barcode.toUpperCase() }).populate('book');
+      if (!copy) {
+        throw new UserInputError('Copy not found');
+      }
+      return copy;
+    },
+
+    // Work queries
+    works: async (_, { search, series, pagination = {} }) => {
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = Work.buildFilter({ search, series });
+      const mongoSort = series ? { 'series.name': 1, 'series.number': 1 } : { title: 1 };
+
+      const [works, total] = await Promise.all([
+        Work.find(mongoFilter).sort(mongoSort).skip(skip).limit(limit),
+        Work.countDocuments(mongoFilter)
       ]);
 
       return {
-        books,
+        works,
         pagination: getPaginationData(page, limit, total)
       };
     },
 
+    work: async (_, { id }) => {
+      const work = await Work.findById(id);
+      if (!work) {
+        throw new UserInputError('Work not found');
+      }
+      return work;
+    },
+
+    // Author queries
+    authors: async (_, { search, pagination = {} }) => {
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+
+      const { authors, total } = await authorService.listAuthors({ search, page, limit });
+
+      return {
+        authors,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
+    author: async (_, { id }) => {
+      const author = await Author.findById(id);
+      if (!author) {
+        throw new UserInputError('Author not found');
+      }
+      return author;
+    },
+
     // Borrow queries
     borrowHistory: async (_, { pagination = {}, filter = {} }, { user }) => {
       requireAuth(user);
@@ -214,7 +332,7 @@ const resolvers = {
     },
 
     allBorrowRecords: async (_, { pagination = {}, filter = {}, sort }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'circulation:checkout');
       
       const page = pagination.page || 1;
       const limit = pagination.limit || 10;
@@ -249,7 +367,7 @@ const resolvers = {
     },
 
     overdueBooks: async (_, { pagination = {} }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'circulation:checkout');
       
       const page = pagination.page || 1;
       const limit = pagination.limit || 10;
@@ -278,9 +396,199 @@ const resolvers = {
       };
     },
 
+    // Reservation queries
+    myReservations: async (_, { status }, { user }) => {
+      requireAuth(user);
+
+      const mongoFilter = { user: user._id };
+      mongoFilter.status = status || { $in: ['Waiting', 'Ready'] };
+
+      return await Reservation.find(mongoFilter)
+        .populate('book')
+        .populate('work')
+        .populate('user')
+        .sort({ createdAt: 1 });
+    },
+
+    bookQueue: async (_, { bookId }, { user }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      // Holds on the book's work wait for this edition too
+      const book = await Book.findById(bookId).select('work');
+      const queue = book && book.work ? { $or: [{ book: bookId }, { work: book.work, book: null }] } : { book: bookId };
+
+      return await Reservation.find({
+        $or: [{ ...queue, status: 'Waiting' }, { book: bookId, status: 'Ready' }]
+      })
+        .populate('book')
+        .populate('work')
+        .populate('user')
+        .sort({ createdAt: 1 });
+    },
+
+    // Fine queries
+    myFines: async (_, __, { user }) => {
+      requireAuth(user);
+      return await fineService.getFineSummary(user._id);
+    },
+
+    myFineHistory: async (_, { pagination = {}, type }, { user }) => {
+      requireAuth(user);
+
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = { user: user._id };
+      if (type) mongoFilter.type = type;
+
+      const [transactions, total] = await Promise.all([
+        FineTransaction.find(mongoFilter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        FineTransaction.countDocuments(mongoFilter)
+      ]);
+
+      return {
+        transactions,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
+    userFines: async (_, { userId }, { user }) => {
+      requirePermission(user, 'fines:manage');
+      return await fineService.getFineSummary(userId);
+    },
+
+    fineTransactions: async (_, { pagination = {}, filter = {} }, { user }) => {
+      requirePermission(user, 'fines:manage');
+
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = {};
+      if (filter.userId) mongoFilter.user = filter.userId;
+      if (filter.borrowRecordId) mongoFilter.borrowRecord = filter.borrowRecordId;
+      if (filter.type) mongoFilter.type = filter.type;
+
+      const [transactions, total] = await Promise.all([
+        FineTransaction.find(mongoFilter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        FineTransaction.countDocuments(mongoFilter)
+      ]);
+
+      return {
+        transactions,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
+    // Library card queries
+    memberByCard: async (_, { cardNumber }, { user }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      const { member, ...lookup } = await libraryCardService.lookupCard(cardNumber).catch(toGraphQLError);
+      return { user: member, ...lookup };
+    },
+
+    // Role queries
+    roles: async (_, __, { user }) => {
+      requirePermission(user, 'users:read');
+      return await Role.find().sort({ builtIn: -1, name: 1 });
+    },
+
+    permissions: async (_, __, { user }) => {
+      requirePermission(user, 'roles:manage');
+      return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+    },
+
+    // Circulation policy queries
+    circulationPolicies: async (_, __, { user }) => {
+      requirePermission(user, 'policies:read');
+      return await CirculationPolicy.find().sort({ role: 1, genre: 1, name: 1 });
+    },
+
+    effectivePolicy: async (_, { role, genre }, { user }) => {
+      requirePermission(user, 'policies:read');
+      return await CirculationPolicy.resolve({ role, genre });
+    },
+
+    // Notification queries
+    notifications: async (_, { unreadOnly, type, pagination = {} }, { user }) => {
+      requireAuth(user);
+
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = { user: user._id, inApp: true };
+      if (unreadOnly) mongoFilter.isRead = false;
+      if (type) mongoFilter.type = type;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(mongoFilter).populate('book').sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Notification.countDocuments(mongoFilter),
+        Notification.countDocuments({ user: user._id, inApp: true, isRead: false })
+      ]);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
+    notificationPreferences: async (_, __, { user }) => {
+      requireAuth(user);
+      const currentUser = await User.findById(user._id).select('notificationPreferences');
+      return currentUser.notificationPreferences;
+    },
+
+    // Job queries
+    jobRuns: async (_, { job, status, pagination = {} }, { user }) => {
+      requirePermission(user, 'jobs:run');
+
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = {};
+      if (job) mongoFilter.job = job;
+      if (status) mongoFilter.status = status;
+
+      const [runs, total] = await Promise.all([
+        JobRun.find(mongoFilter).populate('triggeredBy').sort({ startedAt: -1 }).skip(skip).limit(limit),
+        JobRun.countDocuments(mongoFilter)
+      ]);
+
+      return {
+        runs,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
+    // Audit queries
+    auditLogs: async (_, { filter = {}, pagination = {} }, { user }) => {
+      requirePermission(user, 'audit:read');
+
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 10;
+      const skip = (page - 1) * limit;
+
+      const mongoFilter = AuditLog.buildFilter(filter);
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(mongoFilter).populate('actor').sort({ createdAt: -1 }).skip(skip).limit(limit),
+        AuditLog.countDocuments(mongoFilter)
+      ]);
+
+      return {
+        logs,
+        pagination: getPaginationData(page, limit, total)
+      };
+    },
+
     // Report queries
     mostBorrowedBooks: async (_, { limit = 10, startDate, endDate }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'reports:read');
       
       const matchStage = {};
       if (startDate || endDate) {
@@ -324,7 +632,7 @@ const resolvers = {
     },
 
     activeMembers: async (_, { limit = 10, startDate, endDate }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'reports:read');
       
       const matchStage = {};
       if (startDate || endDate) {
@@ -372,11 +680,11 @@ const resolvers = {
     },
 
     bookAvailabilityReport: async (_, { genre, author }, { user }) => {
-      requireAdmin(user);
+      requirePermission(user, 'reports:read');
       
       const filter = { isActive: true };
-      if (genre) filter.genre = genre;
-      if (author) filter.author = { $regex: author, $options: 'i' };
+      if (genre) filter.subjects = { $in: await Genre.withDescendants(genre) };
+      if (author) filter.author = containsFilter(author);
 
       const results = await Book.aggregate([
         { $match: filter },
@@ -428,43 +736,32 @@ const resolvers = {
         name: input.name,
         email: input.email,
         password: input.password,
-        role: input.role || 'Member'
+        // Staff roles are granted by a role manager, never chosen at sign-up
+        role: 'Member',
+        accountStatus: 'Pending'
       });
 
-      const token = JWTUtils.generateToken({
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      });
+      const { token, refreshToken } = await tokenService.issueTokens(user);
 
       user.lastLogin = new Date();
       await user.save();
 
-      return { user, token };
+      await emailVerificationService.sendVerificationEmail(user);
+
+      return { user, token, refreshToken };
     },
 
     login: async (_, { input }) => {
-      const user = await User.findOne({ email: input.email }).select('+password');
-      
-      if (!user || !user.isActive) {
-        throw new UserInputError('Invalid email or password');
-      }
-
-      const isPasswordValid = await user.comparePassword(input.password);
-      if (!isPasswordValid) {
-        throw new UserInputError('Invalid email or password');
-      }
-
-      const token = JWTUtils.generateToken({
-        userId: user._id,
-        email: user.email,
-        role: user.role
+      const user = await authService.authenticate(input.email, input.password).catch((error) => {
+        if (error.statusCode === 401) {
+          throw new UserInputError('Invalid email or password');
+        }
+        return toGraphQLError(error);
       });
 
-      user.lastLogin = new Date();
-      await user.save();
+      const { token, refreshToken } = await tokenService.issueTokens(user);
 
-      return { user, token };
+      return { user, token, refreshToken };
     },
 
     updateProfile: async (_, { input }, { user }) => {
@@ -479,9 +776,20 @@ const resolvers = {
         }
       }
 
-      Object.assign(currentUser, input);
+      // Role and status fields in the shared input are for admins only
+      const emailChanged = Boolean(input.email && input.email !== currentUser.email);
+      if (input.name) currentUser.name = input.name;
+      if (emailChanged) {
+        currentUser.email = input.email;
+        currentUser.accountStatus = 'Pending';
+        currentUser.emailVerifiedAt = undefined;
+      }
       await currentUser.save();
 
+      if (emailChanged) {
+        await emailVerificationService.sendVerificationEmail(currentUser);
+      }
+
       return currentUser;
     },
 
@@ -496,61 +804,101 @@ const resolvers = {
       }
 
       currentUser.password = newPassword;
+      currentUser.revokeAllTokens();
       await currentUser.save();
 
+      // Other sessions are signed out; this one continues with fresh tokens
+      const { token, refreshToken } = await tokenService.issueTokens(currentUser);
+
+      return { user: currentUser, token, refreshToken };
+    },
+
+    refreshToken: async (_, { refreshToken }) => {
+      return await tokenService.rotateRefreshToken(refreshToken).catch(toGraphQLError);
+    },
+
+    forgotPassword: async (_, { email }) => {
+      await passwordResetService.requestPasswordReset(email).catch(toGraphQLError);
+      return true;
+    },
+
+    resetPassword: async (_, { token, newPassword }) => {
+      if (newPassword.length < 6 || !/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(newPassword)) {
+        throw new UserInputError('Password must be at least 6 characters and contain a lowercase letter, an uppercase letter and a number');
+      }
+
+      await passwordResetService.resetPassword(token, newPassword).catch(toGraphQLError);
       return true;
     },
 
-    // User mutations (Admin only)
-    createUser: async (_, { input }, { user }) => {
-      requireAdmin(user);
+    verifyEmail: async (_, { token }) => {
+      return await emailVerificationService.verifyEmail(token).catch(toGraphQLError);
+    },
+
+    resendVerificationEmail: async (_, __, { user }) => {
+      requireAuth(user);
+      await emailVerificationService.resendVerificationEmail(user).catch(toGraphQLError);
+      return true;
+    },
+
+    logout: async (_, { refreshToken }, { user, tokenClaims }) => {
+      requireAuth(user);
+      await RevokedToken.revoke(tokenClaims);
+      await tokenService.revokeRefreshToken(refreshToken);
+      return true;
+    },
+
+    logoutAllDevices: async (_, __, { user }) => {
+      requireAuth(user);
+
+      const currentUser = await User.findById(user._id);
+      currentUser.revokeAllTokens();
+      await currentUser.save();
+
+      return true;
+    },
+
+    // User mutations (staff)
+    createUser: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'users:write');
+
+      // Granting anything beyond the default role is for role managers
+      if (input.role && input.role !== 'Member') {
+        requirePermission(user, 'roles:manage');
+      }
       
       const existingUser = await User.findOne({ email: input.email });
       if (existingUser) {
         throw new UserInputError('User already exists with this email');
       }
 
-      return await User.create({
+      const newUser = await User.create({
         name: input.name,
         email: input.email,
         password: input.password,
         role: input.role || 'Member'
       });
-    },
 
-    updateUser: async (_, { id, input }, { user }) => {
-      const isOwnProfile = user._id.toString() === id;
-      const isAdmin = user.role === 'Admin';
-      
-      if (!isOwnProfile && !isAdmin) {
-        throw new ForbiddenError('Access denied');
-      }
+      await audit.record(audit.fromContext({ user, ip }), { action: 'user.create', target: newUser, before: null, after: audit.snapshot(newUser) });
 
-      const targetUser = await User.findById(id);
-      if (!targetUser) {
-        throw new UserInputError('User not found');
-      }
+      return newUser;
+    },
 
-      if (input.email && input.email !== targetUser.email) {
-        const existingUser = await User.findOne({ email: input.email });
-        if (existingUser) {
-          throw new UserInputError('Email already in use');
-        }
-      }
+    updateUser: async (_, { id, input }, { user, ip }) => {
+      requireAuth(user);
 
-      // Only admins can change role and isActive status
-      if (!isAdmin && (input.role !== undefined || input.isActive !== undefined)) {
-        throw new ForbiddenError('Only admins can change role or account status');
-      }
+      const { name, email, role, isActive, accountStatus } = input;
+      const before = audit.snapshot(await User.findById(id));
+      const targetUser = await userService.updateUser(user, id, { name, email, role, isActive, accountStatus })
+        .catch(toGraphQLError);
 
-      Object.assign(targetUser, input);
-      await targetUser.save();
+      await audit.record(audit.fromContext({ user, ip }), { action: 'user.update', target: targetUser, before, after: audit.snapshot(targetUser) });
 
       return targetUser;
     },
 
-    deleteUser: async (_, { id }, { user }) => {
-      requireAdmin(user);
+    deleteUser: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'users:write');
       
       if (user._id.toString() === id) {
         throw new UserInputError('You cannot delete your own account');
@@ -561,63 +909,114 @@ const resolvers = {
         throw new UserInputError('User not found');
       }
 
+      const before = audit.snapshot(targetUser);
       targetUser.isActive = false;
       await targetUser.save();
 
+      await audit.record(audit.fromContext({ user, ip }), { action: 'user.delete', target: targetUser, before, after: audit.snapshot(targetUser) });
+
       return true;
     },
 
-    // Book mutations (Admin only)
-    addBook: async (_, { input }, { user }) => {
-      requireAdmin(user);
+    unlockUser: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'users:write');
+
+      const targetUser = await User.findById(id);
+      if (!targetUser) {
+        throw new UserInputError('User not found');
+      }
+
+      const before = audit.snapshot(targetUser);
+      targetUser.clearLoginFailures();
+      await targetUser.save();
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'user.unlock', target: targetUser, before, after: audit.snapshot(targetUser) });
+
+      return targetUser;
+    },
+
+    // Book mutations (staff)
+    addBook: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      if (!input.author && !input.contributors) {
+        throw new UserInputError('Either author or contributors is required');
+      }
       
-      const existingBook = await Book.findOne({ isbn: input.isbn });
+      const existingBook = await Book.findByIsbn(input.isbn);
       if (existingBook) {
         throw new UserInputError('Book with this ISBN already exists');
       }
 
-      return await Book.create({
-        ...input,
+      const { shelfLocation, contributors, workId, ...bookInput } = input;
+
+      const book = new Book({
+        ...bookInput,
+        ...(contributors && { contributors: Book.toContributors(contributors) }),
+        work: workId || null,
         availableCopies: input.totalCopies
       });
+
+      await bookService.saveBook(book, async () => {
+        await BookCopy.createCopies(book, input.totalCopies, { shelfLocation });
+        await book.syncCopyCounts();
+      }).catch(toGraphQLError);
+
+      if (book.work) {
+        await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+      }
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'book.create', target: book, before: null, after: audit.snapshot(book) });
+
+      return book;
     },
 
-    updateBook: async (_, { id, input }, { user }) => {
-      requireAdmin(user);
+    updateBook: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
       
       const book = await Book.findById(id);
       if (!book) {
         throw new UserInputError('Book not found');
       }
 
-      if (input.isbn && input.isbn !== book.isbn) {
-        const existingBook = await Book.findOne({ isbn: input.isbn });
+      // The same ISBN written another way (hyphens, ISBN-10) is not a change
+      if (input.isbn && normalizeIsbn(input.isbn) !== book.isbn) {
+        const existingBook = await Book.findByIsbn(input.isbn);
         if (existingBook) {
           throw new UserInputError('Book with this ISBN already exists');
         }
       }
 
-      if (input.totalCopies !== undefined) {
-        const borrowedCopies = book.totalCopies - book.availableCopies;
-        
-        if (input.totalCopies < borrowedCopies) {
-          throw new UserInputError(
-            `Cannot reduce total copies below ${borrowedCopies} (currently borrowed copies)`
-          );
+      const before = audit.snapshot(book);
+      const { totalCopies, contributors, workId, ...bookInput } = input;
+
+      Object.assign(book, bookInput);
+      if (contributors) {
+        book.contributors = Book.toContributors(contributors);
+      }
+      if (workId !== undefined) {
+        book.work = workId || null;
+      }
+      const workChanged = book.isModified('work') && book.work !== null;
+
+      // Copies are only added or withdrawn once the changes are known to be valid
+      await bookService.saveBook(book, async () => {
+        if (totalCopies !== undefined) {
+          await book.setTotalCopies(totalCopies);
         }
-        
-        book.availableCopies = input.totalCopies - borrowedCopies;
-        book.totalCopies = input.totalCopies;
+      }).catch(toGraphQLError);
+
+      if (input.totalCopies !== undefined || workChanged) {
+        await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
       }
 
-      Object.assign(book, input);
-      await book.save();
+      await audit.record(audit.fromContext({ user, ip }), { action: 'book.update', target: book, before, after: audit.snapshot(book) });
 
       return book;
     },
 
-    deleteBook: async (_, { id }, { user }) => {
-      requireAdmin(user);
+    deleteBook: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'books:write');
       
       const book = await Book.findById(id);
       if (!book) {
@@ -628,118 +1027,648 @@ const resolvers = {
         throw new UserInputError('Cannot delete book with borrowed copies');
       }
 
+      const before = audit.snapshot(book);
       book.isActive = false;
       await book.save();
 
+      await audit.record(audit.fromContext({ user, ip }), { action: 'book.delete', target: book, before, after: audit.snapshot(book) });
+
       return true;
     },
 
-    // Borrow mutations
-    borrowBook: async (_, { input }, { user }) => {
-      requireAuth(user);
-      
-      const book = await Book.findById(input.bookId);
+    addBookCopies: async (_, { bookId, input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const book = await Book.findById(bookId);
       if (!book || !book.isActive) {
         throw new UserInputError('Book not found');
       }
 
-      if (!book.isAvailable()) {
-        throw new UserInputError('Book is not available for borrowing');
+      const count = input.count || 1;
+      let copies;
+
+      if (input.barcode) {
+        if (count !== 1) {
+          throw new UserInputError('A barcode can only be assigned to a single copy');
+        }
+
+        const existingCopy = await BookCopy.findOne({ barcode: input.barcode.toUpperCase() });
+        if (existingCopy) {
+          throw new UserInputError('Copy with this barcode already exists');
+        }
+
+        copies = [await BookCopy.create({
+          book: book._id,
+          barcode: input.barcode,
+          shelfLocation: input.shelfLocation,
+          condition: input.condition,
+          notes: input.notes
+        })];
+      } else {
+        copies = await BookCopy.createCopies(book, count, input);
       }
 
-      const existingBorrow = await BorrowRecord.findOne({
-        user: user._id,
-        book: input.bookId,
-        status: { $in: ['Borrowed', 'Overdue'] }
+      await book.syncCopyCounts();
+      await book.save();
+      await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'copy.add',
+        target: book,
+        details: { barcodes: copies.map(copy => copy.barcode) }
       });
 
-      if (existingBorrow) {
-        throw new UserInputError('You have already borrowed this book');
+      return await BookCopy.find({ _id: { $in: copies.map(copy => copy._id) } }).populate('book');
+    },
+
+    updateBookCopy: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const copy = await BookCopy.findById(id);
+      if (!copy) {
+        throw new UserInputError('Copy not found');
       }
 
-      const activeBorrows = await BorrowRecord.countDocuments({
-        user: user._id,
-        status: { $in: ['Borrowed', 'Overdue'] }
-      });
+      if (input.status !== undefined && input.status !== copy.status) {
+        if (['Borrowed', 'OnHold'].includes(copy.status) && input.status !== 'Lost') {
+          throw new UserInputError(`Copy is currently ${copy.status === 'OnHold' ? 'on hold' : 'borrowed'} and can only be marked as lost`);
+        }
+        if (['Borrowed', 'OnHold'].includes(input.status)) {
+          throw new UserInputError('Copies are borrowed or held through circulation');
+        }
+      }
 
-      if (activeBorrows >= 5) {
-        throw new UserInputError('Borrowing limit reached (maximum 5 books)');
+      if (input.barcode && input.barcode.toUpperCase() !== copy.barcode) {
+        const existingCopy = await BookCopy.findOne({ barcode: input.barcode.toUpperCase() });
+        if (existingCopy) {
+          throw new UserInputError('Copy with this barcode already exists');
+        }
       }
 
-      const dueDate = input.dueDate ? new Date(input.dueDate) : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000);
+      const wasOnHold = copy.status === 'OnHold';
+      const before = audit.snapshot(copy);
 
-      const borrowRecord = await BorrowRecord.create({
-        user: user._id,
-        book: input.bookId,
-        dueDate
-      });
+      Object.assign(copy, input);
+      await copy.save();
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'copy.update', target: copy, before, after: audit.snapshot(copy) });
+
+      if (wasOnHold && copy.status === 'Lost') {
+        await Reservation.updateOne(
+          { copy: copy._id, status: 'Ready' },
+          { status: 'Waiting', $unset: { copy: 1, readyDate: 1, pickupDeadline: 1 } }
+        );
+      }
 
-      book.borrowCopy();
+      const book = await Book.findById(copy.book);
+      await book.syncCopyCounts();
       await book.save();
+      await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(book));
+
+      return await BookCopy.findById(copy._id).populate('book');
+    },
+
+    // Work mutations (staff)
+    createWork: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const work = await workService.createWork(input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'work.create',
+        target: work,
+        before: null,
+        after: audit.snapshot(work),
+        details: input.bookIds ? { editions: input.bookIds } : undefined
+      });
 
-      return await BorrowRecord.findById(borrowRecord._id).populate('user').populate('book');
+      return work;
     },
 
-    returnBook: async (_, { id }, { user }) => {
+    updateWork: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const before = audit.snapshot(await Work.findById(id));
+      const work = await workService.updateWork(id, input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'work.update', target: work, before, after: audit.snapshot(work) });
+
+      return work;
+    },
+
+    deleteWork: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const work = await workService.deleteWork(id).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'work.delete', target: work, before: audit.snapshot(work), after: null });
+
+      return true;
+    },
+
+    // Author mutations (staff)
+    createGenre: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'genres:manage');
+
+      const genre = await genreService.createGenre(input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'genre.create', target: genre, before: null, after: audit.snapshot(genre) });
+
+      return genre;
+    },
+
+    updateGenre: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'genres:manage');
+
+      const before = audit.snapshot(await Genre.findById(id));
+      const genre = await genreService.updateGenre(id, input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'genre.update', target: genre, before, after: audit.snapshot(genre) });
+
+      return genre;
+    },
+
+    deleteGenre: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'genres:manage');
+
+      const genre = await genreService.deleteGenre(id).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'genre.delete', target: genre, before: audit.snapshot(genre), after: null });
+
+      return true;
+    },
+
+    createAuthor: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const author = await authorService.createAuthor(input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'author.create', target: author, before: null, after: audit.snapshot(author) });
+
+      return author;
+    },
+
+    updateAuthor: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const before = audit.snapshot(await Author.findById(id));
+      const author = await authorService.updateAuthor(id, input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'author.update', target: author, before, after: audit.snapshot(author) });
+
+      return author;
+    },
+
+    mergeAuthors: async (_, { targetId, sourceId }, { user, ip }) => {
+      requirePermission(user, 'books:write');
+
+      const before = audit.snapshot(await Author.findById(targetId));
+      const { author, source, booksUpdated } = await authorService.mergeAuthors(targetId, sourceId).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'author.merge',
+        target: author,
+        before,
+        after: audit.snapshot(author),
+        details: { mergedAuthor: audit.snapshot(source), booksUpdated }
+      });
+
+      return author;
+    },
+
+    // Borrow mutations
+    borrowBook: async (_, { input }, { user }) => {
       requireAuth(user);
-      
-      const borrowRecord = await BorrowRecord.findById(id).populate('user').populate('book');
-      
-      if (!borrowRecord) {
-        throw new UserInputError('Borrow record not found');
+
+      if (!input.bookId && !input.workId) {
+        throw new UserInputError('Book ID or work ID is required');
       }
 
-      if (borrowRecord.user._id.toString() !== user._id.toString() && user.role !== 'Admin') {
-        throw new ForbiddenError('Access denied');
+      const borrowRecord = await circulationService.borrowBook(user, input).catch(toGraphQLError);
+
+      return await BorrowRecord.findById(borrowRecord._id).populate('user').populate('book').populate('copy');
+    },
+
+    checkoutBook: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      if (!input.memberId && !input.cardNumber) {
+        throw new UserInputError('Member ID or library card number is required');
       }
 
-      if (borrowRecord.status === 'Returned') {
-        throw new UserInputError('Book has already been returned');
+      if (!input.bookId && !input.workId) {
+        throw new UserInputError('Book ID or work ID is required');
       }
 
-      borrowRecord.returnBook();
-      await borrowRecord.save();
+      const borrowRecord = await circulationService.checkoutForMember(user, input).catch(toGraphQLError);
 
-      const book = await Book.findById(borrowRecord.book._id);
-      book.returnCopy();
-      await book.save();
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'loan.checkout',
+        target: borrowRecord,
+        details: { member: borrowRecord.user._id, book: borrowRecord.book._id, dueDate: borrowRecord.dueDate }
+      });
 
-      return borrowRecord;
+      return await BorrowRecord.findById(borrowRecord._id).populate('user').populate('book').populate('copy');
+    },
+
+    returnBook: async (_, { id }, { user, ip }) => {
+      requireAuth(user);
+
+      const borrowRecord = await circulationService.returnBook(user, id).catch(toGraphQLError);
+
+      // Members returning their own loans are ordinary circulation, not staff actions
+      if (!borrowRecord.user._id.equals(user._id)) {
+        await audit.record(audit.fromContext({ user, ip }), {
+          action: 'loan.return',
+          target: borrowRecord,
+          details: { member: borrowRecord.user._id, book: borrowRecord.book._id, fine: borrowRecord.fine.amount }
+        });
+      }
+
+      return await BorrowRecord.findById(id).populate('user').populate('book').populate('copy');
     },
 
     renewBook: async (_, { id }, { user }) => {
       requireAuth(user);
-      
-      const borrowRecord = await BorrowRecord.findById(id).populate('user').populate('book');
-      
-      if (!borrowRecord) {
-        throw new UserInputError('Borrow record not found');
+
+      await circulationService.renewBook(user, id).catch(toGraphQLError);
+
+      return await BorrowRecord.findById(id).populate('user').populate('book').populate('copy');
+    },
+
+    // Fine mutations (staff)
+    recordFinePayment: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'fines:manage');
+
+      const result = await fineService.settleFines(user, { ...input, type: 'Payment' }).catch(toGraphQLError);
+
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'fine.payment',
+        target: { _id: input.userId },
+        targetType: 'User',
+        details: { borrowRecordId: input.borrowRecordId, amount: input.amount, method: input.method, balance: result.balance }
+      });
+
+      return result;
+    },
+
+    waiveFine: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'fines:manage');
+
+      const result = await fineService.settleFines(user, { ...input, type: 'Waiver' }).catch(toGraphQLError);
+
+      await audit.record(audit.fromContext({ user, ip }), {
+        action: 'fine.waiver',
+        target: { _id: input.userId },
+        targetType: 'User',
+        details: { borrowRecordId: input.borrowRecordId, amount: input.amount, reason: input.reason, balance: result.balance }
+      });
+
+      return result;
+    },
+
+    // Library card mutations
+    renewLibraryCard: async (_, { userId }, { user, ip }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      const member = await libraryCardService.updateCard(userId, 'renew').catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'card.renew', target: member, details: { cardNumber: member.libraryCard.number } });
+
+      return member;
+    },
+
+    blockLibraryCard: async (_, { userId, reason }, { user, ip }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      if (!reason.trim()) {
+        throw new UserInputError('A reason is required to block a card');
       }
 
-      if (borrowRecord.user._id.toString() !== user._id.toString()) {
-        throw new ForbiddenError('Access denied');
+      const member = await libraryCardService.updateCard(userId, 'block', { reason: reason.trim() }).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'card.block', target: member, details: { cardNumber: member.libraryCard.number, reason: reason.trim() } });
+
+      return member;
+    },
+
+    unblockLibraryCard: async (_, { userId }, { user, ip }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      const member = await libraryCardService.updateCard(userId, 'unblock').catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'card.unblock', target: member, details: { cardNumber: member.libraryCard.number } });
+
+      return member;
+    },
+
+    replaceLibraryCard: async (_, { userId }, { user, ip }) => {
+      requirePermission(user, 'circulation:checkout');
+
+      const member = await libraryCardService.updateCard(userId, 'replace').catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'card.replace', target: member, details: { cardNumber: member.libraryCard.number } });
+
+      return member;
+    },
+
+    // Role mutations
+    createRole: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'roles:manage');
+
+      const role = await roleService.createRole(input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'role.create', target: role, before: null, after: audit.snapshot(role) });
+
+      return role;
+    },
+
+    updateRole: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'roles:manage');
+
+      const before = audit.snapshot(await Role.findById(id));
+      const role = await roleService.updateRole(id, input).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'role.update', target: role, before, after: audit.snapshot(role) });
+
+      return role;
+    },
+
+    deleteRole: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'roles:manage');
+      const role = await roleService.deleteRole(id).catch(toGraphQLError);
+      await audit.record(audit.fromContext({ user, ip }), { action: 'role.delete', target: role, before: audit.snapshot(role), after: null });
+
+      return true;
+    },
+
+    // Circulation policy mutations (staff)
+    createCirculationPolicy: async (_, { input }, { user, ip }) => {
+      requirePermission(user, 'policies:write');
+
+      const existingPolicy = await CirculationPolicy.findOne({ role: input.role || null, genre: input.genre || null });
+      if (existingPolicy) {
+        throw new UserInputError(`Policy "${existingPolicy.name}" already covers this role and genre`);
+      }
+
+      const policy = await CirculationPolicy.create({
+        ...input,
+        role: input.role || null,
+        genre: input.genre || null
+      });
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'policy.create', target: policy, before: null, after: audit.snapshot(policy) });
+
+      return policy;
+    },
+
+    updateCirculationPolicy: async (_, { id, input }, { user, ip }) => {
+      requirePermission(user, 'policies:write');
+
+      const policy = await CirculationPolicy.findById(id);
+      if (!policy) {
+        throw new UserInputError('Circulation policy not found');
+      }
+
+      const before = audit.snapshot(policy);
+      Object.assign(policy, input);
+
+      if (policy.isModified('role') || policy.isModified('genre')) {
+        const existingPolicy = await CirculationPolicy.findOne({
+          _id: { $ne: policy._id },
+          role: policy.role,
+          genre: policy.genre
+        });
+        if (existingPolicy) {
+          throw new UserInputError(`Policy "${existingPolicy.name}" already covers this role and genre`);
+        }
+      }
+
+      await policy.save();
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'policy.update', target: policy, before, after: audit.snapshot(policy) });
+
+      return policy;
+    },
+
+    deleteCirculationPolicy: async (_, { id }, { user, ip }) => {
+      requirePermission(user, 'policies:write');
+
+      const policy = await CirculationPolicy.findById(id);
+      if (!policy) {
+        throw new UserInputError('Circulation policy not found');
       }
 
-      if (borrowRecord.status !== 'Borrowed' && borrowRecord.status !== 'Overdue') {
-        throw new UserInputError('Only borrowed or overdue books can be renewed');
+      await policy.deleteOne();
+
+      await audit.record(audit.fromContext({ user, ip }), { action: 'policy.delete', target: policy, before: audit.snapshot(policy), after: null });
+
+      return true;
+    },
+
+    // Notification mutations
+    markNotificationRead: async (_, { id }, { user }) => {
+      requireAuth(user);
+
+      const notification = await Notification.findOne({ _id: id, user: user._id, inApp: true });
+      if (!notification) {
+        throw new UserInputError('Notification not found');
       }
 
+      notification.markRead();
+      await notification.save();
+      return await notification.populate('book');
+    },
+
+    markAllNotificationsRead: async (_, __, { user }) => {
+      requireAuth(user);
+
+      const { modifiedCount } = await Notification.updateMany(
+        { user: user._id, inApp: true, isRead: false },
+        { isRead: true, readAt: new Date() }
+      );
+      return modifiedCount;
+    },
+
+    updateNotificationPreferences: async (_, { input }, { user }) => {
+      requireAuth(user);
+
+      const currentUser = await User.findById(user._id);
+      Object.keys(input).forEach((field) => {
+        if (input[field] !== undefined && input[field] !== null) {
+          currentUser.notificationPreferences[field] = input[field];
+        }
+      });
+
       try {
-        borrowRecord.renewBook();
-        await borrowRecord.save();
-        return borrowRecord;
+        await currentUser.save();
       } catch (error) {
         throw new UserInputError(error.message);
       }
+      return currentUser.notificationPreferences;
+    },
+
+    // Job mutations
+    runOverdueSweep: async (_, __, { user }) => {
+      requirePermission(user, 'jobs:run');
+
+      const run = await scheduler.runJob('overdue-sweep', {
+        trigger: 'Manual',
+        triggeredBy: user._id
+      }).catch(toGraphQLError);
+
+      return await JobRun.findById(run._id).populate('triggeredBy');
+    },
+
+    // Reservation mutations
+    placeHold: async (_, { bookId, workId }, { user }) => {
+      requireAuth(user);
+
+      if (!bookId && !workId) {
+        throw new UserInputError('Book ID or work ID is required');
+      }
+
+      const reservation = await reservationService.placeHold(user, { bookId, workId }).catch(toGraphQLError);
+
+      return await Reservation.findById(reservation._id).populate('user').populate('book').populate('work');
+    },
+
+    cancelHold: async (_, { id }, { user }) => {
+      requireAuth(user);
+
+      const reservation = await Reservation.findById(id);
+
+      if (!reservation) {
+        throw new UserInputError('Reservation not found');
+      }
+
+      if (reservation.user.toString() !== user._id.toString() && !user.hasPermission('circulation:checkout')) {
+        throw new ForbiddenError('Access denied');
+      }
+
+      const wasReady = reservation.status === 'Ready';
+
+      try {
+        reservation.cancel();
+      } catch (error) {
+        throw new UserInputError(error.message);
+      }
+      await reservation.save();
+
+      if (wasReady) {
+        const book = await Book.findById(reservation.book);
+        if (book) {
+          await notificationService.notifyHoldsReadySafely(await Reservation.releaseCopy(book, reservation.copy));
+        }
+      }
+
+      return await Reservation.findById(reservation._id).populate('user').populate('book').populate('work');
     }
   },
 
   // Type resolvers for virtual fields
+  User: {
+    permissions: async (parent) => {
+      return await Role.getPermissions(parent.role);
+    },
+
+    libraryCard: (parent) => {
+      if (!parent.libraryCard || !parent.libraryCard.number) {
+        return null;
+      }
+      return {
+        number: parent.libraryCard.number,
+        issuedAt: parent.libraryCard.issuedAt,
+        expiresAt: parent.libraryCard.expiresAt,
+        status: parent.getCardStatus(),
+        blockedReason: parent.libraryCard.blockedReason
+      };
+    }
+  },
+
   Book: {
-    borrowedCopies: (book) => book.totalCopies - book.availableCopies
+    borrowedCopies: (book) => book.totalCopies - book.availableCopies,
+
+    work: async (book) => (book.work ? await Work.findById(book.work._id || book.work) : null),
+
+    contributors: async (book) => {
+      // Books populated onto other records usually carry only a few fields
+      const { contributors = [] } = book.contributors ? book : (await Book.findById(book._id).select('contributors').lean()) || {};
+      const authors = await Author.find({ _id: { $in: contributors.map(contributor => contributor.author) } });
+
+      return contributors
+        .map(contributor => ({
+          author: authors.find(author => author._id.equals(contributor.author)),
+          name: contributor.name,
+          role: contributor.role
+        }))
+        .filter(contributor => contributor.author);
+    },
+
+    copies: async (book, _, { user }) => {
+      requirePermission(user, 'books:write');
+      return await BookCopy.find({ book: book._id }).sort({ acquiredDate: 1 });
+    }
+  },
+
+  Genre: {
+    parent: async (genre) => (genre.parent ? await Genre.findById(genre.parent) : null),
+    children: async (genre) => await Genre.find({ parent: genre._id }).sort({ name: 1 }),
+    bookCount: async (genre) => await genreService.countBooks(genre)
+  },
+
+  Author: {
+    bookCount: async (author) => {
+      if (author.bookCount !== undefined) {
+        return author.bookCount;
+      }
+      const counts = await authorService.countBooks([author._id]);
+      return counts.get(String(author._id)) || 0;
+    },
+
+    books: async (author) => await authorService.getAuthorBooks(author._id)
+  },
+
+  BookCopy: {
+    book: async (copy) => (copy.book && copy.book.title ? copy.book : await Book.findById(copy.book))
+  },
+
+  Reservation: {
+    queuePosition: (reservation) => reservation.getQueuePosition()
+  },
+
+  Work: {
+    editions: async (work) => (await Work.getEditionSummary(work._id)).editions,
+    totalCopies: async (work) => (await Work.getEditionSummary(work._id)).totalCopies,
+    availableCopies: async (work) => (await Work.getEditionSummary(work._id)).availableCopies
+  },
+
+  FineTransaction: {
+    user: async (transaction) => await User.findById(transaction.user),
+    borrowRecord: async (transaction) => await BorrowRecord.findById(transaction.borrowRecord).populate('user').populate('book'),
+    recordedBy: async (transaction) => (transaction.recordedBy ? await User.findById(transaction.recordedBy) : null)
+  },
+
+  AuditLog: {
+    changes: (log) => Object.entries(log.changes || {}).map(([field, { from, to }]) => ({
+      field,
+      from: from === null ? null : JSON.stringify(from),
+      to: to === null ? null : JSON.stringify(to)
+    })),
+    details: (log) => (log.details ? JSON.stringify(log.details) : null)
+  },
+
+  FineSummary: {
+    outstandingRecords: async (summary) => await BorrowRecord.find({
+      _id: { $in: summary.outstandingRecords.map(record => record._id) }
+    }).populate('user').populate('book').sort({ returnDate: 1 })
   },
 
   BorrowRecord: {
+    copy: async (borrowRecord) => {
+      if (!borrowRecord.copy) {
+        return null;
+      }
+      return borrowRecord.copy.barcode ? borrowRecord.copy : await BookCopy.findById(borrowRecord.copy);
+    },
+
+    checkedOutBy: async (borrowRecord) => {
+      if (!borrowRecord.checkedOutBy) {
+        return null;
+      }
+      return borrowRecord.checkedOutBy.email ? borrowRecord.checkedOutBy : await User.findById(borrowRecord.checkedOutBy);
+    },
+
+    fineBalance: (borrowRecord) => {
+      const { amount = 0, paidAmount = 0, waivedAmount = 0 } = borrowRecord.fine || {};
+      return Math.max(0, Math.round((amount - paidAmount - waivedAmount) * 100) / 100);
+    },
+
     isOverdue: (borrowRecord) => {
       if (borrowRecord.status === 'Returned' || borrowRecord.status === 'Lost') {
         return false;
@@ -7,9 +7,15 @@ const typeDefs = gql`
     id: ID!
     name: String!
     email: String!
-    role: Role!
+    role: String!
+    permissions: [String!]!
     isActive: Boolean!
+    accountStatus: AccountStatus!
+    emailVerifiedAt: Date
+    libraryCard: LibraryCard
     lastLogin: Date
+    isLocked: Boolean!
+    lockUntil: Date
     createdAt: Date!
     updatedAt: Date!
     borrowedBooks: [BorrowRecord!]
@@ -19,9 +25,13 @@ const typeDefs = gql`
     id: ID!
     title: String!
     author: String!
+    contributors: [Contributor!]!
+    work: Work
+    edition: String
     isbn: String!
     publicationDate: Date!
-    genre: Genre!
+    genre: String!
+    subjects: [String!]!
     totalCopies: Int!
     availableCopies: Int!
     borrowedCopies: Int!
@@ -32,6 +42,60 @@ const typeDefs = gql`
     rating: Float
     borrowCount: Int!
     isActive: Boolean!
+    copies: [BookCopy!]
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  enum ContributorRole {
+    author
+    editor
+    translator
+    illustrator
+    contributor
+  }
+
+  type Contributor {
+    author: Author!
+    name: String!
+    role: ContributorRole!
+  }
+
+  # A genre or subject; books and circulation policies refer to it by name
+  type Genre {
+    id: ID!
+    name: String!
+    description: String
+    parent: Genre
+    children: [Genre!]!
+    bookCount: Int!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type Author {
+    id: ID!
+    name: String!
+    sortName: String
+    variants: [String!]!
+    bio: String
+    birthYear: Int
+    deathYear: Int
+    bookCount: Int!
+    books: [Book!]!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type BookCopy {
+    id: ID!
+    book: Book!
+    barcode: String!
+    shelfLocation: String
+    condition: CopyCondition!
+    status: CopyStatus!
+    acquiredDate: Date
+    notes: String
     createdAt: Date!
     updatedAt: Date!
   }
@@ -40,6 +104,8 @@ const typeDefs = gql`
     id: ID!
     user: User!
     book: Book!
+    copy: BookCopy
+    checkedOutBy: User
     borrowDate: Date!
     dueDate: Date!
     returnDate: Date
@@ -47,6 +113,7 @@ const typeDefs = gql`
     notes: String
     renewalCount: Int!
     fine: Fine!
+    fineBalance: Float!
     isOverdue: Boolean!
     daysBorrowed: Int!
     daysOverdue: Int!
@@ -54,15 +121,210 @@ const typeDefs = gql`
     updatedAt: Date!
   }
 
+  type Reservation {
+    id: ID!
+    user: User!
+    # Null while a hold on a work waits for a copy of any edition
+    book: Book
+    work: Work
+    status: ReservationStatus!
+    queuePosition: Int
+    readyDate: Date
+    pickupDeadline: Date
+    fulfilledDate: Date
+    cancelledDate: Date
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
   type Fine {
     amount: Float!
+    paidAmount: Float!
+    waivedAmount: Float!
     paid: Boolean!
     paidDate: Date
   }
 
+  type FineTransaction {
+    id: ID!
+    user: User!
+    borrowRecord: BorrowRecord!
+    type: FineTransactionType!
+    amount: Float!
+    method: PaymentMethod
+    reason: String
+    recordedBy: User
+    createdAt: Date!
+  }
+
+  type FineSummary {
+    totalCharged: Float!
+    totalPaid: Float!
+    totalWaived: Float!
+    balance: Float!
+    outstandingRecords: [BorrowRecord!]!
+  }
+
+  type FineSettlement {
+    transactions: [FineTransaction!]!
+    totalCharged: Float!
+    totalPaid: Float!
+    totalWaived: Float!
+    balance: Float!
+  }
+
+  type FineTransactionsResult {
+    transactions: [FineTransaction!]!
+    pagination: PaginationInfo!
+  }
+
+  type LibraryCard {
+    number: String!
+    issuedAt: Date
+    expiresAt: Date
+    status: LibraryCardStatus!
+    blockedReason: String
+  }
+
+  type CardLookup {
+    user: User!
+    cardStatus: LibraryCardStatus!
+    activeBorrows: Int!
+    fineBalance: Float!
+  }
+
+  type Role {
+    id: ID!
+    name: String!
+    description: String
+    permissions: [String!]!
+    builtIn: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type Permission {
+    name: String!
+    description: String!
+  }
+
+  type CirculationPolicy {
+    id: ID!
+    name: String!
+    description: String
+    role: String
+    genre: String
+    loanPeriodDays: Int!
+    maxBorrows: Int!
+    maxRenewals: Int!
+    finePerDay: Float!
+    maxUnpaidFines: Float!
+    isActive: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type EffectivePolicy {
+    policyId: ID
+    name: String!
+    loanPeriodDays: Int!
+    maxBorrows: Int!
+    maxRenewals: Int!
+    finePerDay: Float!
+    maxUnpaidFines: Float!
+  }
+
+  type Notification {
+    id: ID!
+    type: NotificationType!
+    title: String!
+    message: String!
+    book: Book
+    isRead: Boolean!
+    readAt: Date
+    createdAt: Date!
+  }
+
+  type NotificationsResult {
+    notifications: [Notification!]!
+    unreadCount: Int!
+    pagination: PaginationInfo!
+  }
+
+  type NotificationPreferences {
+    email: Boolean!
+    inApp: Boolean!
+    dueSoon: Boolean!
+    overdue: Boolean!
+    holdReady: Boolean!
+    dueReminderDays: Int!
+  }
+
+  type JobRunStats {
+    markedOverdue: Int
+    finesAccrued: Int
+    amountCharged: Float
+    dueSoon: Int
+    overdue: Int
+    holdReady: Int
+    failed: Int
+  }
+
+  type JobRun {
+    id: ID!
+    job: String!
+    trigger: JobTrigger!
+    triggeredBy: User
+    status: JobRunStatus!
+    startedAt: Date!
+    finishedAt: Date
+    durationMs: Int
+    stats: JobRunStats
+    error: String
+  }
+
+  type JobRunsResult {
+    runs: [JobRun!]!
+    pagination: PaginationInfo!
+  }
+
+  enum AuditSource {
+    REST
+    GraphQL
+    Script
+  }
+
+  # Values are JSON-encoded since they can be any field type
+  type AuditChange {
+    field: String!
+    from: String
+    to: String
+  }
+
+  type AuditLog {
+    id: ID!
+    actor: User
+    actorEmail: String
+    actorRole: String
+    action: String!
+    targetType: String!
+    targetId: ID
+    changes: [AuditChange!]!
+    details: String
+    ip: String
+    source: AuditSource
+    createdAt: Date!
+  }
+
+  type AuditLogsResult {
+    logs: [AuditLog!]!
+    pagination: PaginationInfo!
+  }
+
   type AuthPayload {
     user: User!
     token: String!
+    refreshToken: String!
   }
 
   type BookAvailabilityReport {
@@ -110,9 +372,83 @@ const typeDefs = gql`
     prevPage: Int
   }
 
+  enum BookFacet {
+    genre
+    language
+    author
+    publisher
+    available
+    decade
+  }
+
+  type FacetBucket {
+    value: String!
+    count: Int!
+  }
+
+  # Only the facets that were requested are filled in
+  type BookFacets {
+    genre: [FacetBucket!]
+    language: [FacetBucket!]
+    author: [FacetBucket!]
+    publisher: [FacetBucket!]
+    available: [FacetBucket!]
+    decade: [FacetBucket!]
+  }
+
+  enum SuggestionKind {
+    title
+    author
+  }
+
+  enum SuggestionMatch {
+    prefix
+    fuzzy
+  }
+
+  type Suggestion {
+    text: String!
+    kind: SuggestionKind!
+    bookCount: Int!
+    match: SuggestionMatch!
+    score: Float!
+  }
+
+  type WorkSeries {
+    name: String!
+    number: Float
+  }
+
+  type Work {
+    id: ID!
+    title: String!
+    author: String
+    description: String
+    originalLanguage: String
+    firstPublishedYear: Int
+    series: WorkSeries
+    editions: [Book!]!
+    # Copies across every edition
+    totalCopies: Int!
+    availableCopies: Int!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type WorksResult {
+    works: [Work!]!
+    pagination: PaginationInfo!
+  }
+
+  type AuthorsResult {
+    authors: [Author!]!
+    pagination: PaginationInfo!
+  }
+
   type BooksResult {
     books: [Book!]!
     pagination: PaginationInfo!
+    facets: BookFacets
   }
 
   type UsersResult {
@@ -125,36 +461,15 @@ const typeDefs = gql`
     pagination: PaginationInfo!
   }
 
-  enum Role {
-    Admin
-    Member
-  }
-
-  enum Genre {
-    Fiction
-    NonFiction
-    ScienceFiction
-    Fantasy
-    Mystery
-    Romance
-    Thriller
-    Biography
-    History
-    Science
-    Technology
-    Philosophy
-    Religion
-    SelfHelp
-    Health
-    Travel
-    Cooking
-    Art
-    Music
-    Sports
-    Politics
-    Economics
-    Education
-    Other
+  enum AccountStatus {
+    Pending
+    Active
+  }
+
+  enum LibraryCardStatus {
+    Active
+    Expired
+    Blocked
   }
 
   enum BorrowStatus {
@@ -164,11 +479,66 @@ const typeDefs = gql`
     Lost
   }
 
+  enum CopyCondition {
+    New
+    Good
+    Fair
+    Poor
+    Damaged
+  }
+
+  enum CopyStatus {
+    Available
+    Borrowed
+    OnHold
+    InRepair
+    Lost
+    Withdrawn
+  }
+
+  enum FineTransactionType {
+    Charge
+    Payment
+    Waiver
+  }
+
+  enum PaymentMethod {
+    Cash
+    Card
+    Online
+    Other
+  }
+
+  enum NotificationType {
+    DueSoon
+    Overdue
+    HoldReady
+  }
+
+  enum JobTrigger {
+    Scheduled
+    Manual
+  }
+
+  enum JobRunStatus {
+    Running
+    Succeeded
+    Failed
+  }
+
+  enum ReservationStatus {
+    Waiting
+    Ready
+    Fulfilled
+    Cancelled
+    Expired
+  }
+
   input RegisterInput {
     name: String!
     email: String!
     password: String!
-    role: Role
+    role: String
   }
 
   input LoginInput {
@@ -176,25 +546,40 @@ const typeDefs = gql`
     password: String!
   }
 
+  input ContributorInput {
+    authorId: ID
+    name: String
+    role: ContributorRole
+  }
+
   input BookInput {
     title: String!
-    author: String!
+    author: String
+    contributors: [ContributorInput!]
+    workId: ID
+    edition: String
     isbn: String!
     publicationDate: Date!
-    genre: Genre!
+    genre: String!
+    subjects: [String!]
     totalCopies: Int!
     description: String
     language: String
     publisher: String
     pages: Int
+    shelfLocation: String
   }
 
   input BookUpdateInput {
     title: String
     author: String
+    contributors: [ContributorInput!]
+    workId: ID
+    edition: String
     isbn: String
     publicationDate: Date
-    genre: Genre
+    genre: String
+    subjects: [String!]
     totalCopies: Int
     description: String
     language: String
@@ -202,32 +587,154 @@ const typeDefs = gql`
     pages: Int
   }
 
+  input WorkSeriesInput {
+    name: String!
+    number: Float
+  }
+
+  input WorkInput {
+    title: String!
+    author: String
+    description: String
+    originalLanguage: String
+    firstPublishedYear: Int
+    series: WorkSeriesInput
+    bookIds: [ID!]
+  }
+
+  input WorkUpdateInput {
+    title: String
+    author: String
+    description: String
+    originalLanguage: String
+    firstPublishedYear: Int
+    series: WorkSeriesInput
+  }
+
+  input AuthorInput {
+    name: String!
+    sortName: String
+    variants: [String!]
+    bio: String
+    birthYear: Int
+    deathYear: Int
+  }
+
+  input GenreInput {
+    name: String!
+    parentId: ID
+    description: String
+  }
+
+  input GenreUpdateInput {
+    name: String
+    # null makes the genre top-level
+    parentId: ID
+    description: String
+  }
+
+  input AuthorUpdateInput {
+    name: String
+    sortName: String
+    variants: [String!]
+    bio: String
+    birthYear: Int
+    deathYear: Int
+  }
+
+  input BookCopyInput {
+    count: Int
+    barcode: String
+    shelfLocation: String
+    condition: CopyCondition
+    notes: String
+  }
+
+  input BookCopyUpdateInput {
+    barcode: String
+    shelfLocation: String
+    condition: CopyCondition
+    status: CopyStatus
+    notes: String
+  }
+
   input UserUpdateInput {
     name: String
     email: String
-    role: Role
+    role: String
     isActive: Boolean
+    accountStatus: AccountStatus
   }
 
+  input RoleInput {
+    name: String!
+    description: String
+    permissions: [String!]
+  }
+
+  input RoleUpdateInput {
+    description: String
+    permissions: [String!]
+  }
+
+  # Give bookId for a specific edition or workId for any edition of a work
   input BorrowBookInput {
-    bookId: ID!
+    bookId: ID
+    workId: ID
     dueDate: Date
   }
 
+  input CheckoutInput {
+    memberId: ID
+    cardNumber: String
+    bookId: ID
+    workId: ID
+    dueDate: Date
+  }
+
+  input CirculationPolicyInput {
+    name: String!
+    description: String
+    role: String
+    genre: String
+    loanPeriodDays: Int
+    maxBorrows: Int
+    maxRenewals: Int
+    finePerDay: Float
+    maxUnpaidFines: Float
+    isActive: Boolean
+  }
+
+  input CirculationPolicyUpdateInput {
+    name: String
+    description: String
+    role: String
+    genre: String
+    loanPeriodDays: Int
+    maxBorrows: Int
+    maxRenewals: Int
+    finePerDay: Float
+    maxUnpaidFines: Float
+    isActive: Boolean
+  }
+
   input PaginationInput {
     page: Int = 1
     limit: Int = 10
   }
 
   input BookFilterInput {
-    genre: Genre
+    # Includes the genre's sub-genres
+    genre: String
     author: String
+    authorId: ID
+    workId: ID
     search: String
     available: Boolean
   }
 
   input UserFilterInput {
-    role: Role
+    role: String
     isActive: Boolean
     search: String
   }
@@ -238,6 +745,44 @@ const typeDefs = gql`
     bookId: ID
   }
 
+  input NotificationPreferencesInput {
+    email: Boolean
+    inApp: Boolean
+    dueSoon: Boolean
+    overdue: Boolean
+    holdReady: Boolean
+    dueReminderDays: Int
+  }
+
+  input FineTransactionFilterInput {
+    userId: ID
+    borrowRecordId: ID
+    type: FineTransactionType
+  }
+
+  input AuditLogFilterInput {
+    actor: ID
+    action: String
+    targetType: String
+    targetId: ID
+    from: Date
+    to: Date
+  }
+
+  input FinePaymentInput {
+    userId: ID!
+    borrowRecordId: ID
+    amount: Float!
+    method: PaymentMethod
+  }
+
+  input FineWaiverInput {
+    userId: ID!
+    borrowRecordId: ID
+    amount: Float
+    reason: String!
+  }
+
   type Query {
     # User queries
     me: User!
@@ -245,10 +790,25 @@ const typeDefs = gql`
     user(id: ID!): User!
     
     # Book queries
-    books(pagination: PaginationInput, filter: BookFilterInput, sort: String): BooksResult!
+    books(pagination: PaginationInput, filter: BookFilterInput, sort: String, facets: [BookFacet!]): BooksResult!
+    # Accepts a book ID or an ISBN-10/ISBN-13
     book(id: ID!): Book!
     genres: [String!]!
-    searchBooks(query: String!, pagination: PaginationInput, filter: BookFilterInput): BooksResult!
+    # Top-level genres; sub-genres are reached through children
+    genreTree: [Genre!]!
+    genre(id: ID!): Genre!
+    searchBooks(query: String!, pagination: PaginationInput, filter: BookFilterInput, facets: [BookFacet!]): BooksResult!
+    suggestBooks(query: String!, kind: SuggestionKind, limit: Int): [Suggestion!]!
+    bookCopies(bookId: ID!, status: CopyStatus): [BookCopy!]!
+    copyByBarcode(barcode: String!): BookCopy!
+    
+    # Work queries
+    works(search: String, series: String, pagination: PaginationInput): WorksResult!
+    work(id: ID!): Work!
+    
+    # Author queries
+    authors(search: String, pagination: PaginationInput): AuthorsResult!
+    author(id: ID!): Author!
     
     # Borrow queries
     borrowHistory(pagination: PaginationInput, filter: BorrowFilterInput): BorrowRecordsResult!
@@ -256,10 +816,41 @@ const typeDefs = gql`
     allBorrowRecords(pagination: PaginationInput, filter: BorrowFilterInput, sort: String): BorrowRecordsResult!
     overdueBooks(pagination: PaginationInput): BorrowRecordsResult!
     
+    # Reservation queries
+    myReservations(status: ReservationStatus): [Reservation!]!
+    bookQueue(bookId: ID!): [Reservation!]!
+    
+    # Fine queries
+    myFines: FineSummary!
+    myFineHistory(pagination: PaginationInput, type: FineTransactionType): FineTransactionsResult!
+    userFines(userId: ID!): FineSummary!
+    fineTransactions(pagination: PaginationInput, filter: FineTransactionFilterInput): FineTransactionsResult!
+    
+    # Library card queries
+    memberByCard(cardNumber: String!): CardLookup!
+    
+    # Role queries
+    roles: [Role!]!
+    permissions: [Permission!]!
+    
+    # Circulation policy queries
+    circulationPolicies: [CirculationPolicy!]!
+    effectivePolicy(role: String, genre: String): EffectivePolicy!
+    
+    # Notification queries
+    notifications(unreadOnly: Boolean, type: NotificationType, pagination: PaginationInput): NotificationsResult!
+    notificationPreferences: NotificationPreferences!
+    
+    # Job queries
+    jobRuns(job: String, status: JobRunStatus, pagination: PaginationInput): JobRunsResult!
+    
+    # Audit queries
+    auditLogs(filter: AuditLogFilterInput, pagination: PaginationInput): AuditLogsResult!
+    
     # Report queries
     mostBorrowedBooks(limit: Int, startDate: Date, endDate: Date): [MostBorrowedBook!]!
     activeMembers(limit: Int, startDate: Date, endDate: Date): [ActiveMember!]!
-    bookAvailabilityReport(genre: Genre, author: String): BookAvailabilityReport!
+    bookAvailabilityReport(genre: String, author: String): BookAvailabilityReport!
   }
 
   type Mutation {
@@ -267,22 +858,80 @@ const typeDefs = gql`
     register(input: RegisterInput!): AuthPayload!
     login(input: LoginInput!): AuthPayload!
     updateProfile(input: UserUpdateInput!): User!
-    changePassword(currentPassword: String!, newPassword: String!): Boolean!
+    changePassword(currentPassword: String!, newPassword: String!): AuthPayload!
+    refreshToken(refreshToken: String!): AuthPayload!
+    forgotPassword(email: String!): Boolean!
+    resetPassword(token: String!, newPassword: String!): Boolean!
+    verifyEmail(token: String!): User!
+    resendVerificationEmail: Boolean!
+    logout(refreshToken: String): Boolean!
+    logoutAllDevices: Boolean!
     
-    # User mutations (Admin only)
+    # User mutations (staff)
     createUser(input: RegisterInput!): User!
     updateUser(id: ID!, input: UserUpdateInput!): User!
     deleteUser(id: ID!): Boolean!
+    unlockUser(id: ID!): User!
+    
+    # Library card mutations
+    renewLibraryCard(userId: ID!): User!
+    blockLibraryCard(userId: ID!, reason: String!): User!
+    unblockLibraryCard(userId: ID!): User!
+    replaceLibraryCard(userId: ID!): User!
     
-    # Book mutations (Admin only)
+    # Book mutations (staff)
     addBook(input: BookInput!): Book!
     updateBook(id: ID!, input: BookUpdateInput!): Book!
     deleteBook(id: ID!): Boolean!
+    addBookCopies(bookId: ID!, input: BookCopyInput!): [BookCopy!]!
+    updateBookCopy(id: ID!, input: BookCopyUpdateInput!): BookCopy!
+    
+    # Work mutations (staff)
+    createWork(input: WorkInput!): Work!
+    updateWork(id: ID!, input: WorkUpdateInput!): Work!
+    deleteWork(id: ID!): Boolean!
+    
+    # Genre mutations (staff)
+    createGenre(input: GenreInput!): Genre!
+    updateGenre(id: ID!, input: GenreUpdateInput!): Genre!
+    deleteGenre(id: ID!): Boolean!
+    
+    # Author mutations (staff)
+    createAuthor(input: AuthorInput!): Author!
+    updateAuthor(id: ID!, input: AuthorUpdateInput!): Author!
+    mergeAuthors(targetId: ID!, sourceId: ID!): Author!
     
     # Borrow mutations
     borrowBook(input: BorrowBookInput!): BorrowRecord!
+    checkoutBook(input: CheckoutInput!): BorrowRecord!
     returnBook(id: ID!): BorrowRecord!
     renewBook(id: ID!): BorrowRecord!
+    
+    # Fine mutations (staff)
+    recordFinePayment(input: FinePaymentInput!): FineSettlement!
+    waiveFine(input: FineWaiverInput!): FineSettlement!
+    
+    # Role mutations
+    createRole(input: RoleInput!): Role!
+    updateRole(id: ID!, input: RoleUpdateInput!): Role!
+    deleteRole(id: ID!): Boolean!
+    
+    # Circulation policy mutations (staff)
+    createCirculationPolicy(input: CirculationPolicyInput!): CirculationPolicy!
+    updateCirculationPolicy(id: ID!, input: CirculationPolicyUpdateInput!): CirculationPolicy!
+    deleteCirculationPolicy(id: ID!): Boolean!
+    
+    # Notification mutations
+    markNotificationRead(id: ID!): Notification!
+    markAllNotificationsRead: Int!
+    updateNotificationPreferences(input: NotificationPreferencesInput!): NotificationPreferences!
+    
+    # Job mutations (staff)
+    runOverdueSweep: JobRun!
+    
+    # Reservation mutations
+    placeHold(bookId: ID, workId: ID): Reservation!
+    cancelHold(id: ID!): Reservation!
   }
 `;
 
@@ -0,0 +1,75 @@
+const BorrowRecord = require('../models/BorrowRecord');
+const Reservation = require('../models/Reservation');
+const notificationService = require('../services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest reminder window a member can choose
+const MAX_REMINDER_DAYS = 14;
+
+/**
+ * Send due-date reminders, overdue notices and hold-ready notices that have
+ * not gone out yet. Notices are keyed on the due date, so a renewed loan gets
+ * fresh reminders.
+ * @returns {Object} Run statistics
+ */
+const notificationSweep = async () => {
+  const now = new Date();
+  const stats = { dueSoon: 0, overdue: 0, holdReady: 0, failed: 0 };
+
+  const send = async (statKey, options) => {
+    try {
+      if (await notificationService.notify(options)) {
+        stats[statKey] += 1;
+      }
+    } catch (error) {
+      console.error(`Notification ${options.dedupeKey} failed:`, error.message);
+      stats.failed += 1;
+    }
+  };
+
+  const loans = BorrowRecord.find({
+    status: { $in: ['Borrowed', 'Overdue'] },
+    dueDate: { $lt: new Date(now.getTime() + MAX_REMINDER_DAYS * DAY_MS) }
+  })
+    .populate('user')
+    .populate('book', 'title author')
+    .cursor();
+
+  for (let record = await loans.next(); record != null; record = await loans.next()) {
+    if (!record.user || !record.book) {
+      continue;
+    }
+
+    if (record.dueDate < now) {
+      await send('overdue', {
+        user: record.user,
+        type: 'Overdue',
+        dedupeKey: `Overdue:${record._id}:${record.dueDate.getTime()}`,
+        borrowRecord: record,
+        book: record.book,
+        data: { daysOverdue: record.daysOverdue, fineAmount: record.fine.amount }
+      });
+      continue;
+    }
+
+    const daysLeft = Math.ceil((record.dueDate - now) / DAY_MS);
+    if (daysLeft <= record.user.notificationPreferences.dueReminderDays) {
+      await send('dueSoon', {
+        user: record.user,
+        type: 'DueSoon',
+        dedupeKey: `DueSoon:${record._id}:${record.dueDate.getTime()}`,
+        borrowRecord: record,
+        book: record.book,
+        data: { daysLeft }
+      });
+    }
+  }
+
+  const readyHolds = await Reservation.find({ status: 'Ready' });
+  stats.holdReady = await notificationService.notifyHoldsReady(readyHolds);
+
+  return stats;
+};
+
+module.exports = notificationSweep;
@@ -0,0 +1,91 @@
+const JobRun = require('../models/JobRun');
+const { AppError } = require('../utils/errors');
+const overdueSweep = require('./overdueSweep');
+const notificationSweep = require('./notificationSweep');
+
+// A run still marked Running after this long is assumed to have died with its process
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+// Registered jobs and how often they run
+const JOBS = {
+  'overdue-sweep': {
+    handler: overdueSweep,
+    intervalMs: (parseInt(process.env.OVERDUE_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000
+  },
+  'notifications': {
+    handler: notificationSweep,
+    intervalMs: (parseInt(process.env.NOTIFICATION_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000
+  }
+};
+
+const timers = [];
+
+/**
+ * Run a job now and log the run
+ * @param {String} name - Registered job name
+ * @param {Object} options - { trigger, triggeredBy }
+ * @returns {Object} Finished JobRun
+ */
+const runJob = async (name, { trigger = 'Scheduled', triggeredBy = null } = {}) => {
+  const job = JOBS[name];
+  if (!job) {
+    throw new AppError(`Unknown job "${name}"`, 404);
+  }
+
+  // Skip if another run (in this or another instance) is still in progress
+  const activeRun = await JobRun.findOne({
+    job: name,
+    status: 'Running',
+    startedAt: { $gt: new Date(Date.now() - STALE_RUN_MS) }
+  });
+  if (activeRun) {
+    throw new AppError(`Job "${name}" is already running`, 409);
+  }
+
+  const run = await JobRun.create({ job: name, trigger, triggeredBy });
+
+  try {
+    run.succeed(await job.handler());
+  } catch (error) {
+    console.error(`Job "${name}" failed:`, error);
+    run.fail(error);
+  }
+
+  await run.save();
+  return run;
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+const start = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Scheduled jobs are disabled');
+    return;
+  }
+
+  Object.entries(JOBS).forEach(([name, job]) => {
+    const tick = () => runJob(name).catch(error => console.error(`Job "${name}" skipped:`, error.message));
+
+    tick();
+    const timer = setInterval(tick, job.intervalMs);
+    timer.unref(); // Do not keep the process alive just for jobs
+    timers.push(timer);
+  });
+
+  console.log(`Scheduled jobs started: ${Object.keys(JOBS).join(', ')}`);
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stop = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  start,
+  stop
+};
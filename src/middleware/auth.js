@@ -1,7 +1,38 @@
 const JWTUtils = require('../utils/jwt');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
 const { errorResponse, asyncHandler } = require('../utils/helpers');
 
+/**
+ * Verify a token and load its user, rejecting revoked tokens
+ * @param {String} token - Encrypted JWT token
+ * @returns {Object} { user, claims }
+ */
+const getUserFromToken = async (token) => {
+  const claims = JWTUtils.verifyToken(token);
+
+  // Refresh tokens are only accepted by the refresh endpoint
+  if (claims.type === 'refresh') {
+    throw new Error('Invalid token');
+  }
+
+  if (claims.jti && await RevokedToken.isRevoked(claims.jti)) {
+    throw new Error('Token has been revoked');
+  }
+
+  const user = await User.findById(claims.userId).select('-password');
+
+  if (user && !user.isTokenCurrent(claims)) {
+    throw new Error('Token has been revoked');
+  }
+
+  if (user) {
+    await user.loadPermissions();
+  }
+
+  return { user, claims };
+};
+
 /**
  * Authenticate user with JWT token
  */
@@ -23,11 +54,8 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Verify and decode token
-    const decoded = JWTUtils.verifyToken(token);
-    
-    // Get user from database (excluding password)
-    const user = await User.findById(decoded.userId).select('-password');
+    // Verify and decode token, then get user from database (excluding password)
+    const { user, claims } = await getUserFromToken(token);
     
     if (!user) {
       return errorResponse(res, 'Token is valid but user not found.', 401);
@@ -37,8 +65,9 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
       return errorResponse(res, 'Account has been deactivated.', 401);
     }
 
-    // Add user to request object
+    // Add user and token claims to request object
     req.user = user;
+    req.tokenClaims = claims;
     next();
   } catch (error) {
     return errorResponse(res, error.message, 401);
@@ -46,17 +75,18 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Authorize user based on roles
- * @param {...string} roles - Allowed roles
+ * Authorize user based on the permissions granted by their role
+ * @param {...string} permissions - Required permissions (all must be granted)
  */
-const authorizeRoles = (...roles) => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 'Authentication required.', 401);
     }
 
-    if (!roles.includes(req.user.role)) {
-      return errorResponse(res, `Access denied. Required role: ${roles.join(' or ')}`, 403);
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return errorResponse(res, `Access denied. Missing permission: ${missing.join(', ')}`, 403);
     }
 
     next();
@@ -79,11 +109,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = JWTUtils.verifyToken(token);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, claims } = await getUserFromToken(token);
       
       if (user && user.isActive) {
         req.user = user;
+        req.tokenClaims = claims;
       }
     } catch (error) {
       // Silently fail for optional auth
@@ -94,16 +124,18 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Check if user owns the resource or is admin
+ * Check if user owns the resource or holds a permission covering other users' resources
+ * @param {String} resourceUserField - Body field holding the owner's ID
+ * @param {String} permission - Permission that grants access to any user's resource
  */
-const checkOwnership = (resourceUserField = 'user') => {
+const checkOwnership = (resourceUserField = 'user', permission = 'users:read') => {
   return (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 'Authentication required.', 401);
     }
 
-    // Admin can access everything
-    if (req.user.role === 'Admin') {
+    // Staff with the permission can access everything
+    if (req.user.hasPermission(permission)) {
       return next();
     }
 
@@ -119,8 +151,9 @@ const checkOwnership = (resourceUserField = 'user') => {
 };
 
 module.exports = {
+  getUserFromToken,
   authenticateToken,
-  authorizeRoles,
+  requirePermission,
   optionalAuth,
   checkOwnership
 };
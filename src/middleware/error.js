@@ -23,6 +23,11 @@ const errorHandler = (err, req, res, next) => {
 
   console.error('Error:', err);
 
+  // The response has already started (e.g. a streamed export); Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Invalid resource ID format';
@@ -1,4 +1,39 @@
 const { body, param, query } = require('express-validator');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../utils/permissions');
+const Book = require('../models/Book');
+const Genre = require('../models/Genre');
+const { isValidIsbn, normalizeIsbn } = require('../utils/isbn');
+
+// Genres are managed in the genre collection rather than fixed here
+const isGenre = async (name) => {
+  if (!(await Genre.exists({ name }))) {
+    throw new Error(`Genre "${name}" does not exist`);
+  }
+  return true;
+};
+
+// Subjects as an array, or as a "Science; Physics" list from a CSV import
+const subjectValidation = [
+  body('subjects')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(';').map(name => name.trim()).filter(Boolean) : value))
+    .isArray({ max: 20 })
+    .withMessage('Subjects must be an array of at most 20 genres'),
+  
+  body('subjects.*')
+    .trim()
+    .custom(isGenre)
+];
+
+// Lowercase only; provider-specific rewrites (dropping dots or +tags) would change real addresses
+const EMAIL_NORMALIZE_OPTIONS = {
+  gmail_remove_dots: false,
+  gmail_remove_subaddress: false,
+  gmail_convert_googlemaildotcom: false,
+  outlookdotcom_remove_subaddress: false,
+  yahoo_remove_subaddress: false,
+  icloud_remove_subaddress: false
+};
 
 // User validation schemas
 const userRegistrationValidation = [
@@ -11,7 +46,7 @@ const userRegistrationValidation = [
   
   body('email')
     .trim()
-    .normalizeEmail()
+    .normalizeEmail(EMAIL_NORMALIZE_OPTIONS)
     .isEmail()
     .withMessage('Please provide a valid email'),
   
@@ -19,18 +54,13 @@ const userRegistrationValidation = [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
-  
-  body('role')
-    .optional()
-    .isIn(['Admin', 'Member'])
-    .withMessage('Role must be either Admin or Member')
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
 const userLoginValidation = [
   body('email')
     .trim()
-    .normalizeEmail()
+    .normalizeEmail(EMAIL_NORMALIZE_OPTIONS)
     .isEmail()
     .withMessage('Please provide a valid email'),
   
@@ -39,6 +69,34 @@ const userLoginValidation = [
     .withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .normalizeEmail(EMAIL_NORMALIZE_OPTIONS)
+    .isEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
 const userUpdateValidation = [
   body('name')
     .optional()
@@ -49,14 +107,49 @@ const userUpdateValidation = [
   body('email')
     .optional()
     .trim()
-    .normalizeEmail()
+    .normalizeEmail(EMAIL_NORMALIZE_OPTIONS)
     .isEmail()
     .withMessage('Please provide a valid email'),
   
   body('role')
     .optional()
-    .isIn(['Admin', 'Member'])
-    .withMessage('Role must be either Admin or Member')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role must be a role name'),
+  
+  body('accountStatus')
+    .optional()
+    .isIn(['Pending', 'Active'])
+    .withMessage('Account status must be either Pending or Active')
+];
+
+// Contributors name an existing author by authorId or a new one by name
+const contributorValidation = [
+  body('contributors')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Contributors must be a list of 1 to 20 entries'),
+  
+  body('contributors.*')
+    .custom(contributor => Boolean(contributor && (contributor.authorId || contributor.name)))
+    .withMessage('Each contributor needs an authorId or a name'),
+  
+  body('contributors.*.authorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  
+  body('contributors.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Contributor name must be between 1 and 100 characters'),
+  
+  body('contributors.*.role')
+    .optional()
+    .isIn(Book.CONTRIBUTOR_ROLES)
+    .withMessage(`Contributor role must be one of: ${Book.CONTRIBUTOR_ROLES.join(', ')}`)
 ];
 
 // Book validation schemas
@@ -68,19 +161,24 @@ const bookValidation = [
     .isLength({ max: 200 })
     .withMessage('Title cannot exceed 200 characters'),
   
+  // Derived from the contributors when only they are given
   body('author')
+    .if((value, { req }) => !req.body.contributors)
     .trim()
     .notEmpty()
     .withMessage('Author is required')
     .isLength({ max: 100 })
     .withMessage('Author name cannot exceed 100 characters'),
   
+  ...contributorValidation,
+  
   body('isbn')
     .trim()
     .notEmpty()
     .withMessage('ISBN is required')
-    .matches(/^(?:ISBN(?:-1[03])?:?\s)?(?=[-0-9\s]{17}$|[-0-9X\s]{13}$|[0-9X]{10}$)(?:97[89][-\s]?)?[0-9]{1,5}[-\s]?(?:[0-9]+[-\s]?){2}[0-9X]$/)
-    .withMessage('Please enter a valid ISBN'),
+    .custom(isValidIsbn)
+    .withMessage('Please enter a valid ISBN-10 or ISBN-13 with a correct check digit')
+    .customSanitizer(value => normalizeIsbn(value) || value),
   
   body('publicationDate')
     .isISO8601()
@@ -89,15 +187,13 @@ const bookValidation = [
     .withMessage('Publication date cannot be in the future'),
   
   body('genre')
+    .trim()
     .notEmpty()
     .withMessage('Genre is required')
-    .isIn([
-      'Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 
-      'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
-      'Philosophy', 'Religion', 'Self-Help', 'Health', 'Travel', 'Cooking',
-      'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
-    ])
-    .withMessage('Genre must be from the predefined list'),
+    .bail()
+    .custom(isGenre),
+  
+  ...subjectValidation,
   
   body('totalCopies')
     .isInt({ min: 1 })
@@ -124,7 +220,24 @@ const bookValidation = [
   body('pages')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Pages must be at least 1')
+    .withMessage('Pages must be at least 1'),
+  
+  body('shelfLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Shelf location cannot exceed 50 characters'),
+  
+  body('workId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid work ID format'),
+  
+  body('edition')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Edition cannot exceed 100 characters')
 ];
 
 const bookUpdateValidation = [
@@ -144,11 +257,14 @@ const bookUpdateValidation = [
     .isLength({ max: 100 })
     .withMessage('Author name cannot exceed 100 characters'),
   
+  ...contributorValidation,
+  
   body('isbn')
     .optional()
     .trim()
-    .matches(/^(?:ISBN(?:-1[03])?:?\s)?(?=[-0-9\s]{17}$|[-0-9X\s]{13}$|[0-9X]{10}$)(?:97[89][-\s]?)?[0-9]{1,5}[-\s]?(?:[0-9]+[-\s]?){2}[0-9X]$/)
-    .withMessage('Please enter a valid ISBN'),
+    .custom(isValidIsbn)
+    .withMessage('Please enter a valid ISBN-10 or ISBN-13 with a correct check digit')
+    .customSanitizer(value => normalizeIsbn(value) || value),
   
   body('publicationDate')
     .optional()
@@ -159,13 +275,10 @@ const bookUpdateValidation = [
   
   body('genre')
     .optional()
-    .isIn([
-      'Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 
-      'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
-      'Philosophy', 'Religion', 'Self-Help', 'Health', 'Travel', 'Cooking',
-      'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
-    ])
-    .withMessage('Genre must be from the predefined list'),
+    .trim()
+    .custom(isGenre),
+  
+  ...subjectValidation,
   
   body('totalCopies')
     .optional()
@@ -176,7 +289,359 @@ const bookUpdateValidation = [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Description cannot exceed 1000 characters')
+    .withMessage('Description cannot exceed 1000 characters'),
+  
+  // null or an empty string takes the book out of its work
+  body('workId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid work ID format'),
+  
+  body('edition')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Edition cannot exceed 100 characters')
+];
+
+const bookFacetsValidation = [
+  query('facets')
+    .optional()
+    .custom((value) => String(value).split(',').every(name => Book.FACETS.includes(name.trim())))
+    .withMessage(`Facets must be a comma-separated list of: ${Book.FACETS.join(', ')}`)
+];
+
+// Author validation schemas
+const authorValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Author name is required')
+    .isLength({ max: 100 })
+    .withMessage('Author name cannot exceed 100 characters'),
+  
+  body('sortName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Sort name cannot exceed 100 characters'),
+  
+  body('variants')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Variants must be a list of at most 50 names'),
+  
+  body('variants.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each variant must be between 1 and 100 characters'),
+  
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Biography cannot exceed 2000 characters'),
+  
+  body(['birthYear', 'deathYear'])
+    .optional({ values: 'null' })
+    .isInt({ min: -3000, max: new Date().getFullYear() })
+    .withMessage('Birth and death years must be whole years, not in the future')
+];
+
+const authorUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Author name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Author name cannot exceed 100 characters'),
+  
+  ...authorValidation.slice(1)
+];
+
+const authorMergeValidation = [
+  body('sourceId')
+    .isMongoId()
+    .withMessage('sourceId must be the ID of the author to merge')
+];
+
+// Genre validation schemas
+const genreValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Genre name is required')
+    .isLength({ max: 100 })
+    .withMessage('Genre name cannot exceed 100 characters'),
+  
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('parentId must be the ID of a genre'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const genreUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Genre name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Genre name cannot exceed 100 characters'),
+  
+  ...genreValidation.slice(1)
+];
+
+// Work validation schemas
+const workValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  
+  body('author')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Author name cannot exceed 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  
+  body('originalLanguage')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Language cannot exceed 50 characters'),
+  
+  body('firstPublishedYear')
+    .optional()
+    .isInt({ min: -3000, max: new Date().getFullYear() })
+    .withMessage('First published year must be a whole year, not in the future'),
+  
+  body('series.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Series name must be between 1 and 100 characters'),
+  
+  body('series.number')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Series number cannot be negative'),
+  
+  body('bookIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('bookIds must be a list of at most 100 book IDs'),
+  
+  body('bookIds.*')
+    .isMongoId()
+    .withMessage('Invalid book ID format')
+];
+
+const workUpdateValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  
+  // Editions are linked from each book's workId
+  ...workValidation.slice(1, -2)
+];
+
+const bookSuggestValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Query must be between 2 and 100 characters'),
+  
+  query('kind')
+    .optional()
+    .isIn(['title', 'author'])
+    .withMessage('Kind must be one of: title, author'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+];
+
+const bookImportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'marc', 'marcxml'])
+    .withMessage('Format must be one of: csv, marc, marcxml'),
+  
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+];
+
+const bookExportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson', 'marcxml'])
+    .withMessage('Format must be one of: csv, ndjson, marcxml'),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'all'])
+    .withMessage('Status must be one of: active, all'),
+  
+  query('genre')
+    .optional()
+    .custom(isGenre)
+];
+
+// Book copy validation schemas
+const bookCopyValidation = [
+  body('barcode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,32}$/)
+    .withMessage('Barcode must be 4-32 letters, digits or hyphens'),
+  
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Count must be between 1 and 100'),
+  
+  body('shelfLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Shelf location cannot exceed 50 characters'),
+  
+  body('condition')
+    .optional()
+    .isIn(['New', 'Good', 'Fair', 'Poor', 'Damaged'])
+    .withMessage('Condition must be one of: New, Good, Fair, Poor, Damaged'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const bookCopyUpdateValidation = [
+  param('copyId')
+    .isMongoId()
+    .withMessage('Invalid copy ID format'),
+  
+  body('barcode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,32}$/)
+    .withMessage('Barcode must be 4-32 letters, digits or hyphens'),
+  
+  body('shelfLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Shelf location cannot exceed 50 characters'),
+  
+  body('condition')
+    .optional()
+    .isIn(['New', 'Good', 'Fair', 'Poor', 'Damaged'])
+    .withMessage('Condition must be one of: New, Good, Fair, Poor, Damaged'),
+  
+  body('status')
+    .optional()
+    .isIn(['Available', 'Borrowed', 'OnHold', 'InRepair', 'Lost', 'Withdrawn'])
+    .withMessage('Status must be one of: Available, Borrowed, OnHold, InRepair, Lost, Withdrawn'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Circulation policy validation schemas
+const policyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name is required')
+    .isLength({ max: 100 })
+    .withMessage('Policy name cannot exceed 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('role')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .withMessage('Role must be a role name'),
+  
+  body('genre')
+    .optional({ values: 'falsy' })
+    .custom(isGenre),
+  
+  body('loanPeriodDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Loan period must be between 1 and 365 days'),
+  
+  body('maxBorrows')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Borrowing limit cannot be negative'),
+  
+  body('maxRenewals')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Renewal limit cannot be negative'),
+  
+  body('finePerDay')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fine per day cannot be negative'),
+  
+  body('maxUnpaidFines')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unpaid fine limit cannot be negative'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const policyUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Policy name cannot exceed 100 characters'),
+  
+  ...policyValidation.slice(1)
 ];
 
 // Common validation schemas
@@ -186,6 +651,13 @@ const mongoIdValidation = [
     .withMessage('Invalid ID format')
 ];
 
+// Books can be looked up by ID or by ISBN
+const bookIdOrIsbnValidation = [
+  param('id')
+    .custom(value => /^[0-9a-f]{24}$/i.test(value) || isValidIsbn(value))
+    .withMessage('Invalid book ID or ISBN')
+];
+
 const paginationValidation = [
   query('page')
     .optional()
@@ -203,13 +675,25 @@ const paginationValidation = [
     .withMessage('Invalid sort field')
 ];
 
-const borrowBookValidation = [
+// Borrowing and holds name a specific edition (bookId) or any edition of a work (workId)
+const bookOrWorkValidation = [
   body('bookId')
+    .if(body('workId').not().exists())
     .notEmpty()
-    .withMessage('Book ID is required')
+    .withMessage('Book ID or work ID is required')
+    .bail()
     .isMongoId()
     .withMessage('Invalid book ID format'),
   
+  body('workId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid work ID format')
+];
+
+const borrowBookValidation = [
+  ...bookOrWorkValidation,
+  
   body('dueDate')
     .optional()
     .isISO8601()
@@ -218,13 +702,231 @@ const borrowBookValidation = [
     .withMessage('Due date must be in the future')
 ];
 
+const checkoutValidation = [
+  body('memberId')
+    .if(body('cardNumber').not().exists())
+    .notEmpty()
+    .withMessage('Member ID or library card number is required')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid member ID format'),
+  
+  body('cardNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Library card number cannot be empty'),
+  
+  ...borrowBookValidation
+];
+
+// Reservation validation schemas
+const placeHoldValidation = [
+  ...bookOrWorkValidation
+];
+
+const bookIdParamValidation = [
+  param('bookId')
+    .isMongoId()
+    .withMessage('Invalid book ID format')
+];
+
+const finePaymentValidation = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  body('borrowRecordId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid borrow record ID format'),
+  
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  
+  body('method')
+    .optional()
+    .isIn(['Cash', 'Card', 'Online', 'Other'])
+    .withMessage('Payment method must be one of: Cash, Card, Online, Other')
+];
+
+const fineWaiverValidation = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  body('borrowRecordId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid borrow record ID format'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to waive a fine')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const userIdParamValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+const cardNumberParamValidation = [
+  param('cardNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Library card number is required')
+];
+
+const libraryCardUpdateValidation = [
+  param('action')
+    .isIn(['renew', 'block', 'unblock', 'replace'])
+    .withMessage('Action must be one of: renew, block, unblock, replace'),
+  
+  body('reason')
+    .if(param('action').equals('block'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to block a card')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const notificationPreferencesValidation = [
+  body(['email', 'inApp', 'dueSoon', 'overdue', 'holdReady'])
+    .optional()
+    .isBoolean()
+    .withMessage('Notification settings must be booleans'),
+  
+  body('dueReminderDays')
+    .optional()
+    .isInt({ min: 1, max: 14 })
+    .withMessage('Reminder must be between 1 and 14 days before the due date')
+];
+
+// Role validation schemas
+const ROLE_PERMISSIONS = [ALL_PERMISSIONS, ...Object.keys(PERMISSIONS)];
+
+const roleValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Role name is required')
+    .isLength({ max: 50 })
+    .withMessage('Role name cannot exceed 50 characters')
+    .matches(/^[A-Za-z][A-Za-z0-9 _-]*$/)
+    .withMessage('Role name must start with a letter and contain only letters, numbers, spaces, hyphens and underscores'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ROLE_PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const roleUpdateValidation = [
+  body('name')
+    .not()
+    .exists()
+    .withMessage('Role names cannot be changed'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ROLE_PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+// Audit log validation schemas
+const auditLogFilterValidation = [
+  query(['actor', 'targetId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  
+  query(['action', 'targetType'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Filter values cannot exceed 50 characters'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates')
+];
+
 module.exports = {
   userRegistrationValidation,
   userLoginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
   userUpdateValidation,
   bookValidation,
   bookUpdateValidation,
+  bookFacetsValidation,
+  authorValidation,
+  authorUpdateValidation,
+  authorMergeValidation,
+  genreValidation,
+  genreUpdateValidation,
+  workValidation,
+  workUpdateValidation,
+  bookSuggestValidation,
+  bookImportValidation,
+  bookExportValidation,
+  bookCopyValidation,
+  bookCopyUpdateValidation,
   mongoIdValidation,
+  bookIdOrIsbnValidation,
   paginationValidation,
-  borrowBookValidation
+  borrowBookValidation,
+  checkoutValidation,
+  policyValidation,
+  policyUpdateValidation,
+  placeHoldValidation,
+  bookIdParamValidation,
+  finePaymentValidation,
+  fineWaiverValidation,
+  userIdParamValidation,
+  cardNumberParamValidation,
+  libraryCardUpdateValidation,
+  notificationPreferencesValidation,
+  roleValidation,
+  roleUpdateValidation,
+  auditLogFilterValidation
 };
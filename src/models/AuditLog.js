@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  // Copied at the time of the action so the entry still reads correctly after accounts change
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Anything else worth keeping, e.g. a payment amount or waiver reason
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: {
+      values: ['REST', 'GraphQL', 'Script'],
+      message: 'Source must be one of: REST, GraphQL, Script'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the filtered log view
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are written once and never changed or removed
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+);
+
+/**
+ * Build a query filter for the audit log view
+ * @param {Object} criteria - { actor, action, targetType, targetId, from, to }
+ * @returns {Object} MongoDB filter
+ */
+auditLogSchema.statics.buildFilter = function({ actor, action, targetType, targetId, from, to } = {}) {
+  const filter = {};
+  if (actor) {
+    filter.actor = actor;
+  }
+  if (action) {
+    // A bare prefix such as "book" matches every book.* action
+    filter.action = /^[a-z]+$/.test(action) ? { $regex: `^${action}\\.` } : String(action);
+  }
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+  if (targetId) {
+    filter.targetId = targetId;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
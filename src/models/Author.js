@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { normalizeText, containsFilter } = require('../utils/search');
+
+// Trailing parts of a name that are not forenames, e.g. "King, Martin Luther, Jr."
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+/**
+ * A name in direct order, e.g. "Tolkien, J.R.R." becomes "J.R.R. Tolkien"
+ * @param {String} name - Name in direct or inverted (surname first) order
+ * @returns {String} Name in direct order
+ */
+const directOrder = (name) => {
+  const parts = String(name).split(',').map(part => part.trim()).filter(Boolean);
+  const inverted = parts.length > 1 && !NAME_SUFFIXES.includes(normalizeText(parts[1]));
+  return inverted ? [parts[1], parts[0], ...parts.slice(2)].join(' ') : String(name).trim();
+};
+
+// Comparable form of a name, so "Tolkien, J.R.R." and "J. R. R. Tolkien" match
+const nameKey = (name) => normalizeText(directOrder(name));
+
+const authorSchema = new mongoose.Schema({
+  // Preferred form, in direct order
+  name: {
+    type: String,
+    required: [true, 'Author name is required'],
+    trim: true,
+    maxlength: [100, 'Author name cannot exceed 100 characters']
+  },
+  // Surname first, for browsing; derived from the name when not given
+  sortName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sort name cannot exceed 100 characters']
+  },
+  // Other forms found on title pages and in catalogue records
+  variants: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name variant cannot exceed 100 characters']
+  }],
+  // nameKey() of the name and every variant; no two authors share one
+  nameKeys: [String],
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Biography cannot exceed 2000 characters']
+  },
+  birthYear: {
+    type: Number
+  },
+  deathYear: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        return value == null || this.birthYear == null || value >= this.birthYear;
+      },
+      message: 'Death year cannot be before birth year'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+authorSchema.index({ nameKeys: 1 }, { unique: true });
+authorSchema.index({ sortName: 1 });
+
+authorSchema.pre('validate', function() {
+  if (!this.sortName && this.name) {
+    const words = this.name.split(/\s+/);
+    this.sortName = this.name.includes(',') || words.length === 1
+      ? this.name
+      : `${words[words.length - 1]}, ${words.slice(0, -1).join(' ')}`;
+  }
+
+  this.variants = [...new Set(this.variants.filter(variant => variant && variant !== this.name))];
+  this.nameKeys = [...new Set([this.name, ...this.variants].map(nameKey).filter(Boolean))];
+});
+
+/**
+ * Build the filter for browsing authors
+ * @param {Object} criteria - { search }
+ * @returns {Object} MongoDB filter
+ */
+authorSchema.statics.buildFilter = function({ search } = {}) {
+  if (!search) {
+    return {};
+  }
+  return { $or: [{ name: containsFilter(search) }, { variants: containsFilter(search) }, { nameKeys: nameKey(search) }] };
+};
+
+/**
+ * Find the author known by a name or any of its variants
+ * @param {String} name - Name in any order
+ * @returns {Object|null} Author
+ */
+authorSchema.statics.findByName = function(name) {
+  return this.findOne({ nameKeys: nameKey(name) });
+};
+
+/**
+ * A new, unsaved author for a name first met as a book credit
+ * @param {String} name - Name as credited on a book
+ * @returns {Object} Author document
+ */
+authorSchema.statics.fromCredit = function(name) {
+  // Catalogue records usually give names surname first
+  const direct = directOrder(name);
+  return new this(direct === name.trim() ? { name } : { name: direct, sortName: name, variants: [name] });
+};
+
+authorSchema.statics.nameKey = nameKey;
+
+module.exports = mongoose.model('Author', authorSchema);
@@ -0,0 +1,50 @@
+const Author = require('./Author');
+
+describe('Author.nameKey', () => {
+  it('matches a name in direct and inverted order', () => {
+    expect(Author.nameKey('Tolkien, J.R.R.')).toBe('j r r tolkien');
+    expect(Author.nameKey('J. R. R. Tolkien')).toBe('j r r tolkien');
+  });
+
+  it('ignores case, accents and punctuation', () => {
+    expect(Author.nameKey('Brontë, Charlotte')).toBe(Author.nameKey('charlotte bronte'));
+  });
+
+  it('keeps a suffix after the surname at the end', () => {
+    expect(Author.nameKey('King, Martin Luther, Jr.')).toBe('martin luther king jr');
+    expect(Author.nameKey('Martin Luther King, Jr.')).toBe('martin luther king jr');
+  });
+});
+
+describe('Author.fromCredit', () => {
+  it('keeps a name credited in direct order as it is', () => {
+    const author = Author.fromCredit('Ursula K. Le Guin');
+
+    expect(author.isNew).toBe(true);
+    expect(author.name).toBe('Ursula K. Le Guin');
+    expect(author.variants).toEqual([]);
+  });
+
+  it('uses the direct order for the name and keeps the credit for sorting', () => {
+    const author = Author.fromCredit('Tolkien, J.R.R.');
+
+    expect(author.name).toBe('J.R.R. Tolkien');
+    expect(author.sortName).toBe('Tolkien, J.R.R.');
+    expect(author.variants).toEqual(['Tolkien, J.R.R.']);
+  });
+
+  it('does not mistake a suffix for a forename', () => {
+    expect(Author.fromCredit('Martin Luther King, Jr.').name).toBe('Martin Luther King, Jr.');
+    expect(Author.fromCredit('King, Martin Luther, Jr.').name).toBe('Martin Luther King Jr.');
+  });
+
+  it('derives the sort name and name keys on validation', async () => {
+    const author = Author.fromCredit('Frank Herbert');
+    author.variants.push('Herbert, Frank', 'Frank Herbert');
+    await author.validate();
+
+    expect(author.sortName).toBe('Herbert, Frank');
+    expect(author.variants).toEqual(['Herbert, Frank']);
+    expect(author.nameKeys).toEqual(['frank herbert']);
+  });
+});
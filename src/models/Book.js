@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const BookCopy = require('./BookCopy');
+const Genre = require('./Genre');
+const SuggestionIndex = require('./SuggestionIndex');
+const { toTextSearch, containsFilter, normalizeText } = require('../utils/search');
+const { normalizeIsbn, isValidIsbn } = require('../utils/isbn');
+const { AppError } = require('../utils/errors');
+
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator', 'contributor'];
+
+const contributorSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author',
+    required: true
+  },
+  // Name as credited on this book, which may be one of the author's variants
+  name: {
+    type: String,
+    required: [true, 'Contributor name is required'],
+    trim: true,
+    maxlength: [100, 'Contributor name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: CONTRIBUTOR_ROLES,
+      message: `Contributor role must be one of: ${CONTRIBUTOR_ROLES.join(', ')}`
+    },
+    default: 'author'
+  }
+}, { _id: false });
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -7,41 +38,69 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Credit line as displayed, e.g. "Douglas Preston and Lincoln Child"; kept in step with contributors
   author: {
     type: String,
     required: [true, 'Author is required'],
     trim: true,
     maxlength: [100, 'Author name cannot exceed 100 characters']
   },
+  contributors: [contributorSchema],
+  // Work this book is an edition or translation of, if it has been grouped
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    default: null,
+    validate: {
+      validator: async (id) => id === null || Boolean(await mongoose.model('Work').exists({ _id: id })),
+      message: 'Work {VALUE} does not exist'
+    }
+  },
+  // Tells editions of a work apart, e.g. "2nd edition" or "Pevear & Volokhonsky translation"
+  edition: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Edition cannot exceed 100 characters']
+  },
   isbn: {
     type: String,
     required: [true, 'ISBN is required'],
     unique: true,
     trim: true,
-    match: [/^(?:ISBN(?:-1[03])?:?\s)?(?=[-0-9\s]{17}$|[-0-9X\s]{13}$|[0-9X]{10}$)(?:97[89][-\s]?)?[0-9]{1,5}[-\s]?(?:[0-9]+[-\s]?){2}[0-9X]$/, 'Please enter a valid ISBN']
+    // Stored as ISBN-13 without hyphens; the setter also applies to queries, so
+    // find({ isbn }) matches whichever form was typed. Invalid input is kept for the validator to reject.
+    set: (value) => normalizeIsbn(value) || value,
+    validate: {
+      validator: isValidIsbn,
+      message: 'Please enter a valid ISBN-10 or ISBN-13 with a correct check digit'
+    }
   },
   publicationDate: {
     type: Date,
     required: [true, 'Publication date is required']
   },
+  // Main genre, used by circulation policies; always the first of the subjects
   genre: {
     type: String,
     required: [true, 'Genre is required'],
     trim: true,
-    enum: {
-      values: [
-        'Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 
-        'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
-        'Philosophy', 'Religion', 'Self-Help', 'Health', 'Travel', 'Cooking',
-        'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
-      ],
-      message: 'Genre must be from the predefined list'
+    validate: {
+      validator: async (name) => Boolean(await Genre.exists({ name })),
+      message: 'Genre {VALUE} does not exist'
+    }
+  },
+  // Every genre the book is shelved under, e.g. ['Science', 'Physics', 'Biography']
+  subjects: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: async (names) => (await Genre.countDocuments({ name: { $in: names } })) === new Set(names).size,
+      message: 'Every subject must be one of the library\'s genres'
     }
   },
   totalCopies: {
     type: Number,
     required: [true, 'Total copies is required'],
-    min: [1, 'Total copies must be at least 1']
+    min: [0, 'Total copies cannot be negative']
   },
   availableCopies: {
     type: Number,
@@ -95,37 +154,394 @@ const bookSchema = new mongoose.Schema({
 // Indexes for better query performance
 bookSchema.index({ title: 'text', author: 'text', description: 'text' });
 bookSchema.index({ genre: 1 });
+bookSchema.index({ subjects: 1 });
 bookSchema.index({ author: 1 });
+bookSchema.index({ 'contributors.author': 1 });
+bookSchema.index({ work: 1 });
 bookSchema.index({ borrowCount: -1 });
 bookSchema.index({ createdAt: -1 });
 
+// Virtual for the book's physical items
+bookSchema.virtual('copies', {
+  ref: 'BookCopy',
+  localField: '_id',
+  foreignField: 'book'
+});
+
 // Virtual for borrowed copies
 bookSchema.virtual('borrowedCopies').get(function() {
   return this.totalCopies - this.availableCopies;
 });
 
+// Keep the main genre first among the subjects. A new genre given on its own
+// replaces the old one rather than adding to it.
+bookSchema.pre('validate', async function() {
+  if (!this.genre || (!this.isNew && !this.isModified('genre') && !this.isModified('subjects') && this.subjects.includes(this.genre))) {
+    return;
+  }
+
+  let subjects = this.subjects;
+  if (!this.isNew && this.isModified('genre') && !this.isModified('subjects')) {
+    const previous = await this.constructor.findById(this._id).select('genre').lean().session(this.$session());
+    if (previous) {
+      subjects = subjects.filter(subject => subject !== previous.genre);
+    }
+  }
+
+  this.subjects = [...new Set([this.genre, ...subjects])];
+});
+
+// Aggregations such as getFacets() do not cast filter values, so IDs are cast here
+const toObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new AppError(`Invalid ${label} ID`, 400);
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+/**
+ * Build the catalogue filter shared by the book list, GraphQL and export
+ * @param {Object} criteria - { genre, author, authorId, workId, search, available, includeInactive }
+ * @returns {Object} MongoDB filter
+ */
+bookSchema.statics.buildFilter = function({ genre, author, authorId, workId, search, available, includeInactive } = {}) {
+  const filter = {};
+
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+
+  // A genre and everything beneath it, as listed by Genre.withDescendants()
+  if (genre) {
+    filter.subjects = Array.isArray(genre) ? { $in: genre } : genre;
+  }
+
+  // The credit line, or any contributor as credited
+  if (author) {
+    filter.$or = [{ author: containsFilter(author) }, { 'contributors.name': containsFilter(author) }];
+  }
+
+  if (authorId) {
+    filter['contributors.author'] = toObjectId(authorId, 'author');
+  }
+
+  if (workId) {
+    filter.work = toObjectId(workId, 'work');
+  }
+
+  // Uses the text index; "phrases" and -exclusions are supported
+  if (search) {
+    filter.$text = { $search: toTextSearch(search) };
+  }
+
+  // Query strings carry 'true', GraphQL a boolean
+  if (available === true || available === 'true') {
+    filter.availableCopies = { $gt: 0 };
+  }
+
+  return filter;
+};
+
+// Facets that can be counted alongside a book list; author and publisher only list the most common values
+const FACET_LIMIT = 20;
+const FACETS = {
+  genre: [
+    { $unwind: '$subjects' },
+    { $group: { _id: '$subjects', count: { $sum: 1 } } }
+  ],
+  language: [
+    { $match: { language: { $nin: [null, ''] } } },
+    { $group: { _id: '$language', count: { $sum: 1 } } }
+  ],
+  // Counted per Author, so every form of a name and every co-author is counted once
+  author: [
+    { $unwind: '$contributors' },
+    { $match: { 'contributors.role': 'author' } },
+    { $group: { _id: '$contributors.author', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+    { $lookup: { from: 'authors', localField: '_id', foreignField: '_id', as: 'author' } },
+    { $unwind: '$author' },
+    { $project: { _id: '$author.name', count: 1 } }
+  ],
+  publisher: [
+    { $match: { publisher: { $nin: [null, ''] } } },
+    { $group: { _id: '$publisher', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ],
+  available: [{ $group: { _id: { $gt: ['$availableCopies', 0] }, count: { $sum: 1 } } }],
+  decade: [
+    { $match: { publicationDate: { $type: 'date' } } },
+    {
+      $group: {
+        _id: { $multiply: [{ $floor: { $divide: [{ $year: '$publicationDate' }, 10] } }, 10] },
+        count: { $sum: 1 }
+      }
+    }
+  ]
+};
+
+/**
+ * Count matching books per value of each requested facet, in one $facet query
+ * @param {Object} filter - Filter from buildFilter()
+ * @param {Array} names - Facet names (keys of Book.FACETS)
+ * @returns {Object} { facet: [{ value, count }] }, or null when no facets were requested
+ */
+bookSchema.statics.getFacets = async function(filter, names = []) {
+  const requested = (names || []).filter(name => FACETS[name]);
+  if (requested.length === 0) {
+    return null;
+  }
+
+  const stages = {};
+  requested.forEach((name) => {
+    stages[name] = FACETS[name];
+  });
+
+  const [result] = await this.aggregate([{ $match: filter }, { $facet: stages }]);
+
+  const facets = {};
+  requested.forEach((name) => {
+    const buckets = result[name].map(bucket => ({ value: String(bucket._id), count: bucket.count }));
+    // Counted facets keep their most-common-first order; the rest read best in value order
+    facets[name] = ['author', 'publisher'].includes(name)
+      ? buckets
+      : buckets.sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+  });
+
+  return facets;
+};
+
+bookSchema.statics.FACETS = Object.keys(FACETS);
+
+bookSchema.statics.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
+
+/**
+ * Find a book by ISBN-10 or ISBN-13, however it is hyphenated
+ * @param {String} isbn - ISBN as typed
+ * @returns {Object|null} Book, or null if none matches or the ISBN is invalid
+ */
+bookSchema.statics.findByIsbn = async function(isbn) {
+  const normalized = normalizeIsbn(isbn);
+  return normalized ? this.findOne({ isbn: normalized }) : null;
+};
+
+/**
+ * Find a book by its ID or its ISBN, for lookups that accept either
+ * @param {String} idOrIsbn - Book ID or ISBN
+ * @returns {Object|null} Book
+ */
+bookSchema.statics.findByIdOrIsbn = async function(idOrIsbn) {
+  return /^[0-9a-f]{24}$/i.test(idOrIsbn)
+    ? this.findById(idOrIsbn)
+    : this.findByIsbn(idOrIsbn);
+};
+
+/**
+ * Contributors from API input, which names an existing author by authorId or a new one by name
+ * @param {Array} input - [{ authorId, name, role }]
+ * @returns {Array} Contributor subdocuments
+ */
+bookSchema.statics.toContributors = function(input) {
+  return input.map(({ authorId, name, role }) => ({ author: authorId, name, role: role || 'author' }));
+};
+
+// Suggestion counts this save changes: the book stops counting towards its old
+// title and author, and starts counting towards the new ones, while it is active
+bookSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('title') && !this.isModified('author') && !this.isModified('isActive')) {
+    return;
+  }
+
+  const previous = this.isNew
+    ? null
+    : await this.constructor.findById(this._id).select('title author isActive').lean().session(this.$session());
+
+  const changes = [];
+  SuggestionIndex.KINDS.forEach((kind) => {
+    const before = previous && previous.isActive ? normalizeText(previous[kind] || '') : '';
+    const after = this.isActive ? normalizeText(this[kind] || '') : '';
+    if (before === after) {
+      return;
+    }
+    if (before) {
+      changes.push([kind, previous[kind], -1]);
+    }
+    if (after) {
+      changes.push([kind, this[kind], 1]);
+    }
+  });
+  this.$locals.suggestionChanges = changes;
+});
+
+// The suggestion index is a convenience; a failed update must not fail the save
+bookSchema.post('save', async function() {
+  const changes = this.$locals.suggestionChanges;
+  delete this.$locals.suggestionChanges;
+  if (!changes) {
+    return;
+  }
+
+  try {
+    for (const [kind, text, change] of changes) {
+      await SuggestionIndex.adjust(kind, text, change, this.$session());
+    }
+  } catch (error) {
+    console.error(`Suggestion index update for book ${this._id} failed:`, error.message);
+  }
+});
+
 // Method to check if book is available
 bookSchema.methods.isAvailable = function() {
   return this.availableCopies > 0 && this.isActive;
 };
 
-// Method to borrow a copy
-bookSchema.methods.borrowCopy = function() {
-  if (this.availableCopies > 0) {
-    this.availableCopies -= 1;
-    this.borrowCount += 1;
-    return true;
+/**
+ * Recalculate copy counters from the book's items
+ * @returns {Object} The updated counters
+ */
+bookSchema.methods.syncCopyCounts = async function() {
+  const session = this.$session();
+  const [totalCopies, availableCopies] = await Promise.all([
+    BookCopy.countDocuments({ book: this._id, status: { $in: BookCopy.HELD_STATUSES } }).session(session),
+    BookCopy.countDocuments({ book: this._id, status: 'Available' }).session(session)
+  ]);
+
+  this.totalCopies = totalCopies;
+  this.availableCopies = availableCopies;
+
+  return { totalCopies, availableCopies };
+};
+
+/**
+ * Atomically increment the book's counters, refusing to take availableCopies
+ * below zero or above totalCopies
+ * @param {Object} changes - Amounts to add, e.g. { availableCopies: -1 }
+ * @returns {Boolean} Whether the update was applied
+ */
+bookSchema.methods.adjustCounters = async function(changes) {
+  const guard = { _id: this._id };
+  if (changes.availableCopies < 0) {
+    guard.availableCopies = { $gte: -changes.availableCopies };
+  } else if (changes.availableCopies > 0) {
+    guard.$expr = { $lte: [{ $add: ['$availableCopies', changes.availableCopies] }, '$totalCopies'] };
   }
-  return false;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    guard,
+    { $inc: changes },
+    { new: true, session: this.$session() }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  // Mirror the stored values without marking them for a later save
+  Object.keys(changes).forEach((field) => {
+    this[field] = updated[field];
+    this.unmarkModified(field);
+  });
+  return true;
 };
 
-// Method to return a copy
-bookSchema.methods.returnCopy = function() {
-  if (this.availableCopies < this.totalCopies) {
-    this.availableCopies += 1;
-    return true;
+/**
+ * Move one of the book's copies from one status to another
+ * @param {Object} filter - Extra conditions for the copy
+ * @param {String} status - New status
+ * @returns {Object|null} Updated copy
+ */
+bookSchema.methods.moveCopy = function(filter, status) {
+  return BookCopy.findOneAndUpdate(
+    { ...filter, book: this._id },
+    { status },
+    { new: true, sort: { updatedAt: 1 }, session: this.$session() }
+  );
+};
+
+// Method to borrow a copy (returns the copy lent out, or null)
+bookSchema.methods.borrowCopy = async function() {
+  const copy = await this.moveCopy({ status: 'Available' }, 'Borrowed');
+
+  if (!copy || !(await this.adjustCounters({ availableCopies: -1, borrowCount: 1 }))) {
+    return null;
+  }
+  return copy;
+};
+
+// Method to set a copy aside for a hold (off the shelf, not yet borrowed)
+bookSchema.methods.holdCopy = async function() {
+  const copy = await this.moveCopy({ status: 'Available' }, 'OnHold');
+
+  if (!copy || !(await this.adjustCounters({ availableCopies: -1 }))) {
+    return null;
+  }
+  return copy;
+};
+
+// Method to check out a copy that was already set aside for a hold
+bookSchema.methods.checkoutHeldCopy = async function(copyId) {
+  const copy = await this.moveCopy({ _id: copyId, status: 'OnHold' }, 'Borrowed');
+
+  if (!copy || !(await this.adjustCounters({ borrowCount: 1 }))) {
+    return null;
   }
-  return false;
+  return copy;
+};
+
+// Method to return a copy to the shelf (falls back to any lent-out copy for records without one)
+bookSchema.methods.returnCopy = async function(copyId) {
+  const filter = { status: { $in: ['Borrowed', 'OnHold'] } };
+  if (copyId) {
+    filter._id = copyId;
+  }
+
+  const copy = await this.moveCopy(filter, 'Available');
+
+  if (!copy || !(await this.adjustCounters({ availableCopies: 1 }))) {
+    return null;
+  }
+  return copy;
+};
+
+/**
+ * Add or withdraw copies so the book holds the requested number
+ * @param {Number} totalCopies - Desired number of copies
+ * @param {Object} details - Details for newly created copies
+ */
+bookSchema.methods.setTotalCopies = async function(totalCopies, details = {}) {
+  await this.syncCopyCounts();
+  const difference = totalCopies - this.totalCopies;
+
+  if (difference > 0) {
+    await BookCopy.createCopies(this, difference, details);
+  } else if (difference < 0) {
+    // Only copies that are not out with members can be withdrawn, in-repair ones first
+    const removableCopies = await BookCopy.find({
+      book: this._id,
+      status: { $in: ['Available', 'InRepair'] }
+    })
+      .sort({ status: -1 })
+      .limit(-difference)
+      .session(this.$session());
+
+    if (removableCopies.length < -difference) {
+      const [borrowedCopies, heldCopies] = await Promise.all([
+        BookCopy.countDocuments({ book: this._id, status: 'Borrowed' }).session(this.$session()),
+        BookCopy.countDocuments({ book: this._id, status: 'OnHold' }).session(this.$session())
+      ]);
+      throw new AppError(`Cannot reduce total copies below ${borrowedCopies + heldCopies} (${borrowedCopies} borrowed, ${heldCopies} on hold for members)`, 400);
+    }
+
+    await BookCopy.updateMany(
+      { _id: { $in: removableCopies.map(copy => copy._id) } },
+      { status: 'Withdrawn' },
+      { session: this.$session() }
+    );
+  }
+
+  await this.syncCopyCounts();
 };
 
 // Transform output to include virtual fields
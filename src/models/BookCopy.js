@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const bookCopySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{4,32}$/, 'Barcode must be 4-32 letters, digits or hyphens']
+  },
+  shelfLocation: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Shelf location cannot exceed 50 characters']
+  },
+  condition: {
+    type: String,
+    enum: {
+      values: ['New', 'Good', 'Fair', 'Poor', 'Damaged'],
+      message: 'Condition must be one of: New, Good, Fair, Poor, Damaged'
+    },
+    default: 'Good'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['Available', 'Borrowed', 'OnHold', 'InRepair', 'Lost', 'Withdrawn'],
+      message: 'Status must be one of: Available, Borrowed, OnHold, InRepair, Lost, Withdrawn'
+    },
+    default: 'Available'
+  },
+  acquiredDate: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookCopySchema.index({ book: 1, status: 1 });
+
+// Statuses that still count towards a book's holdings
+bookCopySchema.statics.HELD_STATUSES = ['Available', 'Borrowed', 'OnHold', 'InRepair'];
+
+// Virtual for checking if the copy can be lent out
+bookCopySchema.virtual('isCirculating').get(function() {
+  return this.status === 'Available';
+});
+
+// Damaged copies come off the shelf until they are repaired
+bookCopySchema.pre('save', function(next) {
+  if (this.condition === 'Damaged' && this.status === 'Available') {
+    this.status = 'InRepair';
+  }
+  next();
+});
+
+/**
+ * Generate a barcode for a new copy
+ * @returns {String} Barcode
+ */
+bookCopySchema.statics.generateBarcode = function() {
+  const stamp = Date.now().toString(36).toUpperCase();
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `NAL-${stamp}-${suffix}`;
+};
+
+/**
+ * Create new copies for a book
+ * @param {Object} book - Book document
+ * @param {Number} count - Number of copies to create
+ * @param {Object} details - Shared copy details (shelfLocation, condition)
+ * @returns {Array} Created copies
+ */
+bookCopySchema.statics.createCopies = async function(book, count, details = {}) {
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    copies.push({
+      book: book._id,
+      barcode: this.generateBarcode(),
+      shelfLocation: details.shelfLocation,
+      condition: details.condition || 'New'
+    });
+  }
+  return this.insertMany(copies, { session: book.$session ? book.$session() : null });
+};
+
+// Transform output to include virtual fields
+bookCopySchema.set('toJSON', { virtuals: true });
+bookCopySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('BookCopy', bookCopySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CirculationPolicy = require('./CirculationPolicy');
 
 const borrowRecordSchema = new mongoose.Schema({
   user: {
@@ -11,6 +12,15 @@ const borrowRecordSchema = new mongoose.Schema({
     ref: 'Book',
     required: [true, 'Book is required']
   },
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookCopy'
+  },
+  // Staff member who checked the book out at the desk (unset for self-service loans)
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   borrowDate: {
     type: Date,
     default: Date.now,
@@ -51,8 +61,7 @@ const borrowRecordSchema = new mongoose.Schema({
   renewalCount: {
     type: Number,
     default: 0,
-    min: 0,
-    max: 3 // Maximum 3 renewals allowed
+    min: 0 // Upper limit comes from the circulation policy
   },
   fine: {
     amount: {
@@ -60,6 +69,17 @@ const borrowRecordSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    waivedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Set once the fine is fully paid or waived
     paid: {
       type: Boolean,
       default: false
@@ -75,9 +95,11 @@ const borrowRecordSchema = new mongoose.Schema({
 // Compound indexes for better query performance
 borrowRecordSchema.index({ user: 1, status: 1 });
 borrowRecordSchema.index({ book: 1, status: 1 });
+borrowRecordSchema.index({ copy: 1, status: 1 });
 borrowRecordSchema.index({ borrowDate: -1 });
 borrowRecordSchema.index({ dueDate: 1 });
 borrowRecordSchema.index({ status: 1 });
+borrowRecordSchema.index({ user: 1, 'fine.paid': 1 });
 
 // Virtual for calculating if the book is overdue
 borrowRecordSchema.virtual('isOverdue').get(function() {
@@ -103,30 +125,63 @@ borrowRecordSchema.virtual('daysOverdue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Method to calculate fine (assuming $1 per day overdue)
-borrowRecordSchema.methods.calculateFine = function() {
+// Virtual for the part of the fine still owed
+borrowRecordSchema.virtual('fineBalance').get(function() {
+  const balance = this.fine.amount - this.fine.paidAmount - this.fine.waivedAmount;
+  return Math.max(0, Math.round(balance * 100) / 100);
+});
+
+// Method to resolve the circulation policy for this loan's member and book
+borrowRecordSchema.methods.getPolicy = async function() {
+  const [user, book] = await Promise.all([
+    mongoose.model('User').findById(this.user._id || this.user).select('role'),
+    mongoose.model('Book').findById(this.book._id || this.book).select('genre')
+  ]);
+
+  return CirculationPolicy.resolve({
+    role: user ? user.role : null,
+    genre: book ? book.genre : null
+  });
+};
+
+// Method to calculate fine using the policy's daily rate
+borrowRecordSchema.methods.calculateFine = function(policy = CirculationPolicy.DEFAULT_POLICY) {
   const daysOverdue = this.daysOverdue;
-  return daysOverdue * 1; // $1 per day
+  return daysOverdue * policy.finePerDay;
 };
 
 // Method to return the book
-borrowRecordSchema.methods.returnBook = function() {
+borrowRecordSchema.methods.returnBook = function(policy = CirculationPolicy.DEFAULT_POLICY) {
+  // Calculate fine if overdue (before the status change clears it), never below what has accrued
+  if (this.isOverdue) {
+    this.fine.amount = Math.max(this.fine.amount, this.calculateFine(policy));
+  }
+
   this.returnDate = new Date();
   this.status = 'Returned';
-  
-  // Calculate fine if overdue
-  if (this.isOverdue) {
-    this.fine.amount = this.calculateFine();
+};
+
+// Method to apply a payment or waiver to this loan's fine
+borrowRecordSchema.methods.settleFine = function(type, amount) {
+  if (type === 'Payment') {
+    this.fine.paidAmount = Math.round((this.fine.paidAmount + amount) * 100) / 100;
+  } else {
+    this.fine.waivedAmount = Math.round((this.fine.waivedAmount + amount) * 100) / 100;
+  }
+
+  if (this.fineBalance === 0) {
+    this.fine.paid = true;
+    this.fine.paidDate = new Date();
   }
 };
 
-// Method to renew the book (extend due date by 14 days)
-borrowRecordSchema.methods.renewBook = function() {
-  if (this.renewalCount >= 3) {
-    throw new Error('Maximum renewal limit reached');
+// Method to renew the book (extend due date by the policy's loan period)
+borrowRecordSchema.methods.renewBook = function(policy = CirculationPolicy.DEFAULT_POLICY) {
+  if (this.renewalCount >= policy.maxRenewals) {
+    throw new Error(`Maximum renewal limit reached (${policy.maxRenewals} renewals)`);
   }
   
-  this.dueDate = new Date(this.dueDate.getTime() + (14 * 24 * 60 * 60 * 1000));
+  this.dueDate = new Date(this.dueDate.getTime() + (policy.loanPeriodDays * 24 * 60 * 60 * 1000));
   this.renewalCount += 1;
 };
 
@@ -0,0 +1,115 @@
+const BorrowRecord = require('./BorrowRecord');
+const CirculationPolicy = require('./CirculationPolicy');
+
+const NOW = new Date('2024-03-20T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const POLICY = { loanPeriodDays: 7, maxBorrows: 3, maxRenewals: 2, finePerDay: 0.5, maxUnpaidFines: 5 };
+
+// A loan due the given number of days from NOW (negative for overdue)
+const loanDue = (days, fields = {}) => new BorrowRecord({
+  user: '65f000000000000000000001',
+  book: '65f000000000000000000002',
+  borrowDate: new Date(NOW.getTime() - 14 * DAY),
+  dueDate: new Date(NOW.getTime() + days * DAY),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('daysOverdue', () => {
+  it('is zero before the due date', () => {
+    expect(loanDue(1).daysOverdue).toBe(0);
+  });
+
+  it('counts a part day as a whole day', () => {
+    expect(loanDue(-3).daysOverdue).toBe(3);
+    expect(loanDue(-2.1).daysOverdue).toBe(3);
+  });
+
+  it('is zero once the book is back', () => {
+    expect(loanDue(-3, { status: 'Returned' }).daysOverdue).toBe(0);
+  });
+});
+
+describe('calculateFine', () => {
+  it('charges the policy rate for each day overdue', () => {
+    expect(loanDue(-4).calculateFine(POLICY)).toBe(2);
+  });
+
+  it('uses the default policy when none is given', () => {
+    expect(loanDue(-4).calculateFine()).toBe(4 * CirculationPolicy.DEFAULT_POLICY.finePerDay);
+  });
+});
+
+describe('returnBook', () => {
+  it('records the fine for a late return', () => {
+    const loan = loanDue(-4);
+    loan.returnBook(POLICY);
+
+    expect(loan.status).toBe('Returned');
+    expect(loan.returnDate).toEqual(NOW);
+    expect(loan.fine.amount).toBe(2);
+  });
+
+  it('never lowers a fine that has already accrued', () => {
+    const loan = loanDue(-4, { fine: { amount: 3 } });
+    loan.returnBook(POLICY);
+
+    expect(loan.fine.amount).toBe(3);
+  });
+
+  it('charges nothing for a book returned on time', () => {
+    const loan = loanDue(2);
+    loan.returnBook(POLICY);
+
+    expect(loan.fine.amount).toBe(0);
+  });
+});
+
+describe('renewBook', () => {
+  it('extends the due date by the loan period', () => {
+    const loan = loanDue(1);
+    const dueDate = loan.dueDate.getTime();
+    loan.renewBook(POLICY);
+
+    expect(loan.dueDate.getTime()).toBe(dueDate + 7 * DAY);
+    expect(loan.renewalCount).toBe(1);
+  });
+
+  it('stops at the policy renewal limit', () => {
+    const loan = loanDue(1, { renewalCount: 2 });
+
+    expect(() => loan.renewBook(POLICY)).toThrow('Maximum renewal limit reached (2 renewals)');
+    expect(loan.renewalCount).toBe(2);
+  });
+});
+
+describe('settleFine', () => {
+  it('applies payments and waivers to the balance, in cents', () => {
+    const loan = loanDue(-4, { fine: { amount: 1 } });
+    loan.settleFine('Payment', 0.1);
+    loan.settleFine('Payment', 0.2);
+    loan.settleFine('Waiver', 0.3);
+
+    expect(loan.fine.paidAmount).toBe(0.3);
+    expect(loan.fine.waivedAmount).toBe(0.3);
+    expect(loan.fineBalance).toBe(0.4);
+    expect(loan.fine.paid).toBe(false);
+  });
+
+  it('marks the fine paid once nothing is owed', () => {
+    const loan = loanDue(-4, { fine: { amount: 2, paidAmount: 1.5 } });
+    loan.settleFine('Waiver', 0.5);
+
+    expect(loan.fineBalance).toBe(0);
+    expect(loan.fine.paid).toBe(true);
+    expect(loan.fine.paidDate).toEqual(NOW);
+  });
+});
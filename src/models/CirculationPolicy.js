@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Role = require('./Role');
+const Genre = require('./Genre');
+
+// Values used when no policy matches, matching the library's original rules
+const DEFAULT_POLICY = {
+  loanPeriodDays: 14,
+  maxBorrows: 5,
+  maxRenewals: 3,
+  finePerDay: 1,
+  maxUnpaidFines: 10
+};
+
+const circulationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: async (name) => name === null || Boolean(await Role.exists({ name })),
+      message: 'Role {VALUE} does not exist'
+    }
+  },
+  genre: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: async (name) => name === null || Boolean(await Genre.exists({ name })),
+      message: 'Genre {VALUE} does not exist'
+    }
+  },
+  loanPeriodDays: {
+    type: Number,
+    required: [true, 'Loan period is required'],
+    min: [1, 'Loan period must be at least 1 day'],
+    default: DEFAULT_POLICY.loanPeriodDays
+  },
+  maxBorrows: {
+    type: Number,
+    required: [true, 'Borrowing limit is required'],
+    min: [0, 'Borrowing limit cannot be negative'],
+    default: DEFAULT_POLICY.maxBorrows
+  },
+  maxRenewals: {
+    type: Number,
+    required: [true, 'Renewal limit is required'],
+    min: [0, 'Renewal limit cannot be negative'],
+    default: DEFAULT_POLICY.maxRenewals
+  },
+  finePerDay: {
+    type: Number,
+    required: [true, 'Fine per day is required'],
+    min: [0, 'Fine per day cannot be negative'],
+    default: DEFAULT_POLICY.finePerDay
+  },
+  maxUnpaidFines: {
+    type: Number,
+    required: [true, 'Unpaid fine limit is required'],
+    min: [0, 'Unpaid fine limit cannot be negative'],
+    default: DEFAULT_POLICY.maxUnpaidFines
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per role/genre combination (null matches any)
+circulationPolicySchema.index({ role: 1, genre: 1 }, { unique: true });
+
+// Virtual for how specific the policy is (higher wins)
+circulationPolicySchema.virtual('specificity').get(function() {
+  return (this.genre ? 2 : 0) + (this.role ? 1 : 0);
+});
+
+circulationPolicySchema.statics.DEFAULT_POLICY = DEFAULT_POLICY;
+
+/**
+ * Resolve the policy that applies to a member role and book genre.
+ * Genre-specific policies win over role-specific ones, which win over the catch-all.
+ * @param {Object} criteria - { role, genre }
+ * @returns {Object} Effective policy values
+ */
+circulationPolicySchema.statics.resolve = async function({ role = null, genre = null } = {}) {
+  const candidates = await this.find({
+    isActive: true,
+    role: { $in: [role, null] },
+    genre: { $in: [genre, null] }
+  });
+
+  const policy = candidates.sort((a, b) => b.specificity - a.specificity)[0];
+
+  if (!policy) {
+    return { ...DEFAULT_POLICY, policyId: null, name: 'Default' };
+  }
+
+  return {
+    policyId: policy._id,
+    name: policy.name,
+    loanPeriodDays: policy.loanPeriodDays,
+    maxBorrows: policy.maxBorrows,
+    maxRenewals: policy.maxRenewals,
+    finePerDay: policy.finePerDay,
+    maxUnpaidFines: policy.maxUnpaidFines
+  };
+};
+
+// Transform output to include virtual fields
+circulationPolicySchema.set('toJSON', { virtuals: true });
+circulationPolicySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('CirculationPolicy', circulationPolicySchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const fineTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  borrowRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BorrowRecord',
+    required: [true, 'Borrow record is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['Charge', 'Payment', 'Waiver'],
+      message: 'Type must be one of: Charge, Payment, Waiver'
+    },
+    required: [true, 'Transaction type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    enum: {
+      values: ['Cash', 'Card', 'Online', 'Other'],
+      message: 'Payment method must be one of: Cash, Card, Online, Other'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    required: [
+      function() { return this.type === 'Waiver'; },
+      'A reason is required to waive a fine'
+    ]
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+fineTransactionSchema.index({ user: 1, createdAt: -1 });
+fineTransactionSchema.index({ borrowRecord: 1 });
+fineTransactionSchema.index({ type: 1, createdAt: -1 });
+
+// Ledger entries are never edited once written
+fineTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fine transactions cannot be modified'));
+  }
+  next();
+});
+
+fineTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Fine transactions cannot be modified or deleted'));
+  }
+);
+
+// Round money to cents so repeated partial payments do not drift
+fineTransactionSchema.statics.roundAmount = function(amount) {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Sum a member's ledger into charged, paid, waived and outstanding totals
+ * @param {String} userId - User ID
+ * @param {Object} session - Optional session to read within
+ * @returns {Object} Totals
+ */
+fineTransactionSchema.statics.getBalance = async function(userId, session = null) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$type', total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const byType = totals.reduce((acc, { _id, total }) => ({ ...acc, [_id]: total }), {});
+  const totalCharged = this.roundAmount(byType.Charge || 0);
+  const totalPaid = this.roundAmount(byType.Payment || 0);
+  const totalWaived = this.roundAmount(byType.Waiver || 0);
+
+  return {
+    totalCharged,
+    totalPaid,
+    totalWaived,
+    balance: this.roundAmount(totalCharged - totalPaid - totalWaived)
+  };
+};
+
+// Transform output to include virtual fields
+fineTransactionSchema.set('toJSON', { virtuals: true });
+fineTransactionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('FineTransaction', fineTransactionSchema);
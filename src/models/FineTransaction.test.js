@@ -0,0 +1,16 @@
+const FineTransaction = require('./FineTransaction');
+
+describe('FineTransaction.roundAmount', () => {
+  it('rounds to cents', () => {
+    expect(FineTransaction.roundAmount(0.1 + 0.2)).toBe(0.3);
+    expect(FineTransaction.roundAmount(10.456)).toBe(10.46);
+    expect(FineTransaction.roundAmount(2)).toBe(2);
+  });
+});
+
+describe('ledger entries', () => {
+  it('cannot be changed or deleted through queries', async () => {
+    await expect(FineTransaction.updateOne({}, { amount: 0 })).rejects.toThrow('Fine transactions cannot be modified or deleted');
+    await expect(FineTransaction.deleteMany({})).rejects.toThrow('Fine transactions cannot be modified or deleted');
+  });
+});
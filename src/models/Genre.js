@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Genres seeded into an empty collection; they matched the original fixed genre list
+const DEFAULT_GENRES = [
+  'Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery',
+  'Romance', 'Thriller', 'Biography', 'History', 'Science', 'Technology',
+  'Philosophy', 'Religion', 'Self-Help', 'Health', 'Travel', 'Cooking',
+  'Art', 'Music', 'Sports', 'Politics', 'Economics', 'Education', 'Other'
+];
+
+// A genre or subject heading. Books and circulation policies refer to genres by name.
+const genreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Genre name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Genre name cannot exceed 100 characters']
+  },
+  // Broader genre, e.g. Science for Physics; null for a top-level genre
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+genreSchema.index({ parent: 1, name: 1 });
+
+/**
+ * Create the default genres when the collection is empty. Genres removed by
+ * staff afterwards are not brought back.
+ */
+genreSchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) {
+    return;
+  }
+
+  await this.insertMany(DEFAULT_GENRES.map(name => ({ name })));
+};
+
+/**
+ * Find a genre by name, ignoring case
+ * @param {String} name - Genre name
+ * @returns {Object|null} Genre
+ */
+genreSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).trim() }).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * Every genre as a tree, each with its children sorted by name
+ * @returns {Array} Top-level genres as plain objects with a children array
+ */
+genreSchema.statics.getTree = async function() {
+  const genres = await this.find().sort({ name: 1 }).lean();
+
+  const byId = new Map(genres.map(genre => [String(genre._id), { ...genre, children: [] }]));
+  const roots = [];
+  byId.forEach((genre) => {
+    const parent = genre.parent && byId.get(String(genre.parent));
+    (parent ? parent.children : roots).push(genre);
+  });
+
+  return roots;
+};
+
+/**
+ * The names of every genre with its broader genres, e.g. Physics => ['Physics', 'Science']
+ * @returns {Map} Genre name => [name, parent name, grandparent name, ...]
+ */
+genreSchema.statics.getAncestry = async function() {
+  const genres = await this.find().select('name parent').lean();
+  const byId = new Map(genres.map(genre => [String(genre._id), genre]));
+
+  return new Map(genres.map((genre) => {
+    const path = [];
+    const visited = new Set();
+    for (let current = genre; current && !visited.has(String(current._id)); current = current.parent && byId.get(String(current.parent))) {
+      visited.add(String(current._id));
+      path.push(current.name);
+    }
+    return [genre.name, path];
+  }));
+};
+
+/**
+ * A genre's name and the names of every genre beneath it, so filtering by
+ * Science also finds books shelved under Physics
+ * @param {String} name - Genre name
+ * @returns {Array} Genre names (just the given name if it is not a genre)
+ */
+genreSchema.statics.withDescendants = async function(name) {
+  const ancestry = await this.getAncestry();
+  const names = [...ancestry.keys()].filter(genre => ancestry.get(genre).includes(name));
+
+  return names.length > 0 ? names : [name];
+};
+
+/**
+ * Add up per-book totals for every genre, counting books shelved under a
+ * sub-genre towards its broader genres too. Each book counts once per genre.
+ * @param {Array} groups - Aggregation results grouped by the books' subjects, e.g. { _id: ['Physics'], totalBooks: 3 }
+ * @param {Array} fields - Names of the totals to add up
+ * @returns {Array} [{ genre, parent, ...totals }] for every genre, including those with no books
+ */
+genreSchema.statics.rollUp = async function(groups, fields) {
+  const ancestry = await this.getAncestry();
+  const zero = () => Object.fromEntries(fields.map(field => [field, 0]));
+  const totals = new Map([...ancestry.keys()].map(name => [name, zero()]));
+
+  groups.forEach((group) => {
+    const names = new Set((group._id || []).flatMap(subject => ancestry.get(subject) || [subject]));
+    names.forEach((name) => {
+      if (!totals.has(name)) {
+        totals.set(name, zero());
+      }
+      const genreTotals = totals.get(name);
+      fields.forEach((field) => {
+        genreTotals[field] += group[field] || 0;
+      });
+    });
+  });
+
+  return [...totals].map(([genre, genreTotals]) => ({
+    genre,
+    parent: (ancestry.get(genre) || [])[1] || null,
+    ...genreTotals
+  }));
+};
+
+genreSchema.statics.DEFAULT_GENRES = DEFAULT_GENRES;
+
+module.exports = mongoose.model('Genre', genreSchema);
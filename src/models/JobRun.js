@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: {
+      values: ['Scheduled', 'Manual'],
+      message: 'Trigger must be either Scheduled or Manual'
+    },
+    default: 'Scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['Running', 'Succeeded', 'Failed'],
+      message: 'Status must be one of: Running, Succeeded, Failed'
+    },
+    default: 'Running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Job-specific counters, e.g. { markedOverdue, finesAccrued, amountCharged }
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ job: 1, status: 1 });
+
+// Virtual for run duration in milliseconds
+jobRunSchema.virtual('durationMs').get(function() {
+  if (!this.finishedAt) {
+    return null;
+  }
+  return this.finishedAt - this.startedAt;
+});
+
+// Method to record a successful finish
+jobRunSchema.methods.succeed = function(stats) {
+  this.status = 'Succeeded';
+  this.stats = stats;
+  this.finishedAt = new Date();
+};
+
+// Method to record a failed finish
+jobRunSchema.methods.fail = function(error) {
+  this.status = 'Failed';
+  this.error = error.message;
+  this.finishedAt = new Date();
+};
+
+// Transform output to include virtual fields
+jobRunSchema.set('toJSON', { virtuals: true });
+jobRunSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['DueSoon', 'Overdue', 'HoldReady'],
+      message: 'Type must be one of: DueSoon, Overdue, HoldReady'
+    },
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  borrowRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BorrowRecord'
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  },
+  // Identifies the event so the same notice is never sent twice
+  dedupeKey: {
+    type: String,
+    required: [true, 'Dedupe key is required'],
+    unique: true
+  },
+  // Shown in the member's inbox
+  inApp: {
+    type: Boolean,
+    default: false
+  },
+  deliveries: [{
+    transport: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Sent', 'Failed', 'Skipped'],
+      required: true
+    },
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, inApp: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+
+// Method to mark the notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+};
+
+// Transform output to include virtual fields
+notificationSchema.set('toJSON', { virtuals: true });
+notificationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
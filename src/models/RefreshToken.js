@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Every token rotated from the same login shares a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['Logout', 'Reuse'],
+      message: 'Revoked reason must be either Logout or Reuse'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke every token in a family
+ * @param {String} family - Token family
+ * @param {String} reason - Why it was revoked
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Set when the hold is placed on a book, or when a copy is set aside for a work hold
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [function() { return !this.work; }, 'Book is required']
+  },
+  // Holds on a work take the first copy of any of its editions
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['Waiting', 'Ready', 'Fulfilled', 'Cancelled', 'Expired'],
+      message: 'Status must be one of: Waiting, Ready, Fulfilled, Cancelled, Expired'
+    },
+    default: 'Waiting'
+  },
+  readyDate: {
+    type: Date
+  },
+  pickupDeadline: {
+    type: Date
+  },
+  fulfilledDate: {
+    type: Date
+  },
+  cancelledDate: {
+    type: Date
+  },
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookCopy'
+  },
+  borrowRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BorrowRecord'
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for queue lookups
+reservationSchema.index({ book: 1, status: 1, createdAt: 1 });
+reservationSchema.index({ work: 1, status: 1, createdAt: 1 });
+reservationSchema.index({ user: 1, status: 1 });
+reservationSchema.index({ status: 1, pickupDeadline: 1 });
+
+// Virtual for checking if the pickup window has passed
+reservationSchema.virtual('isPickupExpired').get(function() {
+  return this.status === 'Ready' && this.pickupDeadline && new Date() > this.pickupDeadline;
+});
+
+// Method to get the position of a waiting hold in its queue (1-based). Holds on a book
+// and holds on its work share a queue, served oldest first as in fillWaitingHolds().
+reservationSchema.methods.getQueuePosition = async function() {
+  if (this.status !== 'Waiting') {
+    return null;
+  }
+
+  const Book = mongoose.model('Book');
+
+  let queue;
+  if (this.book) {
+    const bookId = this.book._id || this.book;
+    const book = await Book.findById(bookId).select('work');
+    queue = book && book.work ? { $or: [{ book: bookId }, { work: book.work, book: null }] } : { book: bookId };
+  } else {
+    // A work hold also waits behind holds on any one of its editions
+    const workId = this.work._id || this.work;
+    const editionIds = await Book.find({ work: workId }).distinct('_id');
+    queue = { $or: [{ work: workId, book: null }, { book: { $in: editionIds } }] };
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    ...queue,
+    status: 'Waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+// Method to hold a copy for the member until the pickup deadline
+reservationSchema.methods.markReady = function() {
+  const pickupDays = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+
+  this.status = 'Ready';
+  this.readyDate = new Date();
+  this.pickupDeadline = new Date(Date.now() + pickupDays * 24 * 60 * 60 * 1000);
+};
+
+// Method to mark the hold as picked up
+reservationSchema.methods.fulfill = function(borrowRecordId) {
+  this.status = 'Fulfilled';
+  this.fulfilledDate = new Date();
+  this.borrowRecord = borrowRecordId;
+};
+
+// Method to cancel the hold
+reservationSchema.methods.cancel = function() {
+  if (this.status !== 'Waiting' && this.status !== 'Ready') {
+    throw new Error('Only waiting or ready holds can be cancelled');
+  }
+
+  this.status = 'Cancelled';
+  this.cancelledDate = new Date();
+};
+
+/**
+ * Hand the book's shelf copies to waiting holders in FIFO order, counting holds
+ * on the book's work alongside holds on the book itself
+ * @param {Object} book - Book document
+ * @returns {Array} Reservations that became ready
+ */
+reservationSchema.statics.fillWaitingHolds = async function(book) {
+  const readyHolds = [];
+  const queue = book.work ? { $or: [{ book: book._id }, { work: book.work, book: null }] } : { book: book._id };
+
+  while (book.availableCopies > 0) {
+    const nextHold = await this.findOne({ ...queue, status: 'Waiting' })
+      .sort({ createdAt: 1 })
+      .session(book.$session());
+
+    if (!nextHold) {
+      break;
+    }
+
+    const copy = await book.holdCopy();
+    if (!copy) {
+      break;
+    }
+
+    // A work hold now waits for this edition
+    nextHold.book = book._id;
+    nextHold.copy = copy._id;
+    nextHold.markReady();
+    await nextHold.save();
+
+    readyHolds.push(nextHold);
+  }
+
+  await book.save();
+  return readyHolds;
+};
+
+/**
+ * Put a copy back into circulation, giving it to the next holder if there is one
+ * @param {Object} book - Book document
+ * @param {String} copyId - Copy being put back
+ * @returns {Array} Reservations that became ready
+ */
+reservationSchema.statics.releaseCopy = async function(book, copyId) {
+  await book.returnCopy(copyId);
+  return this.fillWaitingHolds(book);
+};
+
+/**
+ * Expire ready holds whose pickup window has passed and pass their copies on
+ * @param {String|Array} bookId - Optional book, or books, to limit the sweep to
+ * @returns {Array} Reservations that became ready with the passed-on copies
+ */
+reservationSchema.statics.expireStaleHolds = async function(bookId = null) {
+  const Book = mongoose.model('Book');
+
+  const filter = {
+    status: 'Ready',
+    pickupDeadline: { $lt: new Date() }
+  };
+  if (bookId) {
+    filter.book = Array.isArray(bookId) ? { $in: bookId } : bookId;
+  }
+
+  const staleHolds = await this.find(filter).select('_id');
+  const readyHolds = [];
+
+  // Each expiry hands its copy on in its own transaction
+  for (const { _id } of staleHolds) {
+    const nextHolds = await mongoose.connection.transaction(async (session) => {
+      const hold = await this.findOne({ _id, status: 'Ready' }).session(session);
+      if (!hold) {
+        return [];
+      }
+
+      hold.status = 'Expired';
+      await hold.save();
+
+      const book = await Book.findById(hold.book).session(session);
+      return book ? this.releaseCopy(book, hold.copy) : [];
+    });
+
+    readyHolds.push(...nextHolds);
+  }
+
+  return readyHolds;
+};
+
+// Transform output to include virtual fields
+reservationSchema.set('toJSON', { virtuals: true });
+reservationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
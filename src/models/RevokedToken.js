@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: ['Logout', 'Admin'],
+      message: 'Reason must be either Logout or Admin'
+    },
+    default: 'Logout'
+  },
+  // The token's own expiry; the entry is useless (and removed) after this
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop entries once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke a token by its decoded claims
+ * @param {Object} claims - Decoded JWT payload (jti, userId, exp)
+ * @param {String} reason - Why it was revoked
+ */
+revokedTokenSchema.statics.revoke = async function(claims, reason = 'Logout') {
+  if (!claims || !claims.jti) {
+    return;
+  }
+
+  await this.updateOne(
+    { jti: claims.jti },
+    {
+      $setOnInsert: {
+        user: claims.userId,
+        reason,
+        expiresAt: new Date(claims.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Check whether a token ID has been revoked
+ * @param {String} jti - Token ID
+ * @returns {Boolean}
+ */
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../utils/permissions');
+
+// How long a role's permissions are reused before being read again
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: [ALL_PERMISSIONS, ...Object.keys(PERMISSIONS)],
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  // Built-in roles are seeded on startup and cannot be renamed or deleted
+  builtIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Changes take effect in this process straight away
+roleSchema.post('save', () => permissionCache.clear());
+roleSchema.post('findOneAndDelete', () => permissionCache.clear());
+
+/**
+ * Get the permissions granted to a role, cached for a short time
+ * @param {String} name - Role name
+ * @returns {Array} Permissions (empty for unknown roles)
+ */
+roleSchema.statics.getPermissions = async function(name) {
+  // Partially selected users have no role; an empty filter would match any role
+  if (!name) {
+    return [];
+  }
+
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return permissions;
+};
+
+/**
+ * Create the built-in roles that are missing. Admin is reset to full access every time.
+ */
+roleSchema.statics.seedBuiltIns = async function() {
+  for (const role of BUILT_IN_ROLES) {
+    const isAdmin = role.permissions.includes(ALL_PERMISSIONS);
+    await this.updateOne(
+      { name: role.name },
+      {
+        $set: { builtIn: true, ...(isAdmin && { permissions: role.permissions }) },
+        $setOnInsert: {
+          description: role.description,
+          ...(!isAdmin && { permissions: role.permissions })
+        }
+      },
+      { upsert: true }
+    );
+  }
+  permissionCache.clear();
+};
+
+module.exports = mongoose.model('Role', roleSchema);
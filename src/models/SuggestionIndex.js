@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { normalizeText, trigrams } = require('../utils/search');
+
+// Named after the Book fields the suggestions come from
+const SUGGESTION_KINDS = ['title', 'author'];
+
+// One entry per distinct title or author in the active catalogue, kept up to date by Book hooks
+const suggestionIndexSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: SUGGESTION_KINDS
+  },
+  // As displayed, from the most recently saved book
+  text: {
+    type: String,
+    required: true
+  },
+  normalized: {
+    type: String,
+    required: true
+  },
+  words: [String],
+  trigrams: [String],
+  // Active books with this title or author
+  bookCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+suggestionIndexSchema.index({ kind: 1, normalized: 1 }, { unique: true });
+suggestionIndexSchema.index({ words: 1 });
+suggestionIndexSchema.index({ trigrams: 1 });
+
+/**
+ * Add to or take from the number of active books with a title or author,
+ * removing its entry when none are left. Book saves keep the counts in step
+ * this way, so no save has to recount the catalogue.
+ * @param {String} kind - title or author
+ * @param {String} text - Title or author as stored on a book
+ * @param {Number} change - Books gained (positive) or lost (negative)
+ * @param {Object} session - Session of the book save, if any
+ */
+suggestionIndexSchema.statics.adjust = async function(kind, text, change, session = null) {
+  const normalized = normalizeText(text || '');
+  if (!normalized || change === 0) {
+    return;
+  }
+
+  if (change > 0) {
+    await this.updateOne(
+      { kind, normalized },
+      { $set: { text, words: normalized.split(' '), trigrams: trigrams(normalized) }, $inc: { bookCount: change } },
+      { upsert: true, session }
+    );
+    return;
+  }
+
+  await this.updateOne({ kind, normalized }, { $inc: { bookCount: change } }, { session });
+  await this.deleteOne({ kind, normalized, bookCount: { $lte: 0 } }, { session });
+};
+
+/**
+ * Rebuild the whole index from the active catalogue
+ * @returns {Number} Entries written
+ */
+suggestionIndexSchema.statics.rebuild = async function() {
+  const Book = mongoose.model('Book');
+  const entries = new Map();
+
+  const cursor = Book.find({ isActive: true }).select('title author').lean().cursor();
+  for await (const book of cursor) {
+    SUGGESTION_KINDS.forEach((kind) => {
+      const text = book[kind];
+      const normalized = normalizeText(text || '');
+      if (!normalized) return;
+
+      const key = `${kind}:${normalized}`;
+      const entry = entries.get(key) || { kind, text, normalized, bookCount: 0 };
+      entry.bookCount += 1;
+      entries.set(key, entry);
+    });
+  }
+
+  await this.deleteMany({});
+  const documents = [...entries.values()].map(entry => ({
+    ...entry,
+    words: entry.normalized.split(' '),
+    trigrams: trigrams(entry.normalized)
+  }));
+  for (let i = 0; i < documents.length; i += 1000) {
+    await this.insertMany(documents.slice(i, i + 1000), { ordered: false });
+  }
+
+  return documents.length;
+};
+
+suggestionIndexSchema.statics.KINDS = SUGGESTION_KINDS;
+
+module.exports = mongoose.model('SuggestionIndex', suggestionIndexSchema);
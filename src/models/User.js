@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const { generateRandomString, hashToken } = require('../utils/helpers');
+const { grants, grantsAll } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,7 +18,10 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
     trim: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    // Deliberately loose: plus addressing, hyphenated/sub domains and long TLDs are all real.
+    // Whether the address works is proven by the verification email, not by this pattern.
+    match: [/^[^\s@]+@(?:[^\s@.]+\.)+[^\s@.]{2,}$/, 'Please enter a valid email']
   },
   password: {
     type: String,
@@ -22,28 +29,139 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Name of a Role; its permissions decide what the user may do
   role: {
     type: String,
-    enum: ['Admin', 'Member'],
-    default: 'Member'
+    trim: true,
+    default: 'Member',
+    validate: {
+      validator: async (name) => Boolean(await Role.exists({ name })),
+      message: 'Role {VALUE} does not exist'
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Self-registered accounts stay Pending until the email address is confirmed
+  accountStatus: {
+    type: String,
+    enum: ['Pending', 'Active'],
+    default: 'Active'
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  libraryCard: {
+    number: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    },
+    // Stored as Active or Blocked; an Active card past expiresAt is Expired (see getCardStatus)
+    status: {
+      type: String,
+      enum: ['Active', 'Blocked']
+    },
+    blockedReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Block reason cannot exceed 500 characters']
+    }
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Lockouts since the last successful login; each one lasts twice as long
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Tokens issued before this time are rejected ("log out of all devices")
+  tokensValidAfter: {
+    type: Date
+  },
   borrowedBooks: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BorrowRecord'
-  }]
+  }],
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    dueSoon: {
+      type: Boolean,
+      default: true
+    },
+    overdue: {
+      type: Boolean,
+      default: true
+    },
+    holdReady: {
+      type: Boolean,
+      default: true
+    },
+    dueReminderDays: {
+      type: Number,
+      default: 2,
+      min: [1, 'Reminder must be at least 1 day before the due date'],
+      max: [14, 'Reminder cannot be more than 14 days before the due date']
+    }
+  }
 }, {
   timestamps: true
 });
 
 // Index for faster queries
 userSchema.index({ role: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ 'libraryCard.number': 1 }, { unique: true, sparse: true });
+
+// Every new account gets a library card
+userSchema.pre('save', async function(next) {
+  if (!this.isNew || (this.libraryCard && this.libraryCard.number)) return next();
+
+  try {
+    await this.issueLibraryCard();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -63,10 +181,188 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Virtual for checking if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+/**
+ * Record a failed login, locking the account once too many attempts pile up.
+ * Each lockout since the last successful login lasts twice as long as the one before.
+ * @param {String} userId - User ID
+ * @returns {Object} Updated user
+ */
+userSchema.statics.recordFailedLogin = async function(userId) {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+
+  // Increment atomically so parallel guesses are all counted
+  const user = await this.findByIdAndUpdate(userId, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  if (!user || user.failedLoginAttempts < maxAttempts) {
+    return user;
+  }
+
+  const minutes = Math.min(baseMinutes * 2 ** user.lockCount, maxMinutes);
+  const lockedUser = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + minutes * 60 * 1000),
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+  return lockedUser || user;
+};
+
+// Method to clear failed attempts and any lockout
+userSchema.methods.clearLoginFailures = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockCount = 0;
+};
+
+// Method to create a one-time password reset token (returns the raw token; only its hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomString(48);
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Method to clear a pending password reset
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Method to create an email verification token (returns the raw token; only its hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomString(48);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Method to mark the email address as confirmed and activate the account
+userSchema.methods.markEmailVerified = function() {
+  this.accountStatus = 'Active';
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+/**
+ * Generate a library card number that is not in use yet
+ * @returns {String} Card number (prefix followed by 10 random digits)
+ */
+userSchema.statics.generateCardNumber = async function() {
+  const prefix = process.env.LIBRARY_CARD_PREFIX || '29';
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const number = `${prefix}${crypto.randomInt(1e9, 1e10)}`;
+    if (!await this.exists({ 'libraryCard.number': number })) {
+      return number;
+    }
+  }
+  throw new Error('Could not generate a unique library card number');
+};
+
+// Method to issue a new card (also used to replace a lost one); the old number stops working
+userSchema.methods.issueLibraryCard = async function() {
+  const days = parseInt(process.env.LIBRARY_CARD_VALID_DAYS) || 365;
+
+  this.libraryCard = {
+    number: await this.constructor.generateCardNumber(),
+    issuedAt: new Date(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    status: 'Active'
+  };
+  return this.libraryCard;
+};
+
+// Method to get the card's current status, taking the expiry date into account
+userSchema.methods.getCardStatus = function() {
+  const card = this.libraryCard;
+  if (!card || !card.number) {
+    return null;
+  }
+  if (card.status === 'Active' && card.expiresAt && card.expiresAt <= new Date()) {
+    return 'Expired';
+  }
+  return card.status;
+};
+
+// Method to extend the card for another validity period
+userSchema.methods.renewLibraryCard = function() {
+  if (this.getCardStatus() === 'Blocked') {
+    throw new Error('Blocked cards must be unblocked before renewal');
+  }
+
+  const days = parseInt(process.env.LIBRARY_CARD_VALID_DAYS) || 365;
+  this.libraryCard.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  this.libraryCard.status = 'Active';
+};
+
+// Method to block the card, e.g. when it is reported stolen
+userSchema.methods.blockLibraryCard = function(reason) {
+  this.libraryCard.status = 'Blocked';
+  this.libraryCard.blockedReason = reason;
+};
+
+// Method to lift a block (the card may still turn out to be expired)
+userSchema.methods.unblockLibraryCard = function() {
+  if (this.libraryCard.status !== 'Blocked') {
+    throw new Error('Card is not blocked');
+  }
+  this.libraryCard.status = 'Active';
+  this.libraryCard.blockedReason = undefined;
+};
+
+// Method to load the permissions granted by the user's role (kept for the lifetime of this document)
+userSchema.methods.loadPermissions = async function() {
+  this.$locals.permissions = await Role.getPermissions(this.role);
+  return this.$locals.permissions;
+};
+
+// Method to check a permission loaded by loadPermissions()
+userSchema.methods.hasPermission = function(permission) {
+  return grants(this.$locals.permissions || [], permission);
+};
+
+// Method to check that this user holds every permission another user holds (both loaded by loadPermissions())
+userSchema.methods.hasPermissionsOf = function(other) {
+  return grantsAll(this.$locals.permissions || [], other.$locals.permissions || []);
+};
+
+// Method to check whether a token is still accepted, given its decoded claims.
+// Tokens carry their issue time in milliseconds (`iatMs`); older ones only have
+// the whole-second `iat`, which is compared as the start of that second.
+userSchema.methods.isTokenCurrent = function(claims) {
+  const issuedAt = claims.iatMs || claims.iat * 1000;
+  return !this.tokensValidAfter || issuedAt >= this.tokensValidAfter.getTime();
+};
+
+// Method to invalidate every token issued so far
+userSchema.methods.revokeAllTokens = function() {
+  this.tokensValidAfter = new Date();
+};
+
 // Transform output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
   return user;
 };
 
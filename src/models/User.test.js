@@ -0,0 +1,98 @@
+const User = require('./User');
+
+const NOW = new Date('2024-03-20T12:00:00.500Z');
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('isTokenCurrent', () => {
+  it('accepts any token until tokens are revoked', () => {
+    expect(new User().isTokenCurrent({ iat: 0 })).toBe(true);
+  });
+
+  it('rejects tokens issued before revokeAllTokens, even in the same second', () => {
+    const user = new User();
+    user.revokeAllTokens();
+
+    expect(user.isTokenCurrent({ iat: Math.floor(NOW.getTime() / 1000), iatMs: NOW.getTime() - 1 })).toBe(false);
+    expect(user.isTokenCurrent({ iat: Math.floor(NOW.getTime() / 1000), iatMs: NOW.getTime() })).toBe(true);
+  });
+
+  it('falls back to the whole-second issue time of older tokens', () => {
+    const user = new User({ tokensValidAfter: new Date('2024-03-20T12:00:00Z') });
+
+    expect(user.isTokenCurrent({ iat: Date.parse('2024-03-19T12:00:00Z') / 1000 })).toBe(false);
+    expect(user.isTokenCurrent({ iat: Date.parse('2024-03-20T12:00:00Z') / 1000 })).toBe(true);
+  });
+});
+
+describe('recordFailedLogin', () => {
+  const MINUTE = 60 * 1000;
+
+  // The user as it stands after the failed attempt has been counted
+  const afterAttempt = (failedLoginAttempts, lockCount = 0) => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(new User({ failedLoginAttempts, lockCount }));
+    return jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => new User({
+      lockUntil: update.lockUntil,
+      lockCount: lockCount + update.$inc.lockCount
+    }));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts attempts without locking below the limit', async () => {
+    const lock = afterAttempt(4);
+    const user = await User.recordFailedLogin('65f000000000000000000001');
+
+    expect(lock).not.toHaveBeenCalled();
+    expect(user.isLocked).toBe(false);
+  });
+
+  it('locks for the base period on the first lockout', async () => {
+    afterAttempt(5);
+    const user = await User.recordFailedLogin('65f000000000000000000001');
+
+    expect(user.isLocked).toBe(true);
+    expect(user.lockUntil.getTime()).toBe(NOW.getTime() + 15 * MINUTE);
+  });
+
+  it('doubles the lock for each lockout since the last successful login', async () => {
+    afterAttempt(5, 2);
+    const user = await User.recordFailedLogin('65f000000000000000000001');
+
+    expect(user.lockUntil.getTime()).toBe(NOW.getTime() + 60 * MINUTE);
+    expect(user.lockCount).toBe(3);
+  });
+
+  it('never locks for longer than a day', async () => {
+    afterAttempt(5, 10);
+    const user = await User.recordFailedLogin('65f000000000000000000001');
+
+    expect(user.lockUntil.getTime()).toBe(NOW.getTime() + 24 * 60 * MINUTE);
+  });
+
+  it('only locks while the attempts are still over the limit', async () => {
+    const lock = afterAttempt(5);
+    await User.recordFailedLogin('65f000000000000000000001');
+
+    expect(lock.mock.calls[0][0]).toEqual({ _id: '65f000000000000000000001', failedLoginAttempts: { $gte: 5 } });
+  });
+});
+
+describe('clearLoginFailures', () => {
+  it('unlocks the account and restarts the backoff', () => {
+    const user = new User({ failedLoginAttempts: 3, lockUntil: new Date(NOW.getTime() + 1000), lockCount: 2 });
+    user.clearLoginFailures();
+
+    expect(user.isLocked).toBe(false);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockCount).toBe(0);
+  });
+});
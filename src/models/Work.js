@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { containsFilter } = require('../utils/search');
+
+// A work groups the editions and translations of one title; each edition is a Book with its own ISBN
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Credit line, e.g. "Leo Tolstoy"
+  author: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Author name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  originalLanguage: {
+    type: String,
+    trim: true
+  },
+  firstPublishedYear: {
+    type: Number
+  },
+  // Series the work belongs to, e.g. "Discworld" number 3
+  series: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Series name cannot exceed 100 characters']
+    },
+    number: {
+      type: Number,
+      min: [0, 'Series number cannot be negative']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+workSchema.index({ title: 1 });
+workSchema.index({ 'series.name': 1, 'series.number': 1 });
+
+// Virtual for the work's editions
+workSchema.virtual('editions', {
+  ref: 'Book',
+  localField: '_id',
+  foreignField: 'work'
+});
+
+/**
+ * Build the filter for browsing works
+ * @param {Object} criteria - { search, series }
+ * @returns {Object} MongoDB filter
+ */
+workSchema.statics.buildFilter = function({ search, series } = {}) {
+  const filter = {};
+
+  if (search) {
+    filter.$or = [{ title: containsFilter(search) }, { author: containsFilter(search) }];
+  }
+
+  if (series) {
+    filter['series.name'] = containsFilter(series);
+  }
+
+  return filter;
+};
+
+/**
+ * Copies of every active edition of a work, for showing "any edition" availability
+ * @param {String} workId - Work ID
+ * @returns {Object} { totalCopies, availableCopies, editions }
+ */
+workSchema.statics.getEditionSummary = async function(workId) {
+  const Book = mongoose.model('Book');
+
+  const editions = await Book.find({ work: workId, isActive: true })
+    .select('title author isbn edition language publisher publicationDate totalCopies availableCopies')
+    .sort({ availableCopies: -1, publicationDate: -1 });
+
+  return {
+    totalCopies: editions.reduce((sum, edition) => sum + edition.totalCopies, 0),
+    availableCopies: editions.reduce((sum, edition) => sum + edition.availableCopies, 0),
+    editions
+  };
+};
+
+module.exports = mongoose.model('Work', workSchema);
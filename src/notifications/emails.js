@@ -0,0 +1,45 @@
+/**
+ * Account emails (sent directly, not through the notification inbox).
+ * Each builder returns a subject and plain-text body.
+ */
+
+// Link back to the frontend page that handles the token
+const frontendLink = (path, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+const passwordReset = ({ user, token, expiresMinutes }) => ({
+  subject: 'Reset your Nalanda Library password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    frontendLink('/reset-password', token),
+    '',
+    `The link works once and expires in ${expiresMinutes} minutes.`,
+    'If you did not ask for this, you can ignore this email; your password has not changed.',
+    '',
+    'Nalanda Library'
+  ].join('\n')
+});
+
+const verifyEmail = ({ user, token, expiresHours }) => ({
+  subject: 'Confirm your Nalanda Library email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Thanks for joining Nalanda Library. Please confirm your email address using the link below:',
+    frontendLink('/verify-email', token),
+    '',
+    `The link expires in ${expiresHours} hours. You can borrow books and place holds once your address is confirmed.`,
+    'If you did not create an account, you can ignore this email.',
+    '',
+    'Nalanda Library'
+  ].join('\n')
+});
+
+module.exports = {
+  passwordReset,
+  verifyEmail
+};
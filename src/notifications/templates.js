@@ -0,0 +1,65 @@
+/**
+ * Message templates for member notifications. Each template receives the
+ * member and the event data and returns a title and plain-text body.
+ */
+
+const formatDate = (date) => new Date(date).toDateString();
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const templates = {
+  DueSoon: ({ user, book, borrowRecord, daysLeft }) => ({
+    title: `"${book.title}" is due in ${plural(daysLeft, 'day')}`,
+    message: [
+      `Hi ${user.name},`,
+      '',
+      `"${book.title}" by ${book.author} is due back on ${formatDate(borrowRecord.dueDate)}.`,
+      'You can renew it from your account if no one is waiting for it.',
+      '',
+      'Nalanda Library'
+    ].join('\n')
+  }),
+
+  Overdue: ({ user, book, borrowRecord, daysOverdue, fineAmount }) => ({
+    title: `"${book.title}" is overdue`,
+    message: [
+      `Hi ${user.name},`,
+      '',
+      `"${book.title}" by ${book.author} was due back on ${formatDate(borrowRecord.dueDate)} and is now ${plural(daysOverdue, 'day')} overdue.`,
+      fineAmount > 0 ? `Fines accrued so far: ${fineAmount.toFixed(2)}.` : 'Fines accrue for each day it is late.',
+      'Please return it as soon as possible.',
+      '',
+      'Nalanda Library'
+    ].join('\n')
+  }),
+
+  HoldReady: ({ user, book, reservation }) => ({
+    title: `Your hold on "${book.title}" is ready`,
+    message: [
+      `Hi ${user.name},`,
+      '',
+      `A copy of "${book.title}" by ${book.author} is waiting for you.`,
+      `Please borrow it by ${formatDate(reservation.pickupDeadline)}, after which it passes to the next member in the queue.`,
+      '',
+      'Nalanda Library'
+    ].join('\n')
+  })
+};
+
+/**
+ * Render a notification template
+ * @param {String} type - Notification type
+ * @param {Object} data - Template data
+ * @returns {Object} { title, message }
+ */
+const render = (type, data) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`No template for notification type "${type}"`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  render
+};
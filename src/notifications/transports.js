@@ -0,0 +1,53 @@
+const mailer = require('../utils/mailer');
+
+/**
+ * Delivery channels for notifications. A transport decides whether a member
+ * wants messages through it and delivers one notification; registering a new
+ * transport is enough to add a channel.
+ *
+ * Transport shape: { accepts(user) => Boolean, deliver(notification, user) => Promise }
+ */
+const transports = new Map();
+
+/**
+ * Register a delivery channel
+ * @param {String} name - Transport name, recorded on each delivery
+ * @param {Object} transport - { accepts, deliver }
+ */
+const registerTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+/**
+ * Get the transports a member should be notified through
+ * @param {Object} user - User document
+ * @returns {Array} [name, transport] pairs
+ */
+const getTransportsFor = (user) => {
+  return [...transports.entries()].filter(([, transport]) => transport.accepts(user));
+};
+
+// In-app inbox: the notification document itself is the inbox entry
+registerTransport('InApp', {
+  accepts: (user) => user.notificationPreferences.inApp,
+  deliver: async (notification) => {
+    notification.inApp = true;
+  }
+});
+
+// Email through the configured SMTP server
+registerTransport('Email', {
+  accepts: (user) => user.notificationPreferences.email && mailer.isConfigured(),
+  deliver: async (notification, user) => {
+    await mailer.sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.message
+    });
+  }
+});
+
+module.exports = {
+  registerTransport,
+  getTransportsFor
+};
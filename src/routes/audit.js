@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const auditController = require('../controllers/auditController');
+const { paginationValidation, auditLogFilterValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/audit-logs
+// @desc    Get the audit log, filtered by actor, action, target or date range
+// @access  Private (audit:read)
+router.get('/',
+  authenticateToken,
+  requirePermission('audit:read'),
+  paginationValidation,
+  auditLogFilterValidation,
+  handleValidationErrors,
+  auditController.getAuditLogs
+);
+
+module.exports = router;
@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { userRegistrationValidation, userLoginValidation } = require('../middleware/validation');
+const {
+  userRegistrationValidation,
+  userLoginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation
+} = require('../middleware/validation');
 const { handleValidationErrors } = require('../middleware/error');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -24,6 +30,13 @@ router.post('/login',
   authController.login
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', 
+  authController.refresh
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -48,6 +61,41 @@ router.put('/change-password',
   authController.changePassword
 );
 
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset email
+// @access  Public
+router.post('/forgot-password', 
+  forgotPasswordValidation, 
+  handleValidationErrors, 
+  authController.forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a token from the reset email
+// @access  Public
+router.post('/reset-password', 
+  resetPasswordValidation, 
+  handleValidationErrors, 
+  authController.resetPassword
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', 
+  verifyEmailValidation, 
+  handleValidationErrors, 
+  authController.verifyEmail
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', 
+  authenticateToken, 
+  authController.resendVerification
+);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
@@ -56,4 +104,12 @@ router.post('/logout',
   authController.logout
 );
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from all devices
+// @access  Private
+router.post('/logout-all', 
+  authenticateToken, 
+  authController.logoutAll
+);
+
 module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+
+const authorController = require('../controllers/authorController');
+const {
+  authorValidation,
+  authorUpdateValidation,
+  authorMergeValidation,
+  mongoIdValidation,
+  paginationValidation
+} = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/authors
+// @desc    Browse authors by surname, optionally searching names and variants
+// @access  Public
+router.get('/',
+  paginationValidation,
+  handleValidationErrors,
+  authorController.getAuthors
+);
+
+// @route   GET /api/authors/:id
+// @desc    Get an author and the books they contributed to
+// @access  Public
+router.get('/:id',
+  mongoIdValidation,
+  handleValidationErrors,
+  authorController.getAuthorById
+);
+
+// @route   POST /api/authors
+// @desc    Create author
+// @access  Private (books:write)
+router.post('/',
+  authenticateToken,
+  requirePermission('books:write'),
+  authorValidation,
+  handleValidationErrors,
+  authorController.createAuthor
+);
+
+// @route   PUT /api/authors/:id
+// @desc    Update author
+// @access  Private (books:write)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('books:write'),
+  mongoIdValidation,
+  authorUpdateValidation,
+  handleValidationErrors,
+  authorController.updateAuthor
+);
+
+// @route   POST /api/authors/:id/merge
+// @desc    Merge a duplicate author (sourceId) into this one
+// @access  Private (books:write)
+router.post('/:id/merge',
+  authenticateToken,
+  requirePermission('books:write'),
+  mongoIdValidation,
+  authorMergeValidation,
+  handleValidationErrors,
+  authorController.mergeAuthors
+);
+
+module.exports = router;
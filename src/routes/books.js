@@ -2,9 +2,22 @@ const express = require('express');
 const router = express.Router();
 
 const bookController = require('../controllers/bookController');
-const { bookValidation, bookUpdateValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
+const copyController = require('../controllers/copyController');
+const {
+  bookValidation,
+  bookUpdateValidation,
+  bookFacetsValidation,
+  bookSuggestValidation,
+  bookImportValidation,
+  bookExportValidation,
+  bookCopyValidation,
+  bookCopyUpdateValidation,
+  mongoIdValidation,
+  bookIdOrIsbnValidation,
+  paginationValidation
+} = require('../middleware/validation');
 const { handleValidationErrors } = require('../middleware/error');
-const { authenticateToken, authorizeRoles, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
 
 // @route   GET /api/books/genres
 // @desc    Get all available genres
@@ -16,46 +29,89 @@ router.get('/genres', bookController.getGenres);
 // @access  Public
 router.get('/search', 
   paginationValidation,
+  bookFacetsValidation,
   handleValidationErrors,
   bookController.searchBooks
 );
 
+// @route   GET /api/books/suggest
+// @desc    Autocomplete titles and authors, tolerating typos
+// @access  Public
+router.get('/suggest',
+  bookSuggestValidation,
+  handleValidationErrors,
+  bookController.suggestBooks
+);
+
+// @route   GET /api/books/copies/:barcode
+// @desc    Look up a copy by barcode
+// @access  Private (books:write)
+router.get('/copies/:barcode', 
+  authenticateToken, 
+  requirePermission('books:write'),
+  copyController.getCopyByBarcode
+);
+
+// @route   GET /api/books/export
+// @desc    Export the catalogue as CSV, NDJSON or MARCXML (same filters as GET /api/books)
+// @access  Private (books:write)
+router.get('/export',
+  authenticateToken,
+  requirePermission('books:write'),
+  bookExportValidation,
+  handleValidationErrors,
+  bookController.exportBooks
+);
+
 // @route   GET /api/books
 // @desc    Get all books with pagination and filtering
 // @access  Public
 router.get('/', 
   optionalAuth,
   paginationValidation,
+  bookFacetsValidation,
   handleValidationErrors,
   bookController.getBooks
 );
 
 // @route   GET /api/books/:id
-// @desc    Get book by ID
+// @desc    Get book by ID or ISBN
 // @access  Public
 router.get('/:id', 
-  mongoIdValidation,
+  bookIdOrIsbnValidation,
   handleValidationErrors,
   bookController.getBookById
 );
 
 // @route   POST /api/books
-// @desc    Add new book (Admin only)
-// @access  Private/Admin
+// @desc    Add new book
+// @access  Private (books:write)
 router.post('/', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('books:write'),
   bookValidation,
   handleValidationErrors,
   bookController.addBook
 );
 
+// @route   POST /api/books/import
+// @desc    Import books from a CSV, MARC21 or MARCXML file (dryRun=true to preview)
+// @access  Private (books:write)
+router.post('/import',
+  authenticateToken,
+  requirePermission('books:write'),
+  express.raw({ type: () => true, limit: process.env.IMPORT_MAX_BYTES || '10mb' }),
+  bookImportValidation,
+  handleValidationErrors,
+  bookController.importBooks
+);
+
 // @route   PUT /api/books/:id
-// @desc    Update book (Admin only)
-// @access  Private/Admin
+// @desc    Update book
+// @access  Private (books:write)
 router.put('/:id', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('books:write'),
   mongoIdValidation,
   bookUpdateValidation,
   handleValidationErrors,
@@ -63,14 +119,49 @@ router.put('/:id',
 );
 
 // @route   DELETE /api/books/:id
-// @desc    Delete book (Admin only)
-// @access  Private/Admin
+// @desc    Delete book
+// @access  Private (books:write)
 router.delete('/:id', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('books:write'),
   mongoIdValidation,
   handleValidationErrors,
   bookController.deleteBook
 );
 
+// @route   GET /api/books/:id/copies
+// @desc    Get all copies of a book
+// @access  Private (books:write)
+router.get('/:id/copies', 
+  authenticateToken, 
+  requirePermission('books:write'),
+  mongoIdValidation,
+  handleValidationErrors,
+  copyController.getBookCopies
+);
+
+// @route   POST /api/books/:id/copies
+// @desc    Add copies to a book
+// @access  Private (books:write)
+router.post('/:id/copies', 
+  authenticateToken, 
+  requirePermission('books:write'),
+  mongoIdValidation,
+  bookCopyValidation,
+  handleValidationErrors,
+  copyController.addBookCopies
+);
+
+// @route   PUT /api/books/:id/copies/:copyId
+// @desc    Update a copy's details or status
+// @access  Private (books:write)
+router.put('/:id/copies/:copyId', 
+  authenticateToken, 
+  requirePermission('books:write'),
+  mongoIdValidation,
+  bookCopyUpdateValidation,
+  handleValidationErrors,
+  copyController.updateBookCopy
+);
+
 module.exports = router;
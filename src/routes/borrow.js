@@ -2,9 +2,9 @@ const express = require('express');
 const router = express.Router();
 
 const borrowController = require('../controllers/borrowController');
-const { borrowBookValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
+const { borrowBookValidation, checkoutValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
 const { handleValidationErrors } = require('../middleware/error');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // @route   POST /api/borrow
 // @desc    Borrow a book
@@ -16,6 +16,17 @@ router.post('/',
   borrowController.borrowBook
 );
 
+// @route   POST /api/borrow/checkout
+// @desc    Check a book out to a member at the desk
+// @access  Private (circulation:checkout)
+router.post('/checkout', 
+  authenticateToken,
+  requirePermission('circulation:checkout'),
+  checkoutValidation,
+  handleValidationErrors,
+  borrowController.checkoutForMember
+);
+
 // @route   GET /api/borrow/history
 // @desc    Get borrowing history for current user
 // @access  Private/Member
@@ -35,22 +46,22 @@ router.get('/active',
 );
 
 // @route   GET /api/borrow/overdue
-// @desc    Get overdue books (Admin only)
-// @access  Private/Admin
+// @desc    Get overdue books
+// @access  Private (circulation:checkout)
 router.get('/overdue', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('circulation:checkout'),
   paginationValidation,
   handleValidationErrors,
   borrowController.getOverdueBooks
 );
 
 // @route   GET /api/borrow
-// @desc    Get all borrow records (Admin only)
-// @access  Private/Admin
+// @desc    Get all borrow records
+// @access  Private (circulation:checkout)
 router.get('/', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('circulation:checkout'),
   paginationValidation,
   handleValidationErrors,
   borrowController.getAllBorrowRecords
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+
+const fineController = require('../controllers/fineController');
+const {
+  finePaymentValidation,
+  fineWaiverValidation,
+  userIdParamValidation,
+  paginationValidation
+} = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/fines
+// @desc    Get current user's fine balance and unpaid fines
+// @access  Private/Member
+router.get('/',
+  authenticateToken,
+  fineController.getMyFines
+);
+
+// @route   GET /api/fines/history
+// @desc    Get current user's fine ledger
+// @access  Private/Member
+router.get('/history',
+  authenticateToken,
+  paginationValidation,
+  handleValidationErrors,
+  fineController.getMyFineHistory
+);
+
+// @route   GET /api/fines/all
+// @desc    Get the fine ledger for all members
+// @access  Private (fines:manage)
+router.get('/all',
+  authenticateToken,
+  requirePermission('fines:manage'),
+  paginationValidation,
+  handleValidationErrors,
+  fineController.getAllFineTransactions
+);
+
+// @route   GET /api/fines/users/:userId
+// @desc    Get a member's fine balance and unpaid fines
+// @access  Private (fines:manage)
+router.get('/users/:userId',
+  authenticateToken,
+  requirePermission('fines:manage'),
+  userIdParamValidation,
+  handleValidationErrors,
+  fineController.getUserFines
+);
+
+// @route   POST /api/fines/payments
+// @desc    Record a full or partial fine payment
+// @access  Private (fines:manage)
+router.post('/payments',
+  authenticateToken,
+  requirePermission('fines:manage'),
+  finePaymentValidation,
+  handleValidationErrors,
+  fineController.recordPayment
+);
+
+// @route   POST /api/fines/waivers
+// @desc    Waive all or part of a member's fines
+// @access  Private (fines:manage)
+router.post('/waivers',
+  authenticateToken,
+  requirePermission('fines:manage'),
+  fineWaiverValidation,
+  handleValidationErrors,
+  fineController.waiveFine
+);
+
+module.exports = router;
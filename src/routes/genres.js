@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+const genreController = require('../controllers/genreController');
+const { genreValidation, genreUpdateValidation, mongoIdValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/genres
+// @desc    Get all genres
+// @access  Public
+router.get('/', genreController.getGenres);
+
+// @route   GET /api/genres/:id
+// @desc    Get a genre with its sub-genres and book count
+// @access  Public
+router.get('/:id',
+  mongoIdValidation,
+  handleValidationErrors,
+  genreController.getGenreById
+);
+
+// @route   POST /api/genres
+// @desc    Create a genre, optionally beneath a broader one
+// @access  Private (genres:manage)
+router.post('/',
+  authenticateToken,
+  requirePermission('genres:manage'),
+  genreValidation,
+  handleValidationErrors,
+  genreController.createGenre
+);
+
+// @route   PUT /api/genres/:id
+// @desc    Rename, move or describe a genre
+// @access  Private (genres:manage)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('genres:manage'),
+  mongoIdValidation,
+  genreUpdateValidation,
+  handleValidationErrors,
+  genreController.updateGenre
+);
+
+// @route   DELETE /api/genres/:id
+// @desc    Delete a genre no book, policy or sub-genre uses
+// @access  Private (genres:manage)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('genres:manage'),
+  mongoIdValidation,
+  handleValidationErrors,
+  genreController.deleteGenre
+);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+
+const jobController = require('../controllers/jobController');
+const { paginationValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/jobs/runs
+// @desc    Get the job run log
+// @access  Private (jobs:run)
+router.get('/runs',
+  authenticateToken,
+  requirePermission('jobs:run'),
+  paginationValidation,
+  handleValidationErrors,
+  jobController.getJobRuns
+);
+
+// @route   POST /api/jobs/overdue-sweep
+// @desc    Run the overdue sweep now
+// @access  Private (jobs:run)
+router.post('/overdue-sweep',
+  authenticateToken,
+  requirePermission('jobs:run'),
+  jobController.runOverdueSweep
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+const notificationController = require('../controllers/notificationController');
+const { notificationPreferencesValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken } = require('../middleware/auth');
+
+// @route   GET /api/notifications
+// @desc    Get current user's notification inbox
+// @access  Private/Member
+router.get('/',
+  authenticateToken,
+  paginationValidation,
+  handleValidationErrors,
+  notificationController.getNotifications
+);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get current user's notification preferences
+// @access  Private/Member
+router.get('/preferences',
+  authenticateToken,
+  notificationController.getPreferences
+);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update current user's notification preferences
+// @access  Private/Member
+router.put('/preferences',
+  authenticateToken,
+  notificationPreferencesValidation,
+  handleValidationErrors,
+  notificationController.updatePreferences
+);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of current user's notifications as read
+// @access  Private/Member
+router.put('/read-all',
+  authenticateToken,
+  notificationController.markAllNotificationsRead
+);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private/Member
+router.put('/:id/read',
+  authenticateToken,
+  mongoIdValidation,
+  handleValidationErrors,
+  notificationController.markNotificationRead
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+
+const policyController = require('../controllers/policyController');
+const { policyValidation, policyUpdateValidation, mongoIdValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/policies
+// @desc    Get all circulation policies
+// @access  Private (policies:read)
+router.get('/', 
+  authenticateToken,
+  requirePermission('policies:read'),
+  policyController.getPolicies
+);
+
+// @route   GET /api/policies/resolve
+// @desc    Get the policy that applies to a role and genre
+// @access  Private (policies:read)
+router.get('/resolve', 
+  authenticateToken,
+  requirePermission('policies:read'),
+  policyController.resolvePolicy
+);
+
+// @route   GET /api/policies/:id
+// @desc    Get circulation policy by ID
+// @access  Private (policies:read)
+router.get('/:id', 
+  authenticateToken,
+  requirePermission('policies:read'),
+  mongoIdValidation,
+  handleValidationErrors,
+  policyController.getPolicyById
+);
+
+// @route   POST /api/policies
+// @desc    Create circulation policy
+// @access  Private (policies:write)
+router.post('/', 
+  authenticateToken,
+  requirePermission('policies:write'),
+  policyValidation,
+  handleValidationErrors,
+  policyController.createPolicy
+);
+
+// @route   PUT /api/policies/:id
+// @desc    Update circulation policy
+// @access  Private (policies:write)
+router.put('/:id', 
+  authenticateToken,
+  requirePermission('policies:write'),
+  mongoIdValidation,
+  policyUpdateValidation,
+  handleValidationErrors,
+  policyController.updatePolicy
+);
+
+// @route   DELETE /api/policies/:id
+// @desc    Delete circulation policy
+// @access  Private (policies:write)
+router.delete('/:id', 
+  authenticateToken,
+  requirePermission('policies:write'),
+  mongoIdValidation,
+  handleValidationErrors,
+  policyController.deletePolicy
+);
+
+module.exports = router;
@@ -3,50 +3,50 @@ const router = express.Router();
 
 const reportController = require('../controllers/reportController');
 const { handleValidationErrors } = require('../middleware/error');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/reports/dashboard
 // @desc    Get library statistics dashboard
-// @access  Private/Admin
+// @access  Private (reports:read)
 router.get('/dashboard', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   reportController.getDashboardStats
 );
 
 // @route   GET /api/reports/most-borrowed-books
 // @desc    Get most borrowed books report
-// @access  Private/Admin
+// @access  Private (reports:read)
 router.get('/most-borrowed-books', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   reportController.getMostBorrowedBooks
 );
 
 // @route   GET /api/reports/active-members
 // @desc    Get most active members report
-// @access  Private/Admin
+// @access  Private (reports:read)
 router.get('/active-members', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   reportController.getActiveMembersReport
 );
 
 // @route   GET /api/reports/book-availability
 // @desc    Get book availability summary
-// @access  Private/Admin
+// @access  Private (reports:read)
 router.get('/book-availability', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   reportController.getBookAvailabilityReport
 );
 
 // @route   GET /api/reports/borrowing-trends
 // @desc    Get borrowing trends report
-// @access  Private/Admin
+// @access  Private (reports:read)
 router.get('/borrowing-trends', 
   authenticateToken,
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   reportController.getBorrowingTrendsReport
 );
 
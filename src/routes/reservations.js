@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+const reservationController = require('../controllers/reservationController');
+const { placeHoldValidation, bookIdParamValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   POST /api/reservations
+// @desc    Place a hold on an unavailable book
+// @access  Private/Member
+router.post('/',
+  authenticateToken,
+  placeHoldValidation,
+  handleValidationErrors,
+  reservationController.placeHold
+);
+
+// @route   GET /api/reservations
+// @desc    Get current user's holds
+// @access  Private/Member
+router.get('/',
+  authenticateToken,
+  reservationController.getMyReservations
+);
+
+// @route   GET /api/reservations/all
+// @desc    Get all holds
+// @access  Private (circulation:checkout)
+router.get('/all',
+  authenticateToken,
+  requirePermission('circulation:checkout'),
+  paginationValidation,
+  handleValidationErrors,
+  reservationController.getAllReservations
+);
+
+// @route   GET /api/reservations/book/:bookId
+// @desc    Get the hold queue for a book
+// @access  Private (circulation:checkout)
+router.get('/book/:bookId',
+  authenticateToken,
+  requirePermission('circulation:checkout'),
+  bookIdParamValidation,
+  handleValidationErrors,
+  reservationController.getBookQueue
+);
+
+// @route   PUT /api/reservations/:id/cancel
+// @desc    Cancel a hold
+// @access  Private/Member
+router.put('/:id/cancel',
+  authenticateToken,
+  mongoIdValidation,
+  handleValidationErrors,
+  reservationController.cancelReservation
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+const roleController = require('../controllers/roleController');
+const { roleValidation, roleUpdateValidation, mongoIdValidation } = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/roles
+// @desc    Get all roles
+// @access  Private (users:read)
+router.get('/',
+  authenticateToken,
+  requirePermission('users:read'),
+  roleController.getRoles
+);
+
+// @route   GET /api/roles/permissions
+// @desc    Get the permissions that can be granted to roles
+// @access  Private (roles:manage)
+router.get('/permissions',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  roleController.getPermissions
+);
+
+// @route   POST /api/roles
+// @desc    Create a role
+// @access  Private (roles:manage)
+router.post('/',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  roleValidation,
+  handleValidationErrors,
+  roleController.createRole
+);
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's description or permissions
+// @access  Private (roles:manage)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  mongoIdValidation,
+  roleUpdateValidation,
+  handleValidationErrors,
+  roleController.updateRole
+);
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a role that is not in use
+// @access  Private (roles:manage)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  mongoIdValidation,
+  handleValidationErrors,
+  roleController.deleteRole
+);
+
+module.exports = router;
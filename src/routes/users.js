@@ -2,32 +2,49 @@ const express = require('express');
 const router = express.Router();
 
 const userController = require('../controllers/userController');
-const { userUpdateValidation, mongoIdValidation, paginationValidation } = require('../middleware/validation');
+const {
+  userUpdateValidation,
+  mongoIdValidation,
+  paginationValidation,
+  cardNumberParamValidation,
+  libraryCardUpdateValidation
+} = require('../middleware/validation');
 const { handleValidationErrors } = require('../middleware/error');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
+// @desc    Get all users
+// @access  Private (users:read)
 router.get('/', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('users:read'),
   paginationValidation,
   handleValidationErrors,
   userController.getUsers
 );
 
 // @route   GET /api/users/stats
-// @desc    Get user statistics (Admin only)
-// @access  Private/Admin
+// @desc    Get user statistics
+// @access  Private (reports:read)
 router.get('/stats', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('reports:read'),
   userController.getUserStats
 );
 
+// @route   GET /api/users/cards/:cardNumber
+// @desc    Look up a member by library card number
+// @access  Private (circulation:checkout)
+router.get('/cards/:cardNumber',
+  authenticateToken,
+  requirePermission('circulation:checkout'),
+  cardNumberParamValidation,
+  handleValidationErrors,
+  userController.getUserByCard
+);
+
 // @route   GET /api/users/:id
-// @desc    Get user by ID (Admin or own profile)
+// @desc    Get user by ID (own profile, or users:read)
 // @access  Private
 router.get('/:id', 
   authenticateToken,
@@ -37,18 +54,18 @@ router.get('/:id',
 );
 
 // @route   POST /api/users
-// @desc    Create new user (Admin only)
-// @access  Private/Admin
+// @desc    Create new user
+// @access  Private (users:write)
 router.post('/', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('users:write'),
   userUpdateValidation,
   handleValidationErrors,
   userController.createUser
 );
 
 // @route   PUT /api/users/:id
-// @desc    Update user (Admin or own profile)
+// @desc    Update user (own profile, or users:write)
 // @access  Private
 router.put('/:id', 
   authenticateToken,
@@ -58,12 +75,35 @@ router.put('/:id',
   userController.updateUser
 );
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (users:write)
+router.put('/:id/unlock',
+  authenticateToken,
+  requirePermission('users:write'),
+  mongoIdValidation,
+  handleValidationErrors,
+  userController.unlockUser
+);
+
+// @route   PUT /api/users/:id/card/:action
+// @desc    Renew, block, unblock or replace a member's library card
+// @access  Private (circulation:checkout)
+router.put('/:id/card/:action',
+  authenticateToken,
+  requirePermission('circulation:checkout'),
+  mongoIdValidation,
+  libraryCardUpdateValidation,
+  handleValidationErrors,
+  userController.updateLibraryCard
+);
+
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
-// @access  Private/Admin
+// @desc    Delete user
+// @access  Private (users:write)
 router.delete('/:id', 
   authenticateToken, 
-  authorizeRoles('Admin'),
+  requirePermission('users:write'),
   mongoIdValidation,
   handleValidationErrors,
   userController.deleteUser
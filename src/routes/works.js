@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+const workController = require('../controllers/workController');
+const {
+  workValidation,
+  workUpdateValidation,
+  mongoIdValidation,
+  paginationValidation
+} = require('../middleware/validation');
+const { handleValidationErrors } = require('../middleware/error');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/works
+// @desc    Browse works by title, author or series
+// @access  Public
+router.get('/',
+  paginationValidation,
+  handleValidationErrors,
+  workController.getWorks
+);
+
+// @route   GET /api/works/:id
+// @desc    Get a work with its editions and any-edition availability
+// @access  Public
+router.get('/:id',
+  mongoIdValidation,
+  handleValidationErrors,
+  workController.getWorkById
+);
+
+// @route   POST /api/works
+// @desc    Create work, optionally grouping existing books as its editions
+// @access  Private (books:write)
+router.post('/',
+  authenticateToken,
+  requirePermission('books:write'),
+  workValidation,
+  handleValidationErrors,
+  workController.createWork
+);
+
+// @route   PUT /api/works/:id
+// @desc    Update work
+// @access  Private (books:write)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('books:write'),
+  mongoIdValidation,
+  workUpdateValidation,
+  handleValidationErrors,
+  workController.updateWork
+);
+
+// @route   DELETE /api/works/:id
+// @desc    Delete work, leaving its editions as stand-alone books
+// @access  Private (books:write)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('books:write'),
+  mongoIdValidation,
+  handleValidationErrors,
+  workController.deleteWork
+);
+
+module.exports = router;
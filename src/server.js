@@ -3,14 +3,16 @@ const express = require('express');
 const { ApolloServer } = require('apollo-server-express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 
 // Import utilities and middleware
 const connectDB = require('./utils/database');
 const { errorHandler, notFound } = require('./middleware/error');
-const { authenticateToken } = require('./middleware/auth');
-const JWTUtils = require('./utils/jwt');
-const User = require('./models/User');
+const { getUserFromToken } = require('./middleware/auth');
+const scheduler = require('./jobs/scheduler');
+const Role = require('./models/Role');
+const Genre = require('./models/Genre');
 
 // Import GraphQL schema
 const typeDefs = require('./graphql/typeDefs');
@@ -20,14 +22,31 @@ const resolvers = require('./graphql/resolvers');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const bookRoutes = require('./routes/books');
+const authorRoutes = require('./routes/authors');
+const genreRoutes = require('./routes/genres');
+const workRoutes = require('./routes/works');
 const borrowRoutes = require('./routes/borrow');
 const reportRoutes = require('./routes/reports');
+const reservationRoutes = require('./routes/reservations');
+const policyRoutes = require('./routes/policies');
+const fineRoutes = require('./routes/fines');
+const jobRoutes = require('./routes/jobs');
+const notificationRoutes = require('./routes/notifications');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
 
 // Initialize Express app
 const app = express();
 
 // Connect to database
-connectDB();
+connectDB()
+  .then(() => Role.seedBuiltIns())
+  .then(() => Genre.seedDefaults())
+  .then(() => scheduler.start())
+  .catch(error => {
+    console.error('Error during startup:', error);
+    process.exit(1);
+  });
 
 // Security middleware
 app.use(helmet({
@@ -57,6 +76,7 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -72,8 +92,18 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/genres', genreRoutes);
+app.use('/api/works', workRoutes);
 app.use('/api/borrow', borrowRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit-logs', auditRoutes);
 
 // GraphQL context function
 const getUser = async (req) => {
@@ -89,9 +119,8 @@ const getUser = async (req) => {
   }
 
   try {
-    const decoded = JWTUtils.verifyToken(token);
-    const user = await User.findById(decoded.userId).select('-password');
-    return user && user.isActive ? user : null;
+    const { user, claims } = await getUserFromToken(token);
+    return user && user.isActive ? { user, tokenClaims: claims } : null;
   } catch (error) {
     return null;
   }
@@ -103,8 +132,8 @@ async function startApolloServer() {
     typeDefs,
     resolvers,
     context: async ({ req }) => {
-      const user = await getUser(req);
-      return { user };
+      const auth = await getUser(req);
+      return auth ? { user: auth.user, tokenClaims: auth.tokenClaims, ip: req.ip } : { user: null, ip: req.ip };
     },
     introspection: process.env.NODE_ENV !== 'production',
     playground: process.env.NODE_ENV !== 'production',
@@ -153,6 +182,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     console.log('Server closed.');
     process.exit(0);
@@ -161,6 +191,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     console.log('Server closed.');
     process.exit(0);
@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Check a login attempt against the account's credentials and lockout state
+ * @param {String} email - Account email
+ * @param {String} password - Password attempt
+ * @returns {Object} Authenticated user (with lastLogin updated)
+ */
+const authenticate = async (email, password) => {
+  // Find user and include password for comparison
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+  if (!user) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account has been deactivated', 401);
+  }
+
+  // A locked account rejects even the right password until the lock runs out
+  if (user.isLocked) {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    throw new AppError(`Account is locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`, 423);
+  }
+
+  // Check password
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    const updatedUser = await User.recordFailedLogin(user._id);
+    if (updatedUser && updatedUser.isLocked) {
+      throw new AppError('Too many failed login attempts. The account has been temporarily locked', 423);
+    }
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  // Update last login
+  user.clearLoginFailures();
+  user.lastLogin = new Date();
+  await user.save();
+
+  return user;
+};
+
+module.exports = {
+  authenticate
+};
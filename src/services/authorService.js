@@ -0,0 +1,235 @@
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+const { AppError } = require('../utils/errors');
+
+const AUTHOR_FIELDS = ['name', 'sortName', 'variants', 'bio', 'birthYear', 'deathYear'];
+
+/**
+ * Count the active books each author contributed to, in any role
+ * @param {Array} authorIds - Author IDs
+ * @returns {Map} Author ID string to book count
+ */
+const countBooks = async (authorIds) => {
+  const counts = await Book.aggregate([
+    { $match: { isActive: true, 'contributors.author': { $in: authorIds } } },
+    { $unwind: '$contributors' },
+    { $match: { 'contributors.author': { $in: authorIds } } },
+    { $group: { _id: '$contributors.author', books: { $addToSet: '$_id' } } }
+  ]);
+  return new Map(counts.map(count => [String(count._id), count.books.length]));
+};
+
+/**
+ * Browse authors by sort name
+ * @param {Object} options - { search, page, limit }
+ * @returns {Object} { authors (with bookCount), total }
+ */
+const listAuthors = async ({ search, page = 1, limit = 10 }) => {
+  const filter = Author.buildFilter({ search });
+
+  const [authors, total] = await Promise.all([
+    Author.find(filter)
+      .sort({ sortName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Author.countDocuments(filter)
+  ]);
+
+  const counts = await countBooks(authors.map(author => author._id));
+  authors.forEach((author) => {
+    author.bookCount = counts.get(String(author._id)) || 0;
+  });
+
+  return { authors, total };
+};
+
+/**
+ * The active books an author contributed to, newest first
+ * @param {String} authorId - Author ID
+ * @returns {Array} Books
+ */
+const getAuthorBooks = (authorId) => Book.find({ 'contributors.author': authorId, isActive: true })
+  .sort({ publicationDate: -1 });
+
+/**
+ * Names that would clash with another author's name or variants
+ * @param {Object} author - Author being saved
+ * @returns {Object|null} The other author
+ */
+const findNameClash = (author) => {
+  const keys = [author.name, ...(author.variants || [])].map(Author.nameKey).filter(Boolean);
+  return Author.findOne({ _id: { $ne: author._id }, nameKeys: { $in: keys } });
+};
+
+/**
+ * Create an author
+ * @param {Object} details - { name, sortName, variants, bio, birthYear, deathYear }
+ * @returns {Object} New author
+ */
+const createAuthor = async (details) => {
+  const author = new Author();
+  AUTHOR_FIELDS.forEach((field) => {
+    if (details[field] !== undefined) {
+      author[field] = details[field];
+    }
+  });
+
+  const clash = await findNameClash(author);
+  if (clash) {
+    throw new AppError(`"${clash.name}" already has this name or one of these variants`, 400);
+  }
+
+  await author.save();
+  return author;
+};
+
+/**
+ * Update an author's names or details. Books keep the name they were credited with.
+ * @param {String} id - Author ID
+ * @param {Object} changes - Any of the fields accepted by createAuthor()
+ * @returns {Object} Updated author
+ */
+const updateAuthor = async (id, changes) => {
+  const author = await Author.findById(id);
+  if (!author) {
+    throw new AppError('Author not found', 404);
+  }
+
+  AUTHOR_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) {
+      author[field] = changes[field];
+    }
+  });
+
+  if (author.isModified('name') || author.isModified('variants')) {
+    const clash = await findNameClash(author);
+    if (clash) {
+      throw new AppError(`"${clash.name}" already has this name or one of these variants; merge the two authors instead`, 400);
+    }
+  }
+
+  await author.save();
+  return author;
+};
+
+/**
+ * Merge a duplicate author into another: its books are credited to the target
+ * and its names become the target's variants
+ * @param {String} targetId - Author to keep
+ * @param {String} sourceId - Author to merge and remove
+ * @returns {Object} { author, source, booksUpdated }
+ */
+const mergeAuthors = async (targetId, sourceId) => {
+  if (String(targetId) === String(sourceId)) {
+    throw new AppError('An author cannot be merged into itself', 400);
+  }
+
+  const [author, source] = await Promise.all([Author.findById(targetId), Author.findById(sourceId)]);
+  if (!author || !source) {
+    throw new AppError('Author not found', 404);
+  }
+
+  const { modifiedCount } = await Book.updateMany(
+    { 'contributors.author': source._id },
+    { $set: { 'contributors.$[credit].author': author._id } },
+    { arrayFilters: [{ 'credit.author': source._id }] }
+  );
+
+  // The source's names must be free before the target can take them
+  await Author.deleteOne({ _id: source._id });
+  author.variants = [...author.variants, source.name, ...source.variants];
+  await author.save();
+
+  return { author, source, booksUpdated: modifiedCount };
+};
+
+/**
+ * Credit line for a list of contributors: the authors, or everyone with their role when there are none
+ * @param {Array} contributors - [{ name, role }]
+ * @returns {String} e.g. "Douglas Preston and Lincoln Child"
+ */
+const formatCredit = (contributors) => {
+  const authors = contributors.filter(contributor => contributor.role === 'author').map(contributor => contributor.name);
+  const names = authors.length > 0 ? authors : contributors.map(contributor => `${contributor.name} (${contributor.role})`);
+
+  const credit = names.length <= 2
+    ? names.join(' and ')
+    : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  return credit.length > 100 ? `${names[0]} et al.` : credit;
+};
+
+/**
+ * Link a book's contributors to Author records, and keep the credit line and
+ * contributors in step. Books saved before contributors existed get theirs from
+ * the credit line. Nothing is written: names met for the first time get new,
+ * unsaved authors, which bookService.saveBook() creates along with the book.
+ * @param {Object} book - Book document
+ * @returns {Array} New authors the contributors now refer to
+ */
+const linkContributors = async (book) => {
+  const session = book.$session();
+  const newAuthors = [];
+
+  // Every contributor with the same name gets the same author
+  const authorsByKey = new Map();
+  const authorFor = async (name) => {
+    const key = Author.nameKey(name);
+    if (!authorsByKey.has(key)) {
+      let author = await Author.findByName(name).session(session);
+      if (!author) {
+        author = Author.fromCredit(name);
+        newAuthors.push(author);
+      }
+      authorsByKey.set(key, author);
+    }
+    return authorsByKey.get(key);
+  };
+
+  const contributorsChanged = book.isModified('contributors') && book.contributors.length > 0;
+
+  if (book.author && !contributorsChanged && (book.contributors.length === 0 || book.isModified('author'))) {
+    const author = await authorFor(book.author);
+    const others = book.contributors.filter(contributor => contributor.role !== 'author');
+    book.contributors = [{ author: author._id, name: book.author, role: 'author' }, ...others];
+    return newAuthors;
+  }
+
+  if (!contributorsChanged) {
+    return newAuthors;
+  }
+
+  const linked = await Author.find({
+    _id: { $in: book.contributors.filter(contributor => contributor.author).map(contributor => contributor.author) }
+  }).select('name').session(session);
+
+  for (const contributor of book.contributors) {
+    if (!contributor.author) {
+      contributor.author = (await authorFor(contributor.name))._id;
+      continue;
+    }
+
+    const author = linked.find(candidate => candidate._id.equals(contributor.author));
+    if (!author) {
+      throw new AppError(`Author ${contributor.author} not found`, 400);
+    }
+    contributor.name = contributor.name || author.name;
+  }
+
+  // An explicit credit line wins, e.g. "Edited by Jane Doe"
+  if (!book.isModified('author') || !book.author) {
+    book.author = formatCredit(book.contributors);
+  }
+
+  return newAuthors;
+};
+
+module.exports = {
+  countBooks,
+  listAuthors,
+  getAuthorBooks,
+  createAuthor,
+  updateAuthor,
+  mergeAuthors,
+  linkContributors
+};
@@ -0,0 +1,53 @@
+const Book = require('../models/Book');
+const Genre = require('../models/Genre');
+const { normalizeIsbn } = require('../utils/isbn');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Search the catalogue using the text index on title, author and description.
+ * Supports "exact phrases" and -excluded words; ISBNs are looked up directly.
+ * @param {Object} options - { query, genre, author, available, facets, page, limit }
+ * @returns {Object} { books, total, facets } (facets is null unless requested)
+ */
+const searchBooks = async ({ query, genre, author, available, facets = [], page = 1, limit = 10 }) => {
+  if (!query || !String(query).trim()) {
+    throw new AppError('Search query is required', 400);
+  }
+
+  let filter;
+  let sort;
+
+  // A genre includes its sub-genres
+  const genres = genre && await Genre.withDescendants(genre);
+
+  const isbn = normalizeIsbn(query);
+  if (isbn) {
+    // The text index does not cover ISBNs; ISBN-10 and hyphenated input find the stored ISBN-13
+    filter = { ...Book.buildFilter({ genre: genres, author, available }), isbn };
+    sort = { borrowCount: -1, createdAt: -1 };
+  } else {
+    filter = Book.buildFilter({ search: query, genre: genres, author, available });
+    // Most relevant first, then popular books
+    sort = { score: { $meta: 'textScore' }, borrowCount: -1 };
+  }
+
+  const find = Book.find(filter);
+  if (filter.$text) {
+    find.select({ score: { $meta: 'textScore' } });
+  }
+
+  const [books, total, facetCounts] = await Promise.all([
+    find
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Book.countDocuments(filter),
+    Book.getFacets(filter, facets)
+  ]);
+
+  return { books, total, facets: facetCounts };
+};
+
+module.exports = {
+  searchBooks
+};
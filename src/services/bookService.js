@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const authorService = require('./authorService');
+
+/**
+ * Link a book's contributors to Author records and validate it, without writing
+ * anything, e.g. to preview an import
+ * @param {Object} book - Book document
+ * @returns {Array} New authors that saveBook() would create with the book
+ */
+const checkBook = async (book) => {
+  const newAuthors = await authorService.linkContributors(book);
+  await book.validate();
+  return newAuthors;
+};
+
+/**
+ * Save a new or changed book. It is checked with checkBook() before anything is
+ * written; authors met for the first time are then created in the same
+ * transaction as the book, so a save that fails leaves none behind.
+ * @param {Object} book - Book document
+ * @param {Function} beforeSave - Further writes made with the book, such as
+ *   adding copies; runs inside the transaction just before the book is saved
+ * @returns {Object} Saved book
+ */
+const saveBook = async (book, beforeSave = async () => {}) => {
+  const newAuthors = await checkBook(book);
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      book.$session(session);
+      for (const author of newAuthors) {
+        author.$session(session);
+        await author.save();
+      }
+
+      await beforeSave();
+      await book.save();
+    });
+  } finally {
+    book.$session(null);
+  }
+
+  return book;
+};
+
+module.exports = {
+  checkBook,
+  saveBook
+};
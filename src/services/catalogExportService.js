@@ -0,0 +1,76 @@
+const Book = require('../models/Book');
+const csv = require('../catalog/csv');
+const marc = require('../catalog/marc');
+
+const CSV_COLUMNS = [
+  'id', 'title', 'author', 'isbn', 'publicationDate', 'genre', 'subjects', 'totalCopies', 'availableCopies',
+  'description', 'language', 'publisher', 'pages', 'isActive', 'createdAt', 'updatedAt'
+];
+
+const toDateString = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Per format: response headers, the text before and after the books, and how each book is written
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: csv.formatRow(CSV_COLUMNS),
+    row: (book) => csv.formatRow(CSV_COLUMNS.map((column) => {
+      if (column === 'id') return book._id;
+      if (column === 'publicationDate') return toDateString(book.publicationDate);
+      if (column === 'subjects') return (book.subjects || []).join('; ');
+      if (column === 'createdAt' || column === 'updatedAt') return book[column] ? new Date(book[column]).toISOString() : '';
+      return book[column];
+    })),
+    footer: ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: '',
+    row: (book) => {
+      const { _id, __v, ...fields } = book;
+      return JSON.stringify({ id: _id, ...fields }) + '\n';
+    },
+    footer: ''
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: marc.MARCXML_HEADER,
+    row: (book) => marc.toMarcXml(book),
+    footer: marc.MARCXML_FOOTER
+  }
+};
+
+/**
+ * Stream the catalogue in the given format, reading books through a cursor
+ * @param {Object} filter - Book filter from Book.buildFilter()
+ * @param {String} format - csv, ndjson or marcxml
+ * @returns {Object} { contentType, extension, chunks } where chunks is an async iterable of strings
+ */
+const exportBooks = (filter, format) => {
+  const writer = FORMATS[format];
+
+  async function* chunks() {
+    if (writer.header) yield writer.header;
+
+    const cursor = Book.find(filter).sort({ _id: 1 }).lean().cursor();
+    try {
+      for await (const book of cursor) {
+        yield writer.row(book);
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (writer.footer) yield writer.footer;
+  }
+
+  return { contentType: writer.contentType, extension: writer.extension, chunks: chunks() };
+};
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  exportBooks
+};
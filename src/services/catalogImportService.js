@@ -0,0 +1,221 @@
+const { validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Genre = require('../models/Genre');
+const BookCopy = require('../models/BookCopy');
+const Reservation = require('../models/Reservation');
+const csv = require('../catalog/csv');
+const marc = require('../catalog/marc');
+const bookService = require('./bookService');
+const notificationService = require('./notificationService');
+const { bookValidation } = require('../middleware/validation');
+const { AppError } = require('../utils/errors');
+
+const FORMATS = ['csv', 'marc', 'marcxml'];
+
+// Columns a CSV file may use, matching the fields accepted by POST /api/books
+const BOOK_FIELDS = [
+  'title', 'author', 'isbn', 'publicationDate', 'genre', 'subjects', 'totalCopies',
+  'description', 'language', 'publisher', 'pages', 'shelfLocation'
+];
+
+// Fields an import may overwrite on a book that is already catalogued
+const MERGE_FIELDS = ['title', 'author', 'publicationDate', 'genre', 'subjects', 'description', 'language', 'publisher', 'pages'];
+
+/**
+ * Work out the file format from an explicit choice or the upload's content type
+ * @param {String} format - Requested format, if any
+ * @param {String} contentType - Content-Type header
+ * @returns {String} One of FORMATS
+ */
+const detectFormat = (format, contentType = '') => {
+  if (format) {
+    return format;
+  }
+  if (/csv/i.test(contentType)) {
+    return 'csv';
+  }
+  if (/xml/i.test(contentType)) {
+    return 'marcxml';
+  }
+  if (/marc|octet-stream/i.test(contentType)) {
+    return 'marc';
+  }
+  throw new AppError(`Cannot tell the file format from content type "${contentType}". Pass format=${FORMATS.join('|')}`, 415);
+};
+
+/**
+ * Turn an uploaded file into numbered rows of raw Book fields
+ * @param {Buffer} data - File content
+ * @param {String} format - One of FORMATS
+ * @param {Array} genres - Genre names MARC subject headings are matched against
+ * @returns {Object} { rows: [{ row, values, error }], ignoredColumns }
+ */
+const readRows = (data, format, genres) => {
+  try {
+    if (format === 'csv') {
+      const { records, unknownColumns } = csv.parseRecords(data.toString('utf8'), BOOK_FIELDS);
+      return { rows: records, ignoredColumns: unknownColumns };
+    }
+
+    const records = format === 'marc' ? marc.parseIso2709(data) : marc.parseMarcXml(data.toString('utf8'));
+    const rows = records.map((record, index) => ({
+      row: index + 1,
+      values: record.error ? {} : marc.toBook(record, genres),
+      error: record.error
+    }));
+    return { rows, ignoredColumns: [] };
+  } catch (error) {
+    throw new AppError(`Could not read ${format.toUpperCase()} file: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Check a row against the same rules as POST /api/books
+ * @param {Object} values - Raw field values
+ * @returns {Object} { book, errors } with sanitized values
+ */
+const validateRow = async (values) => {
+  // Copies are rarely listed in catalogue exports; one is assumed
+  const req = { body: { totalCopies: '1', ...values } };
+  for (const chain of bookValidation) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array({ onlyFirstError: true }).map(error => `${error.path}: ${error.msg}`);
+  return { book: req.body, errors };
+};
+
+/**
+ * Create or merge a validated row
+ * @param {Object} book - Sanitized Book fields
+ * @param {Object} existing - Book with the same ISBN, if any
+ * @param {Boolean} dryRun - Report what would happen without writing
+ * @returns {Object} Row outcome
+ */
+const applyRow = async (book, existing, dryRun) => {
+  const totalCopies = parseInt(book.totalCopies);
+
+  if (!existing) {
+    const created = new Book({
+      title: book.title,
+      author: book.author,
+      ...(book.contributors && { contributors: book.contributors }),
+      isbn: book.isbn,
+      publicationDate: book.publicationDate,
+      genre: book.genre,
+      subjects: book.subjects,
+      totalCopies,
+      availableCopies: totalCopies,
+      description: book.description,
+      language: book.language || 'English',
+      publisher: book.publisher,
+      pages: book.pages
+    });
+
+    // A preview runs the same checks as the import, so a row it accepts will import
+    if (dryRun) {
+      await bookService.checkBook(created);
+      return { status: 'created' };
+    }
+
+    // The book and its copies are created together or not at all
+    await bookService.saveBook(created, async () => {
+      await BookCopy.createCopies(created, totalCopies, { shelfLocation: book.shelfLocation });
+      await created.syncCopyCounts();
+    });
+
+    return { status: 'created', bookId: created._id };
+  }
+
+  // Merge the catalogue data; copies are only ever added, never withdrawn by an import
+  MERGE_FIELDS.forEach((field) => {
+    if (book[field] !== undefined) {
+      existing[field] = book[field];
+    }
+  });
+  const addCopies = totalCopies > existing.totalCopies;
+  const changes = existing.modifiedPaths().filter(path => MERGE_FIELDS.includes(path));
+  if (addCopies) {
+    changes.push('totalCopies');
+  }
+
+  if (dryRun) {
+    await bookService.checkBook(existing);
+  } else {
+    await bookService.saveBook(existing, async () => {
+      if (addCopies) {
+        await existing.setTotalCopies(totalCopies, { shelfLocation: book.shelfLocation });
+      }
+    });
+    if (addCopies) {
+      await notificationService.notifyHoldsReadySafely(await Reservation.fillWaitingHolds(existing));
+    }
+  }
+
+  return { status: changes.length > 0 ? 'updated' : 'unchanged', bookId: existing._id, changes };
+};
+
+/**
+ * Import books from a CSV or MARC21 file, merging rows into existing books by ISBN
+ * @param {Buffer} data - File content
+ * @param {Object} options - { format, contentType, dryRun }
+ * @returns {Object} { format, dryRun, summary, ignoredColumns, rows }
+ */
+const importBooks = async (data, { format, contentType, dryRun = false }) => {
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new AppError('The uploaded file is empty', 400);
+  }
+
+  const fileFormat = detectFormat(format, contentType);
+  const { rows, ignoredColumns } = readRows(data, fileFormat, await Genre.distinct('name'));
+
+  const maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+  if (rows.length > maxRows) {
+    throw new AppError(`File has ${rows.length} rows; at most ${maxRows} can be imported at once`, 413);
+  }
+
+  const report = [];
+  const seen = new Map();
+
+  for (const { row, values, error } of rows) {
+    const entry = { row, isbn: values.isbn, title: values.title };
+
+    if (error) {
+      report.push({ ...entry, status: 'rejected', errors: [error] });
+      continue;
+    }
+
+    const { book, errors } = await validateRow(values);
+    if (errors.length > 0) {
+      report.push({ ...entry, status: 'rejected', errors });
+      continue;
+    }
+
+    // A book listed twice in one file is most likely a mistake; keep the first.
+    // Validation has converted the ISBN to ISBN-13, so ISBN-10 and hyphenated rows compare equal
+    if (seen.has(book.isbn)) {
+      report.push({ ...entry, status: 'rejected', errors: [`isbn: Same ISBN as row ${seen.get(book.isbn)}`] });
+      continue;
+    }
+    seen.set(book.isbn, row);
+
+    try {
+      const outcome = await applyRow(book, await Book.findByIsbn(book.isbn), dryRun);
+      report.push({ ...entry, ...outcome });
+    } catch (rowError) {
+      report.push({ ...entry, status: 'rejected', errors: [rowError.message] });
+    }
+  }
+
+  const summary = { total: report.length, created: 0, updated: 0, unchanged: 0, rejected: 0 };
+  report.forEach((entry) => {
+    summary[entry.status] += 1;
+  });
+
+  return { format: fileFormat, dryRun, summary, ignoredColumns, rows: report };
+};
+
+module.exports = {
+  FORMATS,
+  importBooks
+};
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const BorrowRecord = require('../models/BorrowRecord');
+const Book = require('../models/Book');
+const User = require('../models/User');
+const Reservation = require('../models/Reservation');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const FineTransaction = require('../models/FineTransaction');
+const fineService = require('./fineService');
+const notificationService = require('./notificationService');
+const libraryCardService = require('./libraryCardService');
+const { AppError } = require('../utils/errors');
+
+// Populate options used when returning borrow records to clients
+const BORROW_RECORD_POPULATE = [
+  { path: 'user', select: 'name email' },
+  { path: 'book', select: 'title author isbn' },
+  { path: 'copy', select: 'barcode shelfLocation condition' },
+  { path: 'checkedOutBy', select: 'name email' }
+];
+
+/**
+ * Run circulation work inside a transaction. Everything loaded with the session
+ * is saved with it, and the whole callback is retried on write conflicts.
+ * @param {Function} work - Receives the session
+ * @returns {*} Result of the callback
+ */
+const runInTransaction = (work) => mongoose.connection.transaction(work);
+
+/**
+ * Pick the edition of a work to lend: one with a copy waiting for the member
+ * on the hold shelf, otherwise the one with the most copies on the shelf
+ * @param {Object} member - Borrowing user
+ * @param {String} workId - Work ID
+ * @returns {String} Book ID of the edition
+ */
+const chooseEdition = async (member, workId) => {
+  const editionIds = (await Book.find({ work: workId, isActive: true }).select('_id')).map(edition => edition._id);
+  if (editionIds.length === 0) {
+    throw new AppError('Work not found or has no editions in the catalogue', 404);
+  }
+
+  // Pass on copies from holds that were never picked up
+  await notificationService.notifyHoldsReadySafely(await Reservation.expireStaleHolds(editionIds));
+
+  const readyHold = await Reservation.findOne({ user: member._id, book: { $in: editionIds }, status: 'Ready' });
+  if (readyHold) {
+    return readyHold.book;
+  }
+
+  const edition = await Book.findOne({ _id: { $in: editionIds }, availableCopies: { $gt: 0 } })
+    .sort({ availableCopies: -1 })
+    .select('_id');
+  if (!edition) {
+    throw new AppError('No edition of this work is available for borrowing. You can place a hold on the work to get the first copy returned', 400);
+  }
+
+  return edition._id;
+};
+
+/**
+ * Lend a copy of a book, or of any edition of a work, to a member
+ * @param {Object} member - Borrowing user
+ * @param {Object} details - { bookId or workId, dueDate }
+ * @param {Object} staff - Staff member checking the book out for the member, if any
+ * @returns {Object} Populated borrow record
+ */
+const borrowBook = async (member, { bookId: requestedBookId, workId, dueDate }, staff = null) => {
+  if (member.accountStatus === 'Pending') {
+    throw new AppError(staff
+      ? 'Member must verify their email address before borrowing books'
+      : 'Please verify your email address before borrowing books', 403);
+  }
+
+  // Accounts from before library cards were issued have none and are not held up here
+  const cardStatus = member.getCardStatus();
+  if (cardStatus === 'Expired') {
+    throw new AppError('Library card has expired. Please renew it at the desk before borrowing', 403);
+  }
+  if (cardStatus === 'Blocked') {
+    throw new AppError('Library card is blocked. Please contact the library', 403);
+  }
+
+  let bookId = requestedBookId;
+  if (workId) {
+    bookId = await chooseEdition(member, workId);
+  } else {
+    // Pass on copies from holds that were never picked up
+    await notificationService.notifyHoldsReadySafely(await Reservation.expireStaleHolds(bookId));
+  }
+
+  const borrowRecordId = await runInTransaction(async (session) => {
+    // Check if book exists and is available
+    const book = await Book.findById(bookId).session(session);
+    if (!book || !book.isActive) {
+      throw new AppError('Book not found', 404);
+    }
+
+    // A copy may be waiting for this member on the hold shelf
+    const readyHold = await Reservation.findOne({ user: member._id, book: bookId, status: 'Ready' })
+      .session(session);
+
+    if (!readyHold && !book.isAvailable()) {
+      throw new AppError('Book is not available for borrowing. You can place a hold to join the queue', 400);
+    }
+
+    // Check if user has already borrowed this book and not returned
+    const existingBorrow = await BorrowRecord.exists({
+      user: member._id,
+      book: bookId,
+      status: { $in: ['Borrowed', 'Overdue'] }
+    }).session(session);
+
+    if (existingBorrow) {
+      throw new AppError(staff ? 'Member has already borrowed this book' : 'You have already borrowed this book', 400);
+    }
+
+    // Look up the loan rules for this member and book
+    const policy = await CirculationPolicy.resolve({ role: member.role, genre: book.genre });
+
+    // Members owing more than the policy allows must settle up first
+    const { balance } = await FineTransaction.getBalance(member._id, session);
+    if (balance > policy.maxUnpaidFines) {
+      throw new AppError(`Borrowing is blocked until unpaid fines of ${balance.toFixed(2)} are reduced to ${policy.maxUnpaidFines.toFixed(2)} or less`, 403);
+    }
+
+    // Check if user has reached borrowing limit
+    const activeBorrows = await BorrowRecord.countDocuments({
+      user: member._id,
+      status: { $in: ['Borrowed', 'Overdue'] }
+    }).session(session);
+
+    if (activeBorrows >= policy.maxBorrows) {
+      throw new AppError(`Borrowing limit reached (maximum ${policy.maxBorrows} books)`, 400);
+    }
+
+    // Calculate due date (defaults to the policy's loan period)
+    const maxDueDate = new Date(Date.now() + policy.loanPeriodDays * 24 * 60 * 60 * 1000);
+    const borrowDueDate = dueDate ? new Date(dueDate) : maxDueDate;
+
+    if (borrowDueDate > maxDueDate) {
+      throw new AppError(`Due date cannot be more than ${policy.loanPeriodDays} days from today`, 400);
+    }
+
+    // Take the held copy, or the next copy off the shelf (fails if the last one was just taken)
+    const copy = readyHold
+      ? await book.checkoutHeldCopy(readyHold.copy)
+      : await book.borrowCopy();
+
+    if (!copy) {
+      throw new AppError('Book is not available for borrowing', 400);
+    }
+
+    const [borrowRecord] = await BorrowRecord.create([{
+      user: member._id,
+      book: bookId,
+      copy: copy._id,
+      dueDate: borrowDueDate,
+      checkedOutBy: staff ? staff._id : undefined
+    }], { session });
+
+    // Writing to the member's document makes concurrent borrows by the same member
+    // conflict, so the borrowing limit above cannot be passed twice
+    await User.updateOne(
+      { _id: member._id },
+      { $push: { borrowedBooks: borrowRecord._id } },
+      { session }
+    );
+
+    if (readyHold) {
+      readyHold.fulfill(borrowRecord._id);
+      await readyHold.save();
+    }
+
+    return borrowRecord._id;
+  });
+
+  return BorrowRecord.findById(borrowRecordId).populate(BORROW_RECORD_POPULATE);
+};
+
+/**
+ * Check a book out at the desk to a member, with the same checks as self-service borrowing
+ * @param {Object} staff - Authenticated staff member
+ * @param {Object} details - { memberId or cardNumber, bookId or workId, dueDate }
+ * @returns {Object} Populated borrow record
+ */
+const checkoutForMember = async (staff, { memberId, cardNumber, bookId, workId, dueDate }) => {
+  const member = cardNumber
+    ? await libraryCardService.findMemberByCard(cardNumber)
+    : await User.findById(memberId);
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+
+  if (!member.isActive) {
+    throw new AppError('Member account has been deactivated', 403);
+  }
+
+  return borrowBook(member, { bookId, workId, dueDate }, staff);
+};
+
+/**
+ * Return a borrowed copy, charging any fine and passing the copy to the hold queue
+ * @param {Object} actor - Authenticated user (borrower or admin)
+ * @param {String} borrowRecordId - Borrow record ID
+ * @returns {Object} Populated borrow record
+ */
+const returnBook = async (actor, borrowRecordId) => {
+  const readyHolds = await runInTransaction(async (session) => {
+    const borrowRecord = await BorrowRecord.findById(borrowRecordId).session(session);
+
+    if (!borrowRecord) {
+      throw new AppError('Borrow record not found', 404);
+    }
+
+    // Check if user owns this borrow record or is circulation staff
+    if (borrowRecord.user.toString() !== actor._id.toString() && !actor.hasPermission('circulation:checkout')) {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Check if book is already returned
+    if (borrowRecord.status === 'Returned') {
+      throw new AppError('Book has already been returned', 400);
+    }
+
+    // Return the book, charging any fine at the policy's daily rate
+    const policy = await borrowRecord.getPolicy();
+    borrowRecord.returnBook(policy);
+    await fineService.chargeFine(borrowRecord, session);
+    await borrowRecord.save();
+
+    await User.updateOne(
+      { _id: borrowRecord.user },
+      { $pull: { borrowedBooks: borrowRecord._id } },
+      { session }
+    );
+
+    // Update book availability, holding the copy for the next member in the queue
+    const book = await Book.findById(borrowRecord.book).session(session);
+    return book ? Reservation.releaseCopy(book, borrowRecord.copy) : [];
+  });
+
+  // Only tell the next member once the return has committed
+  await notificationService.notifyHoldsReadySafely(readyHolds);
+
+  return BorrowRecord.findById(borrowRecordId).populate(BORROW_RECORD_POPULATE);
+};
+
+/**
+ * Extend the due date of a borrowed copy
+ * @param {Object} member - Authenticated user (must be the borrower)
+ * @param {String} borrowRecordId - Borrow record ID
+ * @returns {Object} Populated borrow record
+ */
+const renewBook = async (member, borrowRecordId) => {
+  await runInTransaction(async (session) => {
+    const borrowRecord = await BorrowRecord.findById(borrowRecordId).session(session);
+
+    if (!borrowRecord) {
+      throw new AppError('Borrow record not found', 404);
+    }
+
+    // Check if user owns this borrow record
+    if (borrowRecord.user.toString() !== member._id.toString()) {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Check if book can be renewed
+    if (borrowRecord.status !== 'Borrowed' && borrowRecord.status !== 'Overdue') {
+      throw new AppError('Only borrowed or overdue books can be renewed', 400);
+    }
+
+    // Members in the hold queue take priority over renewals, including those holding any edition
+    const book = await Book.findById(borrowRecord.book).select('work').session(session);
+    const queue = book && book.work
+      ? { $or: [{ book: borrowRecord.book }, { work: book.work, book: null }] }
+      : { book: borrowRecord.book };
+    const hasWaitingHolds = await Reservation.exists({ ...queue, status: 'Waiting' })
+      .session(session);
+    if (hasWaitingHolds) {
+      throw new AppError('Book cannot be renewed because other members are waiting for it', 400);
+    }
+
+    const policy = await borrowRecord.getPolicy();
+    try {
+      borrowRecord.renewBook(policy);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+    await borrowRecord.save();
+  });
+
+  return BorrowRecord.findById(borrowRecordId).populate(BORROW_RECORD_POPULATE);
+};
+
+module.exports = {
+  borrowBook,
+  checkoutForMember,
+  returnBook,
+  renewBook
+};
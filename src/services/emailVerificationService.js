@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const mailer = require('../utils/mailer');
+const emails = require('../notifications/emails');
+const { hashToken } = require('../utils/helpers');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Issue a fresh verification token and email the link. Any earlier link stops working.
+ * @param {Object} user - Pending user document
+ * @returns {Boolean} Whether the email was handed to the mail transport
+ */
+const sendVerificationEmail = async (user) => {
+  if (!mailer.isConfigured()) {
+    return false;
+  }
+
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      ...emails.verifyEmail({
+        user,
+        token,
+        expiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48
+      })
+    });
+    return true;
+  } catch (error) {
+    console.error(`Verification email to user ${user._id} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Resend the verification link for the signed-in user
+ * @param {Object} user - Authenticated user
+ */
+const resendVerificationEmail = async (user) => {
+  if (user.accountStatus !== 'Pending') {
+    throw new AppError('Email address is already verified', 400);
+  }
+
+  if (!mailer.isConfigured()) {
+    throw new AppError('Email verification is not available. Please contact the library', 503);
+  }
+
+  const sent = await sendVerificationEmail(await User.findById(user._id));
+  if (!sent) {
+    throw new AppError('Verification email could not be sent. Please try again later', 502);
+  }
+};
+
+/**
+ * Confirm an email address using the token from the verification link
+ * @param {String} token - Raw verification token
+ * @returns {Object} Activated user
+ */
+const verifyEmail = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(String(token)),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      accountStatus: 'Active',
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('Verification link is invalid or has expired', 400);
+  }
+
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+};
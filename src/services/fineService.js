@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const BorrowRecord = require('../models/BorrowRecord');
+const FineTransaction = require('../models/FineTransaction');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Charge whatever part of a loan's fine has not been charged yet. Fines accrue
+ * while a loan is overdue, so each call only adds the difference. The caller
+ * saves the borrow record.
+ * @param {Object} borrowRecord - Borrow record with its fine already calculated
+ * @param {Object} session - Session the caller runs in
+ * @returns {Object|null} Charge entry, or null when there is nothing new to charge
+ */
+const chargeFine = async (borrowRecord, session = null) => {
+  const [charged] = await FineTransaction.aggregate([
+    { $match: { borrowRecord: borrowRecord._id, type: 'Charge' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const amount = FineTransaction.roundAmount(borrowRecord.fine.amount - (charged ? charged.total : 0));
+  if (amount <= 0) {
+    return null;
+  }
+
+  const [charge] = await FineTransaction.create([{
+    user: borrowRecord.user._id || borrowRecord.user,
+    borrowRecord: borrowRecord._id,
+    type: 'Charge',
+    amount
+  }], { session });
+
+  // A fine that was settled while still accruing is owed again
+  if (borrowRecord.fine.paid) {
+    borrowRecord.fine.paid = false;
+    borrowRecord.fine.paidDate = undefined;
+  }
+
+  return charge;
+};
+
+/**
+ * Bring an overdue loan's fine up to date and charge the increase
+ * @param {String} borrowRecordId - Borrow record ID
+ * @param {Object} policy - Effective circulation policy for the loan
+ * @returns {Number} Amount newly charged
+ */
+const accrueFine = (borrowRecordId, policy) => mongoose.connection.transaction(async (session) => {
+  const borrowRecord = await BorrowRecord.findById(borrowRecordId).session(session);
+  if (!borrowRecord || borrowRecord.status !== 'Overdue') {
+    return 0;
+  }
+
+  const amount = borrowRecord.calculateFine(policy);
+  if (amount <= borrowRecord.fine.amount) {
+    return 0;
+  }
+
+  borrowRecord.fine.amount = amount;
+  const charge = await chargeFine(borrowRecord, session);
+  await borrowRecord.save();
+
+  return charge ? charge.amount : 0;
+});
+
+/**
+ * Get a member's fine balance and the loans that still owe money
+ * @param {String} userId - User ID
+ * @returns {Object} Totals and outstanding borrow records
+ */
+const getFineSummary = async (userId) => {
+  const [totals, outstandingRecords] = await Promise.all([
+    FineTransaction.getBalance(userId),
+    BorrowRecord.find({ user: userId, 'fine.amount': { $gt: 0 }, 'fine.paid': false })
+      .populate('book', 'title author isbn')
+      .sort({ returnDate: 1 })
+  ]);
+
+  return { ...totals, outstandingRecords };
+};
+
+/**
+ * Apply a payment or waiver to a member's outstanding fines. Without a borrow
+ * record the amount is spread over the oldest fines first; a waiver without an
+ * amount clears everything it covers.
+ * @param {Object} staff - Staff member recording the transaction
+ * @param {Object} details - { userId, type, amount, borrowRecordId, method, reason }
+ * @returns {Object} Ledger entries written and the member's new totals
+ */
+const settleFines = async (staff, { userId, type, amount, borrowRecordId, method, reason }) => {
+  const transactions = await mongoose.connection.transaction(async (session) => {
+    const member = await User.findById(userId).session(session);
+    if (!member) {
+      throw new AppError('User not found', 404);
+    }
+
+    const filter = { user: member._id, 'fine.amount': { $gt: 0 }, 'fine.paid': false };
+    if (borrowRecordId) {
+      filter._id = borrowRecordId;
+    }
+
+    const records = await BorrowRecord.find(filter).sort({ returnDate: 1 }).session(session);
+    const outstanding = FineTransaction.roundAmount(
+      records.reduce((sum, record) => sum + record.fineBalance, 0)
+    );
+
+    if (outstanding === 0) {
+      throw new AppError(borrowRecordId ? 'This loan has no outstanding fine' : 'Member has no outstanding fines', 400);
+    }
+
+    let remaining = amount === undefined || amount === null ? outstanding : FineTransaction.roundAmount(amount);
+    if (remaining <= 0) {
+      throw new AppError('Amount must be greater than zero', 400);
+    }
+    if (remaining > outstanding) {
+      throw new AppError(`Amount exceeds the outstanding balance of ${outstanding.toFixed(2)}`, 400);
+    }
+
+    const entries = [];
+    for (const record of records) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const applied = Math.min(remaining, record.fineBalance);
+      record.settleFine(type, applied);
+      await record.save();
+
+      entries.push({
+        user: member._id,
+        borrowRecord: record._id,
+        type,
+        amount: applied,
+        method: type === 'Payment' ? method || 'Cash' : undefined,
+        reason,
+        recordedBy: staff._id
+      });
+      remaining = FineTransaction.roundAmount(remaining - applied);
+    }
+
+    return FineTransaction.create(entries, { session, ordered: true });
+  });
+
+  const totals = await FineTransaction.getBalance(userId);
+  return { transactions, ...totals };
+};
+
+module.exports = {
+  chargeFine,
+  accrueFine,
+  getFineSummary,
+  settleFines
+};
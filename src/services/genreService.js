@@ -0,0 +1,128 @@
+const Genre = require('../models/Genre');
+const Book = require('../models/Book');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Check that a genre may be placed under a parent
+ * @param {String} parentId - Parent genre ID, or null for a top-level genre
+ * @param {Object} genre - Genre being moved, if it already exists
+ * @returns {Object|null} Parent genre
+ */
+const findParent = async (parentId, genre = null) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Genre.findById(parentId);
+  if (!parent) {
+    throw new AppError('Parent genre not found', 404);
+  }
+
+  // A genre cannot sit beneath itself or one of its own sub-genres
+  if (genre && (await Genre.withDescendants(genre.name)).includes(parent.name)) {
+    throw new AppError(`${genre.name} cannot be moved beneath itself or one of its sub-genres`, 400);
+  }
+
+  return parent;
+};
+
+/**
+ * Count the active books shelved under a genre or any of its sub-genres
+ * @param {Object} genre - Genre
+ * @returns {Number} Book count
+ */
+const countBooks = async (genre) => {
+  return await Book.countDocuments({ isActive: true, subjects: { $in: await Genre.withDescendants(genre.name) } });
+};
+
+const checkNameIsFree = async (name, genre = null) => {
+  const existing = await Genre.findByName(name);
+  if (existing && (!genre || !existing._id.equals(genre._id))) {
+    throw new AppError(`Genre "${existing.name}" already exists`, 400);
+  }
+};
+
+/**
+ * Create a genre
+ * @param {Object} details - { name, parentId, description }
+ * @returns {Object} New genre
+ */
+const createGenre = async ({ name, parentId, description }) => {
+  await checkNameIsFree(name);
+  const parent = await findParent(parentId);
+
+  return await Genre.create({ name, parent: parent ? parent._id : null, description });
+};
+
+/**
+ * Rename, move or describe a genre. A new name is carried over to the books and
+ * circulation policies that use the old one.
+ * @param {String} id - Genre ID
+ * @param {Object} changes - { name, parentId, description }; parentId null makes it top-level
+ * @returns {Object} Updated genre
+ */
+const updateGenre = async (id, { name, parentId, description }) => {
+  const genre = await Genre.findById(id);
+  if (!genre) {
+    throw new AppError('Genre not found', 404);
+  }
+
+  const previousName = genre.name;
+
+  // Moves are checked against the hierarchy as stored, before any rename
+  if (parentId !== undefined) {
+    const parent = await findParent(parentId, genre);
+    genre.parent = parent ? parent._id : null;
+  }
+  if (name !== undefined && name !== genre.name) {
+    await checkNameIsFree(name, genre);
+    genre.name = name;
+  }
+  if (description !== undefined) {
+    genre.description = description;
+  }
+
+  await genre.save();
+
+  if (genre.name !== previousName) {
+    await Promise.all([
+      Book.updateMany({ genre: previousName }, { $set: { genre: genre.name } }),
+      Book.updateMany({ subjects: previousName }, { $set: { 'subjects.$': genre.name } }),
+      CirculationPolicy.updateMany({ genre: previousName }, { $set: { genre: genre.name } })
+    ]);
+  }
+
+  return genre;
+};
+
+/**
+ * Delete a genre that no book, policy or sub-genre uses
+ * @param {String} id - Genre ID
+ * @returns {Object} Deleted genre
+ */
+const deleteGenre = async (id) => {
+  const genre = await Genre.findById(id);
+  if (!genre) {
+    throw new AppError('Genre not found', 404);
+  }
+
+  const [bookCount, policyCount, childCount] = await Promise.all([
+    Book.countDocuments({ $or: [{ genre: genre.name }, { subjects: genre.name }] }),
+    CirculationPolicy.countDocuments({ genre: genre.name }),
+    Genre.countDocuments({ parent: genre._id })
+  ]);
+  if (bookCount > 0 || policyCount > 0 || childCount > 0) {
+    throw new AppError(`Genre is still used by ${bookCount} book(s), ${policyCount} circulation policy(ies) and ${childCount} sub-genre(s)`, 400);
+  }
+
+  await genre.deleteOne();
+  return genre;
+};
+
+module.exports = {
+  countBooks,
+  createGenre,
+  updateGenre,
+  deleteGenre
+};
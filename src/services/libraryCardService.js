@@ -0,0 +1,79 @@
+const User = require('../models/User');
+const BorrowRecord = require('../models/BorrowRecord');
+const FineTransaction = require('../models/FineTransaction');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Find the member a library card belongs to
+ * @param {String} cardNumber - Card number as scanned or typed
+ * @returns {Object} User
+ */
+const findMemberByCard = async (cardNumber) => {
+  const member = await User.findOne({ 'libraryCard.number': String(cardNumber).trim() });
+  if (!member) {
+    throw new AppError('No member found for this library card', 404);
+  }
+  return member;
+};
+
+/**
+ * Look up a member by card with what the desk needs to know before a checkout
+ * @param {String} cardNumber - Card number
+ * @returns {Object} { member, cardStatus, activeBorrows, fineBalance }
+ */
+const lookupCard = async (cardNumber) => {
+  const member = await findMemberByCard(cardNumber);
+
+  const [activeBorrows, { balance }] = await Promise.all([
+    BorrowRecord.countDocuments({ user: member._id, status: { $in: ['Borrowed', 'Overdue'] } }),
+    FineTransaction.getBalance(member._id)
+  ]);
+
+  return {
+    member,
+    cardStatus: member.getCardStatus(),
+    activeBorrows,
+    fineBalance: balance
+  };
+};
+
+/**
+ * Apply a card change to a member and save it
+ * @param {String} userId - Member ID
+ * @param {String} action - renew, block, unblock or replace
+ * @param {Object} options - { reason } for block
+ * @returns {Object} Updated user
+ */
+const updateCard = async (userId, action, { reason } = {}) => {
+  const member = await User.findById(userId);
+  if (!member) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (action !== 'replace' && !member.getCardStatus()) {
+    throw new AppError('Member has no library card', 400);
+  }
+
+  try {
+    if (action === 'renew') {
+      member.renewLibraryCard();
+    } else if (action === 'block') {
+      member.blockLibraryCard(reason);
+    } else if (action === 'unblock') {
+      member.unblockLibraryCard();
+    } else {
+      await member.issueLibraryCard();
+    }
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  await member.save();
+  return member;
+};
+
+module.exports = {
+  findMemberByCard,
+  lookupCard,
+  updateCard
+};
@@ -0,0 +1,117 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const templates = require('../notifications/templates');
+const { getTransportsFor } = require('../notifications/transports');
+
+// Preference flag that turns each notification type on or off
+const TYPE_PREFERENCES = {
+  DueSoon: 'dueSoon',
+  Overdue: 'overdue',
+  HoldReady: 'holdReady'
+};
+
+/**
+ * Send a notification to a member through every channel they accept.
+ * Each event is identified by a dedupe key and is only ever sent once.
+ * @param {Object} options - { user, type, dedupeKey, data, borrowRecord, reservation, book }
+ * @returns {Object|null} Notification, or null when skipped or already sent
+ */
+const notify = async ({ user, type, dedupeKey, data = {}, borrowRecord, reservation, book }) => {
+  if (!user || !user.isActive || !user.notificationPreferences[TYPE_PREFERENCES[type]]) {
+    return null;
+  }
+
+  const channels = getTransportsFor(user);
+  if (channels.length === 0) {
+    return null;
+  }
+
+  const { title, message } = templates.render(type, { user, book, borrowRecord, reservation, ...data });
+
+  // Creating the document claims the dedupe key before anything is sent
+  let notification;
+  try {
+    notification = await Notification.create({
+      user: user._id,
+      type,
+      title,
+      message,
+      dedupeKey,
+      borrowRecord: borrowRecord && borrowRecord._id,
+      reservation: reservation && reservation._id,
+      book: book && book._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  for (const [name, transport] of channels) {
+    try {
+      await transport.deliver(notification, user);
+      notification.deliveries.push({ transport: name, status: 'Sent' });
+    } catch (error) {
+      console.error(`${name} delivery failed for notification ${notification._id}:`, error.message);
+      notification.deliveries.push({ transport: name, status: 'Failed', error: error.message });
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Tell members that their holds are ready for pickup
+ * @param {Array} holds - Reservations that just became ready
+ * @returns {Number} Notifications sent
+ */
+const notifyHoldsReady = async (holds) => {
+  let sent = 0;
+
+  for (const hold of holds) {
+    const [user, book] = await Promise.all([
+      User.findById(hold.user),
+      Book.findById(hold.book).select('title author')
+    ]);
+    if (!book) {
+      continue;
+    }
+
+    const notification = await notify({
+      user,
+      type: 'HoldReady',
+      dedupeKey: `HoldReady:${hold._id}:${hold.readyDate.getTime()}`,
+      reservation: hold,
+      book
+    });
+    if (notification) {
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Tell members that their holds are ready without failing the change that freed
+ * the copies; a notice that does not go out is retried by the notifications sweep
+ * @param {Array} holds - Reservations that just became ready
+ * @returns {Number} Notifications sent
+ */
+const notifyHoldsReadySafely = async (holds) => {
+  try {
+    return await notifyHoldsReady(holds);
+  } catch (error) {
+    console.error('Hold ready notification failed:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  notify,
+  notifyHoldsReady,
+  notifyHoldsReadySafely
+};
@@ -0,0 +1,71 @@
+const User = require('../models/User');
+const mailer = require('../utils/mailer');
+const emails = require('../notifications/emails');
+const { hashToken } = require('../utils/helpers');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Email a one-time reset link. Nothing is revealed about whether the address
+ * belongs to an account, so callers respond the same way either way.
+ * @param {String} email - Account email
+ */
+const requestPasswordReset = async (email) => {
+  if (!mailer.isConfigured()) {
+    throw new AppError('Password reset by email is not available', 503);
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase() });
+  if (!user || !user.isActive) {
+    return;
+  }
+
+  const token = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      ...emails.passwordReset({
+        user,
+        token,
+        expiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30
+      })
+    });
+  } catch (error) {
+    // A link that never arrived should not stay usable
+    console.error(`Password reset email to user ${user._id} failed:`, error.message);
+    user.clearPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+  }
+};
+
+/**
+ * Set a new password using a reset token, then sign out every session
+ * @param {String} token - Raw reset token from the email
+ * @param {String} newPassword - New password
+ */
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(String(token)),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    // Consume the token first so it can only be used once
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+  ).select('+password');
+
+  if (!user) {
+    throw new AppError('Reset link is invalid or has expired', 400);
+  }
+
+  user.password = newPassword;
+  user.revokeAllTokens();
+  // Proving control of the mailbox also lifts any login lockout
+  user.clearLoginFailures();
+  await user.save();
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,113 @@
+const Reservation = require('../models/Reservation');
+const BorrowRecord = require('../models/BorrowRecord');
+const Book = require('../models/Book');
+const Work = require('../models/Work');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/errors');
+
+const OPEN_HOLD_STATUSES = ['Waiting', 'Ready'];
+const ACTIVE_LOAN_STATUSES = ['Borrowed', 'Overdue'];
+
+/**
+ * Join the queue for a specific edition
+ * @param {Object} member - Member placing the hold
+ * @param {String} bookId - Book ID
+ * @returns {Object} New reservation
+ */
+const placeBookHold = async (member, bookId) => {
+  // Pass on copies from holds that were never picked up
+  await notificationService.notifyHoldsReadySafely(await Reservation.expireStaleHolds(bookId));
+
+  const book = await Book.findById(bookId);
+  if (!book || !book.isActive) {
+    throw new AppError('Book not found', 404);
+  }
+
+  if (book.isAvailable()) {
+    throw new AppError('Book is available and can be borrowed directly', 400);
+  }
+
+  // Check if user already has an open hold on this book
+  const existingHold = await Reservation.exists({
+    user: member._id,
+    book: bookId,
+    status: { $in: OPEN_HOLD_STATUSES }
+  });
+  if (existingHold) {
+    throw new AppError('You already have a hold on this book', 400);
+  }
+
+  // Check if user is currently borrowing this book
+  const existingBorrow = await BorrowRecord.exists({
+    user: member._id,
+    book: bookId,
+    status: { $in: ACTIVE_LOAN_STATUSES }
+  });
+  if (existingBorrow) {
+    throw new AppError('You have already borrowed this book', 400);
+  }
+
+  return await Reservation.create({ user: member._id, book: bookId });
+};
+
+/**
+ * Join the queue for whichever edition of a work is returned first
+ * @param {Object} member - Member placing the hold
+ * @param {String} workId - Work ID
+ * @returns {Object} New reservation
+ */
+const placeWorkHold = async (member, workId) => {
+  const work = await Work.findById(workId);
+  if (!work) {
+    throw new AppError('Work not found', 404);
+  }
+
+  const editionIds = (await Book.find({ work: workId, isActive: true }).select('_id')).map(edition => edition._id);
+  if (editionIds.length === 0) {
+    throw new AppError('No edition of this work is in the catalogue', 400);
+  }
+
+  await notificationService.notifyHoldsReadySafely(await Reservation.expireStaleHolds(editionIds));
+
+  if (await Book.exists({ _id: { $in: editionIds }, availableCopies: { $gt: 0 } })) {
+    throw new AppError('An edition of this work is available and can be borrowed directly', 400);
+  }
+
+  const existingHold = await Reservation.exists({
+    user: member._id,
+    status: { $in: OPEN_HOLD_STATUSES },
+    $or: [{ work: workId }, { book: { $in: editionIds } }]
+  });
+  if (existingHold) {
+    throw new AppError('You already have a hold on this work or one of its editions', 400);
+  }
+
+  const existingBorrow = await BorrowRecord.exists({
+    user: member._id,
+    book: { $in: editionIds },
+    status: { $in: ACTIVE_LOAN_STATUSES }
+  });
+  if (existingBorrow) {
+    throw new AppError('You have already borrowed an edition of this work', 400);
+  }
+
+  return await Reservation.create({ user: member._id, work: workId });
+};
+
+/**
+ * Place a hold on an unavailable book, or on every edition of a work
+ * @param {Object} member - Authenticated member
+ * @param {Object} details - { bookId or workId }
+ * @returns {Object} New reservation
+ */
+const placeHold = async (member, { bookId, workId }) => {
+  if (member.accountStatus === 'Pending') {
+    throw new AppError('Please verify your email address before placing holds', 403);
+  }
+
+  return workId ? placeWorkHold(member, workId) : placeBookHold(member, bookId);
+};
+
+module.exports = {
+  placeHold
+};
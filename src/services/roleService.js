@@ -0,0 +1,78 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Create a custom role
+ * @param {Object} details - { name, description, permissions }
+ * @returns {Object} New role
+ */
+const createRole = async ({ name, description, permissions = [] }) => {
+  if (await Role.exists({ name })) {
+    throw new AppError('A role with this name already exists', 400);
+  }
+
+  return await Role.create({ name, description, permissions });
+};
+
+/**
+ * Update a role's description or permissions. Names are fixed because users
+ * and circulation policies refer to roles by name.
+ * @param {String} id - Role ID
+ * @param {Object} changes - { description, permissions }
+ * @returns {Object} Updated role
+ */
+const updateRole = async (id, { description, permissions }) => {
+  const role = await Role.findById(id);
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  if (permissions !== undefined) {
+    if (role.builtIn && role.permissions.includes(ALL_PERMISSIONS)) {
+      throw new AppError(`The ${role.name} role always has every permission`, 400);
+    }
+    role.permissions = permissions;
+  }
+  if (description !== undefined) {
+    role.description = description;
+  }
+
+  await role.save();
+  return role;
+};
+
+/**
+ * Delete a custom role that nobody uses
+ * @param {String} id - Role ID
+ * @returns {Object} Deleted role
+ */
+const deleteRole = async (id) => {
+  const role = await Role.findById(id);
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  if (role.builtIn) {
+    throw new AppError('Built-in roles cannot be deleted', 400);
+  }
+
+  const [userCount, policyCount] = await Promise.all([
+    User.countDocuments({ role: role.name }),
+    CirculationPolicy.countDocuments({ role: role.name })
+  ]);
+  if (userCount > 0 || policyCount > 0) {
+    throw new AppError(`Role is still assigned to ${userCount} user(s) and ${policyCount} circulation policy(ies)`, 400);
+  }
+
+  await Role.findOneAndDelete({ _id: role._id });
+  return role;
+};
+
+module.exports = {
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,104 @@
+const SuggestionIndex = require('../models/SuggestionIndex');
+const { escapeRegex } = require('../utils/helpers');
+const { normalizeText, trigrams, editDistance } = require('../utils/search');
+const { AppError } = require('../utils/errors');
+
+// Entries compared in detail for fuzzy matches, taken from those sharing the most trigrams
+const FUZZY_CANDIDATES = 200;
+// Lowest similarity (0-1) a fuzzy match needs to be suggested
+const FUZZY_THRESHOLD = 0.6;
+
+/**
+ * How close an entry is to the query: the better of trigram overlap and edit distance,
+ * where edit distance is taken against the closest run of as many words as the query has
+ * @param {String} query - Normalized query
+ * @param {Array} queryGrams - Query trigrams
+ * @param {Object} entry - Suggestion index entry
+ * @returns {Number} Similarity from 0 to 1
+ */
+const similarity = (query, queryGrams, entry) => {
+  const shared = queryGrams.filter(gram => entry.trigrams.includes(gram)).length;
+  const trigramScore = shared / (queryGrams.length + entry.trigrams.length - shared);
+
+  const span = query.split(' ').length;
+  let editScore = 0;
+  for (let i = 0; i + span <= Math.max(entry.words.length, span); i++) {
+    const window = entry.words.slice(i, i + span).join(' ');
+    const score = 1 - editDistance(query, window) / Math.max(query.length, window.length);
+    editScore = Math.max(editScore, score);
+  }
+
+  return Math.max(trigramScore, editScore);
+};
+
+/**
+ * Suggest titles and authors for a partly typed or misspelled query.
+ * Prefix matches on any word come first, then fuzzy matches by trigram and edit distance.
+ * @param {String} query - Search box input
+ * @param {Object} options - { kind, limit }
+ * @returns {Array} [{ text, kind, bookCount, match, score }]
+ */
+const suggest = async (query, { kind, limit = 10 } = {}) => {
+  const normalized = normalizeText(query || '');
+  if (normalized.length < 2) {
+    throw new AppError('Type at least 2 letters to get suggestions', 400);
+  }
+
+  const scope = kind ? { kind } : {};
+  const words = normalized.split(' ');
+  const lastWord = words[words.length - 1];
+
+  // Prefix: every finished word appears and the word being typed starts one
+  const wordFilter = { $regex: `^${escapeRegex(lastWord)}` };
+  if (words.length > 1) {
+    wordFilter.$all = words.slice(0, -1);
+  }
+
+  const prefixMatches = await SuggestionIndex.find({ ...scope, words: wordFilter })
+    .sort({ bookCount: -1, normalized: 1 })
+    .limit(limit)
+    .lean();
+
+  const suggestions = prefixMatches.map(entry => ({
+    text: entry.text,
+    kind: entry.kind,
+    bookCount: entry.bookCount,
+    match: 'prefix',
+    score: 1
+  }));
+
+  if (suggestions.length < limit) {
+    const queryGrams = trigrams(normalized);
+    const seen = new Set(prefixMatches.map(entry => String(entry._id)));
+
+    const candidates = await SuggestionIndex.aggregate([
+      { $match: { ...scope, trigrams: { $in: queryGrams } } },
+      { $addFields: { shared: { $size: { $setIntersection: ['$trigrams', queryGrams] } } } },
+      { $sort: { shared: -1, bookCount: -1 } },
+      { $limit: FUZZY_CANDIDATES }
+    ]);
+
+    const fuzzyMatches = candidates
+      .filter(entry => !seen.has(String(entry._id)))
+      .map(entry => ({ entry, score: similarity(normalized, queryGrams, entry) }))
+      .filter(({ score }) => score >= FUZZY_THRESHOLD)
+      .sort((a, b) => b.score - a.score || b.entry.bookCount - a.entry.bookCount)
+      .slice(0, limit - suggestions.length);
+
+    fuzzyMatches.forEach(({ entry, score }) => {
+      suggestions.push({
+        text: entry.text,
+        kind: entry.kind,
+        bookCount: entry.bookCount,
+        match: 'fuzzy',
+        score: Math.round(score * 100) / 100
+      });
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  suggest
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const JWTUtils = require('../utils/jwt');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - User document
+ * @param {String} family - Refresh token family to continue (a new one by default)
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = async (user, family = crypto.randomUUID()) => {
+  const token = JWTUtils.generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role
+  });
+
+  const refreshToken = JWTUtils.generateRefreshToken({ userId: user._id, family });
+  const claims = JWTUtils.decodeToken(refreshToken);
+
+  await RefreshToken.create({
+    jti: claims.jti,
+    user: user._id,
+    family,
+    expiresAt: new Date(claims.exp * 1000)
+  });
+
+  return { token, refreshToken };
+};
+
+/**
+ * Verify a refresh token's signature and type
+ * @param {String} refreshToken - Encrypted refresh token
+ * @returns {Object} Decoded claims
+ */
+const verifyRefreshToken = (refreshToken) => {
+  let claims;
+  try {
+    claims = JWTUtils.verifyToken(refreshToken);
+  } catch (error) {
+    throw new AppError(`Refresh failed: ${error.message}`, 401);
+  }
+
+  if (claims.type !== 'refresh' || !claims.jti || !claims.family) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+  return claims;
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Each refresh token works once;
+ * presenting one that was already used means it was stolen or replayed, so the
+ * whole family is revoked and the user has to log in again.
+ * @param {String} refreshToken - Encrypted refresh token
+ * @returns {Object} { user, token, refreshToken }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const claims = verifyRefreshToken(refreshToken);
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: claims.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    const known = await RefreshToken.findOne({ jti: claims.jti });
+    if (known && known.usedAt) {
+      await RefreshToken.revokeFamily(known.family, 'Reuse');
+      throw new AppError('Refresh token has already been used. Please log in again', 401);
+    }
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    throw new AppError('Account has been deactivated', 401);
+  }
+  if (!user.isTokenCurrent(claims)) {
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  const tokens = await issueTokens(user, stored.family);
+
+  stored.replacedBy = JWTUtils.decodeToken(tokens.refreshToken).jti;
+  await stored.save();
+
+  return { user, ...tokens };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (used on logout)
+ * @param {String} refreshToken - Encrypted refresh token
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    return;
+  }
+
+  let claims;
+  try {
+    claims = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return; // Nothing to revoke for an invalid or expired token
+  }
+
+  await RefreshToken.revokeFamily(claims.family, 'Logout');
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
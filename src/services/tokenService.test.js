@@ -0,0 +1,96 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const tokenService = require('./tokenService');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const JWTUtils = require('../utils/jwt');
+
+const USER_ID = '65f000000000000000000001';
+
+// Stored record for a refresh token, as the database would return it
+const storedToken = (refreshToken, fields = {}) => {
+  const claims = JWTUtils.decodeToken(refreshToken);
+  const stored = new RefreshToken({ jti: claims.jti, user: USER_ID, family: claims.family, expiresAt: new Date(claims.exp * 1000), ...fields });
+  jest.spyOn(stored, 'save').mockResolvedValue(stored);
+  return stored;
+};
+
+let revokeFamily;
+
+beforeEach(() => {
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async docs => docs);
+  revokeFamily = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+  jest.spyOn(User, 'findById').mockResolvedValue(new User({ _id: USER_ID, email: 'reader@example.com', isActive: true }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+  it('swaps an unused token for a new pair in the same family', async () => {
+    const refreshToken = JWTUtils.generateRefreshToken({ userId: USER_ID, family: 'family-1' });
+    const stored = storedToken(refreshToken, { usedAt: new Date() });
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored);
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+    const next = JWTUtils.decodeToken(result.refreshToken);
+
+    expect(claim.mock.calls[0][0]).toEqual({ jti: stored.jti, usedAt: null, revokedAt: null });
+    expect(next.family).toBe('family-1');
+    expect(stored.replacedBy).toBe(next.jti);
+    expect(JWTUtils.verifyToken(result.token).userId).toBe(USER_ID);
+    expect(revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('revokes the whole family when a used token comes back', async () => {
+    const refreshToken = JWTUtils.generateRefreshToken({ userId: USER_ID, family: 'family-1' });
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken(refreshToken, { usedAt: new Date() }));
+
+    await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      message: 'Refresh token has already been used. Please log in again',
+      statusCode: 401
+    });
+    expect(revokeFamily).toHaveBeenCalledWith('family-1', 'Reuse');
+  });
+
+  it('rejects a revoked token without treating it as reuse', async () => {
+    const refreshToken = JWTUtils.generateRefreshToken({ userId: USER_ID, family: 'family-1' });
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken(refreshToken, { revokedAt: new Date() }));
+
+    await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token has been revoked');
+    expect(revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('does not accept an access token', async () => {
+    const accessToken = JWTUtils.generateToken({ userId: USER_ID });
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+
+    await expect(tokenService.rotateRefreshToken(accessToken)).rejects.toThrow('Invalid refresh token');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('refuses tokens issued before the user logged out of all devices', async () => {
+    const refreshToken = JWTUtils.generateRefreshToken({ userId: USER_ID, family: 'family-1' });
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(storedToken(refreshToken, { usedAt: new Date() }));
+    User.findById.mockResolvedValue(new User({ _id: USER_ID, isActive: true, tokensValidAfter: new Date(Date.now() + 1000) }));
+
+    await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token has been revoked');
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('revokes the family of a valid token', async () => {
+    await tokenService.revokeRefreshToken(JWTUtils.generateRefreshToken({ userId: USER_ID, family: 'family-1' }));
+    expect(revokeFamily).toHaveBeenCalledWith('family-1', 'Logout');
+  });
+
+  it('ignores a missing or invalid token', async () => {
+    await tokenService.revokeRefreshToken(undefined);
+    await tokenService.revokeRefreshToken('not a token');
+    expect(revokeFamily).not.toHaveBeenCalled();
+  });
+});
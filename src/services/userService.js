@@ -0,0 +1,79 @@
+const User = require('../models/User');
+const emailVerificationService = require('./emailVerificationService');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Update a user's profile or, for staff, their role and account status.
+ * A changed email address always has to be confirmed again by its owner, and
+ * the sign-in details of a user with more permissions than the caller can only
+ * be changed by a role manager, so staff cannot take over a higher account.
+ * @param {Object} actor - Authenticated user making the change
+ * @param {String} id - User ID
+ * @param {Object} changes - { name, email, role, isActive, accountStatus }
+ * @returns {Object} Updated user
+ */
+const updateUser = async (actor, id, { name, email, role, isActive, accountStatus }) => {
+  const isOwnProfile = actor._id.toString() === id.toString();
+  const canManageUsers = actor.hasPermission('users:write');
+
+  if (!isOwnProfile && !canManageUsers) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const emailChanged = Boolean(email && email !== user.email);
+  if (emailChanged && await User.exists({ email })) {
+    throw new AppError('Email already in use', 400);
+  }
+
+  // Only staff can change account status, and only role managers can change roles
+  if (!canManageUsers && (role !== undefined || isActive !== undefined || accountStatus !== undefined)) {
+    throw new AppError('Only staff can change role or account status', 403);
+  }
+
+  if (role !== undefined && role !== user.role && !actor.hasPermission('roles:manage')) {
+    throw new AppError('Access denied. Missing permission: roles:manage', 403);
+  }
+
+  const changesAccess = emailChanged || isActive !== undefined || accountStatus !== undefined;
+  if (!isOwnProfile && changesAccess && !actor.hasPermission('roles:manage')) {
+    await user.loadPermissions();
+    if (!actor.hasPermissionsOf(user)) {
+      throw new AppError('Only role managers can change the email or account status of a user with more permissions than you', 403);
+    }
+  }
+
+  if (name) user.name = name;
+  if (email) user.email = email;
+  if (role !== undefined) user.role = role;
+  if (isActive !== undefined) user.isActive = isActive;
+
+  if (accountStatus === 'Active' && user.accountStatus === 'Pending') {
+    // Staff confirmed the address in person
+    user.markEmailVerified();
+  } else if (accountStatus !== undefined) {
+    user.accountStatus = accountStatus;
+  }
+
+  // A new address is confirmed by its owner, whoever changed it
+  if (emailChanged) {
+    user.accountStatus = 'Pending';
+    user.emailVerifiedAt = undefined;
+  }
+
+  await user.save();
+
+  if (emailChanged) {
+    await emailVerificationService.sendVerificationEmail(user);
+  }
+
+  return user;
+};
+
+module.exports = {
+  updateUser
+};
@@ -0,0 +1,81 @@
+const Work = require('../models/Work');
+const Book = require('../models/Book');
+const Reservation = require('../models/Reservation');
+const { AppError } = require('../utils/errors');
+
+const WORK_FIELDS = ['title', 'author', 'description', 'originalLanguage', 'firstPublishedYear', 'series'];
+
+/**
+ * Create a work, optionally grouping existing books under it as its editions
+ * @param {Object} details - { title, author, description, originalLanguage, firstPublishedYear, series, bookIds }
+ * @returns {Object} New work
+ */
+const createWork = async ({ bookIds = [], ...details }) => {
+  const work = new Work();
+  WORK_FIELDS.forEach((field) => {
+    if (details[field] !== undefined) {
+      work[field] = details[field];
+    }
+  });
+
+  const found = await Book.countDocuments({ _id: { $in: bookIds } });
+  if (found !== bookIds.length) {
+    throw new AppError('One or more books were not found', 404);
+  }
+
+  await work.save();
+  // A new work has no holds yet, so the editions can be linked without filling a queue
+  await Book.updateMany({ _id: { $in: bookIds } }, { $set: { work: work._id } });
+
+  return work;
+};
+
+/**
+ * Update a work's details. Editions are linked from the book with its workId.
+ * @param {String} id - Work ID
+ * @param {Object} changes - Any of the fields accepted by createWork() except bookIds
+ * @returns {Object} Updated work
+ */
+const updateWork = async (id, changes) => {
+  const work = await Work.findById(id);
+  if (!work) {
+    throw new AppError('Work not found', 404);
+  }
+
+  WORK_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) {
+      work[field] = changes[field];
+    }
+  });
+
+  await work.save();
+  return work;
+};
+
+/**
+ * Delete a work, leaving its editions as stand-alone books
+ * @param {String} id - Work ID
+ * @returns {Object} Deleted work
+ */
+const deleteWork = async (id) => {
+  const work = await Work.findById(id);
+  if (!work) {
+    throw new AppError('Work not found', 404);
+  }
+
+  const waitingHolds = await Reservation.countDocuments({ work: work._id, book: null, status: 'Waiting' });
+  if (waitingHolds > 0) {
+    throw new AppError(`${waitingHolds} member(s) are waiting for any edition of this work; their holds must be cancelled first`, 400);
+  }
+
+  await Book.updateMany({ work: work._id }, { $set: { work: null } });
+  await work.deleteOne();
+
+  return work;
+};
+
+module.exports = {
+  createWork,
+  updateWork,
+  deleteWork
+};
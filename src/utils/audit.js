@@ -0,0 +1,94 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping and secret fields that are never copied into the log
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt',
+  'password', 'passwordResetToken', 'passwordResetExpires',
+  'emailVerificationToken', 'emailVerificationExpires',
+  'tokensValidAfter', 'borrowedBooks'
+];
+
+/**
+ * Copy a document's loggable fields, taken before a change so it can be diffed afterwards
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object} Plain copy without ignored fields
+ */
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const copy = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : { ...doc };
+  IGNORED_FIELDS.forEach(field => delete copy[field]);
+
+  // Round-trip so ObjectIds and dates are stored as plain values
+  return JSON.parse(JSON.stringify(copy));
+};
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change (null for creations)
+ * @param {Object} after - Snapshot after the change (null for deletions)
+ * @returns {Object} { field: { from, to } }, or null when nothing changed
+ */
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Who is acting, taken from an Express request
+ * @param {Object} req - Express request object
+ */
+const fromRequest = (req) => ({ actor: req.user, ip: req.ip, source: 'REST' });
+
+/**
+ * Who is acting, taken from the GraphQL context
+ * @param {Object} context - GraphQL context
+ */
+const fromContext = (context) => ({ actor: context.user, ip: context.ip, source: 'GraphQL' });
+
+/**
+ * Write an audit log entry. The action has already happened, so a failed write
+ * is reported rather than failing the request.
+ * @param {Object} context - { actor, ip, source } from fromRequest() or fromContext()
+ * @param {Object} entry - { action, target, targetType, before, after, details }
+ */
+const record = async ({ actor, ip, source }, { action, target, targetType, before, after, details }) => {
+  try {
+    await AuditLog.create({
+      actor: actor._id,
+      actorEmail: actor.email,
+      actorRole: actor.role,
+      action,
+      targetType: targetType || (target && target.constructor && target.constructor.modelName),
+      targetId: target ? target._id : undefined,
+      changes: before !== undefined || after !== undefined ? diff(before, after) : undefined,
+      details,
+      ip,
+      source
+    });
+  } catch (error) {
+    console.error(`Audit log write for ${action} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  fromRequest,
+  fromContext,
+  record
+};
@@ -0,0 +1,19 @@
+/**
+ * Error carrying an HTTP status code, for failures that should reach the client
+ * (the global error handler and the GraphQL resolvers both read `statusCode`)
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Error message
+   * @param {Number} statusCode - HTTP status code
+   */
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  AppError
+};
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 /**
  * Success response handler
  * @param {Object} res - Express response object
@@ -88,18 +90,34 @@ const asyncHandler = (fn) => {
 };
 
 /**
- * Generate random string
+ * Generate random string from a cryptographically secure source
  * @param {Number} length - Length of random string
  */
 const generateRandomString = (length = 32) => {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(crypto.randomInt(chars.length));
   }
   return result;
 };
 
+/**
+ * Hash a one-time token for storage (only the hash is kept in the database)
+ * @param {String} token - Raw token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {String} value - Raw input
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Format date to readable string
  * @param {Date} date - Date to format
@@ -119,5 +137,7 @@ module.exports = {
   getPaginationData,
   asyncHandler,
   generateRandomString,
+  hashToken,
+  escapeRegex,
   formatDate
 };
@@ -0,0 +1,61 @@
+// ISBNs are stored as 13 digits without hyphens, so every way of writing one
+// ("ISBN 0-13-468599-7", "978 0 13 468599 1") finds the same book
+
+const ISBN_PREFIX = /^ISBN(?:-1[03])?:?\s*/;
+
+/**
+ * Strip the "ISBN" prefix, hyphens and spaces
+ * @param {String} value - ISBN as typed
+ * @returns {String} Digits, with an upper-case check digit X if present
+ */
+const isbnDigits = (value) => String(value).toUpperCase().trim().replace(ISBN_PREFIX, '').replace(/[^0-9X]/g, '');
+
+// Input that is only digits, hyphens, spaces and a check digit X, of ISBN length
+const looksLikeIsbn = (value) => {
+  return /^[-\s\dX]+$/.test(String(value).toUpperCase().trim().replace(ISBN_PREFIX, '')) &&
+    /^(?:\d{9}[\dX]|\d{13})$/.test(isbnDigits(value));
+};
+
+const isbn10CheckDigit = (first9) => {
+  const sum = first9.split('').reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Convert an ISBN-10 or ISBN-13 to its canonical ISBN-13 form
+ * @param {String} value - ISBN as typed
+ * @returns {String|null} 13 digits, or null if the input is not an ISBN or its check digit is wrong
+ */
+const normalizeIsbn = (value) => {
+  if (value === undefined || value === null || !looksLikeIsbn(value)) {
+    return null;
+  }
+
+  const digits = isbnDigits(value);
+
+  if (digits.length === 10) {
+    if (isbn10CheckDigit(digits.slice(0, 9)) !== digits[9]) {
+      return null;
+    }
+    const first12 = `978${digits.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+
+  if (!/^97[89]/.test(digits) || isbn13CheckDigit(digits.slice(0, 12)) !== digits[12]) {
+    return null;
+  }
+  return digits;
+};
+
+const isValidIsbn = (value) => normalizeIsbn(value) !== null;
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn
+};
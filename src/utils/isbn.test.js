@@ -0,0 +1,62 @@
+const { normalizeIsbn, isValidIsbn } = require('./isbn');
+
+describe('normalizeIsbn', () => {
+  it('keeps a valid ISBN-13 as it is', () => {
+    expect(normalizeIsbn('9780134685991')).toBe('9780134685991');
+  });
+
+  it('strips hyphens, spaces and the ISBN prefix', () => {
+    expect(normalizeIsbn('978-0-13-468599-1')).toBe('9780134685991');
+    expect(normalizeIsbn('978 0 13 468599 1')).toBe('9780134685991');
+    expect(normalizeIsbn('ISBN-13: 978-0-13-468599-1')).toBe('9780134685991');
+    expect(normalizeIsbn('isbn 0134685997')).toBe('9780134685991');
+  });
+
+  it('converts an ISBN-10 to ISBN-13 with a new check digit', () => {
+    expect(normalizeIsbn('0-13-468599-7')).toBe('9780134685991');
+    expect(normalizeIsbn('0306406152')).toBe('9780306406157');
+  });
+
+  it('accepts an ISBN-10 whose check digit is X, in either case', () => {
+    expect(normalizeIsbn('0-8044-2957-X')).toBe('9780804429573');
+    expect(normalizeIsbn('080442957x')).toBe('9780804429573');
+  });
+
+  it('rejects a wrong check digit', () => {
+    expect(normalizeIsbn('9780134685990')).toBeNull();
+    expect(normalizeIsbn('0-13-468599-8')).toBeNull();
+  });
+
+  it('rejects ISBN-13s outside the 978 and 979 prefixes', () => {
+    expect(normalizeIsbn('9770134685995')).toBeNull();
+  });
+
+  it('accepts 979 ISBN-13s', () => {
+    expect(normalizeIsbn('979-10-90636-07-1')).toBe('9791090636071');
+  });
+
+  it('rejects input of the wrong length or with other characters', () => {
+    expect(normalizeIsbn('978013468599')).toBeNull();
+    expect(normalizeIsbn('97801346859911')).toBeNull();
+    expect(normalizeIsbn('978O134685991')).toBeNull();
+    expect(normalizeIsbn('0-13-46X599-7')).toBeNull();
+  });
+
+  it('returns null for missing values', () => {
+    expect(normalizeIsbn(undefined)).toBeNull();
+    expect(normalizeIsbn(null)).toBeNull();
+    expect(normalizeIsbn('')).toBeNull();
+  });
+});
+
+describe('isValidIsbn', () => {
+  it('is true for ISBN-10s and ISBN-13s with a correct check digit', () => {
+    expect(isValidIsbn('0-13-468599-7')).toBe(true);
+    expect(isValidIsbn('9780134685991')).toBe(true);
+  });
+
+  it('is false otherwise', () => {
+    expect(isValidIsbn('9780134685990')).toBe(false);
+    expect(isValidIsbn('not an isbn')).toBe(false);
+  });
+});
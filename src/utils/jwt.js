@@ -1,19 +1,23 @@
 const jwt = require('jsonwebtoken');
 const CryptoJS = require('crypto-js');
+const crypto = require('crypto');
 
 class JWTUtils {
   /**
-   * Generate JWT token with encryption
+   * Generate JWT token with encryption. Each token gets a unique `jti` so it
+   * can be revoked on its own, and its issue time in milliseconds (`iatMs`) so
+   * "log out of all devices" also catches tokens from the same second.
    * @param {Object} payload - The payload to encode
    * @returns {String} Encrypted JWT token
    */
   static generateToken(payload) {
     try {
       // Create JWT token
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
+      const token = jwt.sign({ ...payload, iatMs: Date.now() }, process.env.JWT_SECRET, {
         expiresIn: process.env.JWT_EXPIRES_IN || '7d',
         issuer: 'nalanda-library',
-        audience: 'nalanda-users'
+        audience: 'nalanda-users',
+        jwtid: crypto.randomUUID()
       });
 
       // Encrypt the JWT token
@@ -59,16 +63,18 @@ class JWTUtils {
   }
 
   /**
-   * Generate refresh token
+   * Generate refresh token. It is marked with `type: 'refresh'` so it cannot be
+   * used as an access token, and carries a `jti` for rotation tracking.
    * @param {Object} payload - The payload to encode
    * @returns {String} Encrypted refresh token
    */
   static generateRefreshToken(payload) {
     try {
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: '30d',
+      const token = jwt.sign({ ...payload, type: 'refresh', iatMs: Date.now() }, process.env.JWT_SECRET, {
+        expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d',
         issuer: 'nalanda-library',
-        audience: 'nalanda-users'
+        audience: 'nalanda-users',
+        jwtid: crypto.randomUUID()
       });
 
       const encryptedToken = CryptoJS.AES.encrypt(token, process.env.ENCRYPTION_KEY).toString();
@@ -0,0 +1,84 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing mail. The transport is chosen by MAIL_TRANSPORT:
+ * - `smtp` (default): the SMTP server in SMTP_HOST; mail is off when it is unset
+ * - `log`: nothing is sent; the recipient and subject are logged, never the body,
+ *   which can carry reset and verification tokens
+ * Tests and local stubs can also install any Nodemailer transport with setTransport().
+ */
+
+let transporter = null;
+
+/**
+ * Check whether outgoing mail is configured
+ * @returns {Boolean}
+ */
+const isConfigured = () => {
+  return Boolean(transporter) || process.env.MAIL_TRANSPORT === 'log' || Boolean(process.env.SMTP_HOST);
+};
+
+/**
+ * Create the transport selected by the environment
+ * @returns {Object} Nodemailer transporter
+ */
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'log') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+/**
+ * Get the shared transporter, creating it on first use
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+/**
+ * Replace the transport, e.g. with a stub that records messages
+ * @param {Object} transport - Nodemailer transporter or any object with sendMail()
+ */
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Object} Transport send result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Nalanda Library <no-reply@nalanda.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.MAIL_TRANSPORT === 'log') {
+    console.log(`Mail (not sent) to ${to}: ${subject}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  isConfigured,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,77 @@
+/**
+ * Permission catalogue. Roles are granted a list of these; `*` grants all of them.
+ */
+const PERMISSIONS = {
+  'users:read': 'View member accounts',
+  'users:write': 'Create, update, deactivate and unlock member accounts',
+  'books:write': 'Add, edit and remove books, their copies and authors',
+  'genres:manage': 'Create, rename, move and remove genres and subjects',
+  'circulation:checkout': 'Check books in and out and manage loans and holds for any member',
+  'fines:manage': 'View member fines, record payments and grant waivers',
+  'policies:read': 'View circulation policies',
+  'policies:write': 'Create, update and delete circulation policies',
+  'reports:read': 'View reports and statistics',
+  'jobs:run': 'View the job log and run background jobs',
+  'roles:manage': 'Create and edit roles and assign them to users',
+  'audit:read': 'View the audit log of staff actions'
+};
+
+const ALL_PERMISSIONS = '*';
+
+// Roles created on startup. Admin always keeps every permission; the other
+// built-in roles are only created when missing so their permissions can be tuned.
+const BUILT_IN_ROLES = [
+  {
+    name: 'Admin',
+    description: 'Full access to every part of the library system',
+    permissions: [ALL_PERMISSIONS]
+  },
+  {
+    name: 'Librarian',
+    description: 'Front-desk staff: catalogue, circulation and fines, without account administration',
+    permissions: [
+      'users:read',
+      'books:write',
+      'circulation:checkout',
+      'fines:manage',
+      'policies:read',
+      'reports:read'
+    ]
+  },
+  {
+    name: 'Member',
+    description: 'Library member borrowing for themselves',
+    permissions: []
+  }
+];
+
+/**
+ * Check a permission list against a required permission
+ * @param {Array} granted - Permissions granted to a role
+ * @param {String} permission - Required permission
+ * @returns {Boolean}
+ */
+const grants = (granted, permission) => {
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+};
+
+/**
+ * Check that a permission list covers every permission in another
+ * @param {Array} granted - Permissions granted to a role
+ * @param {Array} required - Permissions that must all be granted
+ * @returns {Boolean}
+ */
+const grantsAll = (granted, required) => {
+  if (granted.includes(ALL_PERMISSIONS)) {
+    return true;
+  }
+  return !required.includes(ALL_PERMISSIONS) && required.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  grants,
+  grantsAll
+};
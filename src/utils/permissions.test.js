@@ -0,0 +1,29 @@
+const { ALL_PERMISSIONS, grants, grantsAll } = require('./permissions');
+
+describe('grants', () => {
+  it('is true for a listed permission or the wildcard', () => {
+    expect(grants(['books:write'], 'books:write')).toBe(true);
+    expect(grants([ALL_PERMISSIONS], 'roles:manage')).toBe(true);
+  });
+
+  it('is false for anything else', () => {
+    expect(grants(['books:write'], 'users:write')).toBe(false);
+    expect(grants([], 'books:write')).toBe(false);
+  });
+});
+
+describe('grantsAll', () => {
+  it('is true when every required permission is granted', () => {
+    expect(grantsAll(['users:write', 'books:write'], ['books:write'])).toBe(true);
+    expect(grantsAll(['books:write'], [])).toBe(true);
+  });
+
+  it('is false when any required permission is missing', () => {
+    expect(grantsAll(['users:write'], ['users:write', 'fines:manage'])).toBe(false);
+  });
+
+  it('treats the wildcard as covering everything, and only the wildcard covers it', () => {
+    expect(grantsAll([ALL_PERMISSIONS], ['roles:manage', ALL_PERMISSIONS])).toBe(true);
+    expect(grantsAll(['users:write', 'roles:manage'], [ALL_PERMISSIONS])).toBe(false);
+  });
+});
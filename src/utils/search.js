@@ -0,0 +1,125 @@
+const { AppError } = require('./errors');
+const { escapeRegex } = require('./helpers');
+
+// Longest search query accepted, to keep text queries cheap
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Split a search query into words, "quoted phrases" and -excluded words or -"phrases"
+ * @param {String} query - Raw search input
+ * @returns {Object} { terms, phrases, excluded }
+ */
+const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokenPattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+  const input = String(query).slice(0, MAX_QUERY_LENGTH);
+
+  let match;
+  while ((match = tokenPattern.exec(input)) !== null) {
+    const isPhrase = match[2] !== undefined;
+    const negated = isPhrase ? match[1] === '-' : match[3] === '-';
+    // Backslashes would escape the quotes we add around phrases
+    const text = (isPhrase ? match[2] : match[4].replace(/^-+/, '')).replace(/\\/g, ' ').replace(/\s+/g, ' ').trim();
+
+    if (!text) {
+      continue;
+    }
+
+    if (negated) {
+      parsed.excluded.push(isPhrase && text.includes(' ') ? `"${text}"` : text);
+    } else if (isPhrase && text.includes(' ')) {
+      parsed.phrases.push(text);
+    } else {
+      parsed.terms.push(text);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build a MongoDB $text search string from a search query
+ * @param {String} query - Raw search input
+ * @returns {String} Value for $text.$search
+ */
+const toTextSearch = (query) => {
+  const { terms, phrases, excluded } = parseSearchQuery(query);
+
+  // $text needs something to match before it can exclude anything
+  if (terms.length === 0 && phrases.length === 0) {
+    throw new AppError('Search must include at least one word or phrase that is not excluded', 400);
+  }
+
+  return [
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...terms,
+    ...excluded.map(word => `-${word}`)
+  ].join(' ');
+};
+
+/**
+ * Case-insensitive "contains" match for free-text filters such as author
+ * @param {String} value - Raw input
+ * @returns {Object} $regex condition with the input escaped
+ */
+const containsFilter = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+
+/**
+ * Lowercase text and strip accents and punctuation, so "Brontë," and "bronte" compare equal
+ * @param {String} text - Raw text
+ * @returns {String} Space-separated words
+ */
+const normalizeText = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Trigrams of each word, padded so word starts and ends count (as in PostgreSQL pg_trgm)
+ * @param {String} normalized - Text from normalizeText()
+ * @returns {Array} Unique trigrams
+ */
+const trigrams = (normalized) => {
+  const grams = new Set();
+  normalized.split(' ').filter(Boolean).forEach((word) => {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return [...grams];
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number} Insertions, deletions and substitutions needed
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  toTextSearch,
+  containsFilter,
+  normalizeText,
+  trigrams,
+  editDistance
+};
@@ -0,0 +1,93 @@
+const { MAX_QUERY_LENGTH, parseSearchQuery, toTextSearch, normalizeText, trigrams, editDistance } = require('./search');
+const { AppError } = require('./errors');
+
+describe('parseSearchQuery', () => {
+  it('splits words, quoted phrases and excluded words', () => {
+    expect(parseSearchQuery('dune "desert planet" -sequel')).toEqual({
+      terms: ['dune'],
+      phrases: ['desert planet'],
+      excluded: ['sequel']
+    });
+  });
+
+  it('keeps excluded phrases quoted', () => {
+    expect(parseSearchQuery('history -"world war"').excluded).toEqual(['"world war"']);
+  });
+
+  it('treats a one-word phrase as a word', () => {
+    expect(parseSearchQuery('"dune" -"sequel"')).toEqual({ terms: ['dune'], phrases: [], excluded: ['sequel'] });
+  });
+
+  it('reads an unclosed quote to the end of the query', () => {
+    expect(parseSearchQuery('"the left hand').phrases).toEqual(['the left hand']);
+  });
+
+  it('collapses whitespace and ignores empty phrases and lone dashes', () => {
+    expect(parseSearchQuery('  "  war   and  peace "  ""  -  ')).toEqual({
+      terms: [],
+      phrases: ['war and peace'],
+      excluded: []
+    });
+  });
+
+  it('removes backslashes so they cannot escape the added quotes', () => {
+    expect(parseSearchQuery('"war and\\" -peace\\')).toEqual({ terms: [], phrases: ['war and'], excluded: ['peace'] });
+    expect(parseSearchQuery('a\\b').terms).toEqual(['a b']);
+  });
+
+  it(`reads only the first ${MAX_QUERY_LENGTH} characters`, () => {
+    const { terms } = parseSearchQuery(`${'a'.repeat(MAX_QUERY_LENGTH - 1)} overflow`);
+    expect(terms).toEqual(['a'.repeat(MAX_QUERY_LENGTH - 1)]);
+  });
+});
+
+describe('toTextSearch', () => {
+  it('puts phrases first, then words, then exclusions', () => {
+    expect(toTextSearch('dune -sequel "desert planet" -"world war"')).toBe('"desert planet" dune -sequel -"world war"');
+  });
+
+  it('rejects a query that only excludes', () => {
+    expect(() => toTextSearch('-sequel -"world war"')).toThrow(AppError);
+    expect(() => toTextSearch('   ')).toThrow('Search must include at least one word or phrase that is not excluded');
+  });
+});
+
+describe('normalizeText', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizeText('Brontë, Charlotte')).toBe('bronte charlotte');
+    expect(normalizeText('  García Márquez: Cien años… ')).toBe('garcia marquez cien anos');
+  });
+
+  it('keeps digits and letters from other scripts', () => {
+    expect(normalizeText('Catch-22')).toBe('catch 22');
+    expect(normalizeText('Мастер и Маргарита')).toBe('мастер и маргарита');
+  });
+});
+
+describe('trigrams', () => {
+  it('pads each word so its start and end count', () => {
+    expect(trigrams('cat')).toEqual(['  c', ' ca', 'cat', 'at ']);
+  });
+
+  it('returns each trigram once across words', () => {
+    expect(trigrams('ab ab')).toEqual(['  a', ' ab', 'ab ']);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(trigrams('')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('tolkein', 'tolkien')).toBe(2);
+    expect(editDistance('dune', 'dunes')).toBe(1);
+  });
+
+  it('is zero for equal strings and the length of the other for an empty one', () => {
+    expect(editDistance('dune', 'dune')).toBe(0);
+    expect(editDistance('', 'dune')).toBe(4);
+    expect(editDistance('dune', '')).toBe(4);
+  });
+});